@@ -4,4 +4,7 @@ import { defineConfig } from "eslint/config";
 
 export default defineConfig([
   { files: ["**/*.{js,mjs,cjs}"], plugins: { js }, extends: ["js/recommended"], languageOptions: { globals: globals.browser } },
+  { files: ["service-worker.js"], languageOptions: { globals: globals.serviceworker } },
+  { files: ["scripts/**/*.mjs"], languageOptions: { globals: globals.node } },
+  { files: ["test/**/*.js"], languageOptions: { globals: globals.node } },
 ]);
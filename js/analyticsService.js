@@ -0,0 +1,342 @@
+// js/analyticsService.js
+// ==============================
+// Host Analytics (provider + BnB dashboards)
+// - recordView(): one view per listing per browser session, counted in
+//   listingViews/{listingId}_{YYYY-MM} so hosts can read them by month
+// - load(): the host's listings, bookings, favorites and views, reduced by
+//   compute() into monthly series (views, favorites, booking requests,
+//   conversion, occupancy, revenue) per listing and in aggregate
+// - Occupancy counts booked nights (confirmed or later) against the nights a
+//   listing was listed that month; revenue is spread across the stay's nights
+// ==============================
+
+import pricingService from './pricingService.js';
+import { MS_PER_DAY, dayMillis, toDateKey } from './availabilityService.js';
+import { toListing } from './listings.js';
+import { escapeHtml } from './html.js';
+
+const ANALYTICS_DEFAULTS = {
+  months: 12,
+  sessionKeyPrefix: 'listing-viewed:'
+};
+
+// Bookings that count as occupied nights and earned revenue
+const EARNING_STATUSES = ['confirmed', 'checked-in', 'completed'];
+
+// Bookings still in progress (the "Active Bookings" card)
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'checked-in'];
+
+const METRICS = {
+  views: { label: 'Views' },
+  favorites: { label: 'Favorites' },
+  requests: { label: 'Booking requests' },
+  conversion: { label: 'Conversion rate' },
+  occupancy: { label: 'Occupancy' },
+  revenue: { label: 'Revenue' }
+};
+
+const monthKey = (dateKey) => (dateKey ? dateKey.slice(0, 7) : null);
+
+const daysInMonth = (key) => {
+  const [y, m] = key.split('-').map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+};
+
+// The last `count` month keys ending with the month of `now`, oldest first
+const lastMonths = (count, now = new Date()) => Array.from({ length: count }, (_, i) => {
+  const d = new Date(Date.UTC(now.getFullYear(), now.getMonth() - (count - 1 - i), 1));
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+});
+
+const ratio = (part, whole) => (whole ? part / whole : null);
+
+class AnalyticsService {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...ANALYTICS_DEFAULTS, ...options };
+    this.metrics = METRICS;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  // ----------------------------
+  // View tracking
+  // ----------------------------
+  /**
+   * recordView(listing)
+   * Counts a house-detail page load. Hosts viewing their own listing and
+   * repeat loads in the same session are ignored.
+   */
+  async recordView(listing) {
+    if (!this.isFirebaseReady() || !listing?.id) return false;
+    const user = this.stateManager?.getCurrentUser?.();
+    if (user && user.uid === listing.providerId) return false;
+
+    const sessionKey = `${this.options.sessionKeyPrefix}${listing.id}`;
+    try {
+      if (sessionStorage.getItem(sessionKey)) return false;
+      sessionStorage.setItem(sessionKey, '1');
+    } catch { /* storage disabled: count every load */ }
+
+    const { doc, setDoc, collections, increment, serverTimestamp } = this.firebaseServices;
+    const month = monthKey(toDateKey(new Date()));
+    try {
+      await setDoc(doc(collections.listingViews, `${listing.id}_${month}`), {
+        listingId: listing.id,
+        providerId: listing.providerId || null,
+        month,
+        views: increment(1),
+        updatedAt: serverTimestamp()
+      }, { merge: true });
+      return true;
+    } catch (err) {
+      console.error('[Analytics] recordView failed:', err);
+      return false;
+    }
+  }
+
+  // ----------------------------
+  // Loading
+  // ----------------------------
+  /**
+   * load({ months }) -> report (see compute)
+   * Reads everything for the signed-in host's listings.
+   */
+  async load({ months = this.options.months, now = new Date() } = {}) {
+    if (!this.isFirebaseReady()) throw new Error('Analytics are not available offline.');
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+
+    const { collections, query, where, getDocs } = this.firebaseServices;
+    const byProvider = (name) => getDocs(query(collections[name], where('providerId', '==', user.uid)));
+
+    const [houses, bnbs, bookings, views] = await Promise.all(
+      ['houses', 'bnbs', 'bookings', 'listingViews'].map(byProvider)
+    );
+    const listings = [
+      ...houses.docs.map(d => toListing(d, 'houses')),
+      ...bnbs.docs.map(d => toListing(d, 'bnbs'))
+    ];
+
+    // favorites carry no providerId; 'in' takes up to 30 values per query
+    const ids = listings.map(l => l.id);
+    const chunks = [];
+    for (let i = 0; i < ids.length; i += 30) chunks.push(ids.slice(i, i + 30));
+    const favoriteSnaps = await Promise.all(chunks.map(chunk => getDocs(query(collections.favorites, where('listingId', 'in', chunk)))));
+
+    return this.compute({
+      listings,
+      bookings: bookings.docs.map(d => ({ id: d.id, ...d.data() })),
+      favorites: favoriteSnaps.flatMap(snap => snap.docs.map(d => d.data())),
+      views: views.docs.map(d => d.data())
+    }, { months, now });
+  }
+
+  // ----------------------------
+  // Computing
+  // ----------------------------
+  /**
+   * compute({ listings, bookings, favorites, views }, { months, now })
+   * -> { months: ['YYYY-MM'], aggregate, listings: [{ listing, series, totals }],
+   *      activeBookings, allTimeViews, allTimeRevenue }
+   * series hold one value per month for every METRICS key; totals cover the
+   * whole window (conversion/occupancy as ratios, null when undefined).
+   */
+  compute({ listings = [], bookings = [], favorites = [], views = [] } = {}, { months = this.options.months, now = new Date() } = {}) {
+    const keys = lastMonths(months, now);
+    const index = new Map(keys.map((k, i) => [k, i]));
+    const zeros = () => keys.map(() => 0);
+
+    const raw = new Map(listings.map(l => [l.id, {
+      views: zeros(), favorites: zeros(), requests: zeros(), nights: zeros(), revenue: zeros(), available: zeros()
+    }]));
+    const bump = (listingId, field, month, amount = 1) => {
+      const row = raw.get(listingId);
+      if (row && index.has(month)) row[field][index.get(month)] += amount;
+    };
+
+    views.forEach(v => bump(v.listingId, 'views', v.month, Number(v.views) || 0));
+    favorites.forEach(f => bump(f.listingId, 'favorites', monthKey(toDateKey(f.createdAt))));
+
+    bookings.forEach(b => {
+      bump(b.listingId, 'requests', monthKey(toDateKey(b.createdAt) || toDateKey(b.startDate)));
+      if (!EARNING_STATUSES.includes(b.status)) return;
+
+      const start = toDateKey(b.startDate);
+      const end = toDateKey(b.endDate);
+      if (!start || !end || end <= start) return;
+      const nights = Math.round((dayMillis(end) - dayMillis(start)) / MS_PER_DAY);
+      const perNight = (Number(b.amount) || 0) / nights;
+      for (let t = dayMillis(start); t < dayMillis(end); t += MS_PER_DAY) {
+        const month = new Date(t).toISOString().slice(0, 7);
+        bump(b.listingId, 'nights', month);
+        bump(b.listingId, 'revenue', month, perNight);
+      }
+    });
+
+    // nights a listing was on the site each month, from its creation day;
+    // the current month counts in full since upcoming stays already fill it
+    listings.forEach(l => {
+      const listedFrom = toDateKey(l.createdAt) || `${keys[0]}-01`;
+      keys.forEach((key, i) => {
+        const first = `${key}-01`;
+        const last = `${key}-${String(daysInMonth(key)).padStart(2, '0')}`;
+        const from = listedFrom > first ? listedFrom : first;
+        if (from > last) return;
+        raw.get(l.id).available[i] = Math.round((dayMillis(last) - dayMillis(from)) / MS_PER_DAY) + 1;
+      });
+    });
+
+    const sum = (values) => values.reduce((a, b) => a + b, 0);
+    const toSeries = (r) => ({
+      views: r.views,
+      favorites: r.favorites,
+      requests: r.requests,
+      conversion: r.requests.map((n, i) => ratio(n, r.views[i])),
+      occupancy: r.nights.map((n, i) => ratio(n, r.available[i])),
+      revenue: r.revenue.map(v => Math.round(v * 100) / 100)
+    });
+    const toTotals = (r) => ({
+      views: sum(r.views),
+      favorites: sum(r.favorites),
+      requests: sum(r.requests),
+      conversion: ratio(sum(r.requests), sum(r.views)),
+      occupancy: ratio(sum(r.nights), sum(r.available)),
+      revenue: Math.round(sum(r.revenue) * 100) / 100
+    });
+
+    const all = { views: zeros(), favorites: zeros(), requests: zeros(), nights: zeros(), revenue: zeros(), available: zeros() };
+    raw.forEach(r => Object.keys(all).forEach(field => r[field].forEach((v, i) => { all[field][i] += v; })));
+
+    return {
+      months: keys,
+      aggregate: { series: toSeries(all), totals: toTotals(all) },
+      listings: listings.map(l => ({ listing: l, series: toSeries(raw.get(l.id)), totals: toTotals(raw.get(l.id)) })),
+      activeBookings: bookings.filter(b => ACTIVE_STATUSES.includes(b.status)).length,
+      allTimeViews: views.reduce((acc, v) => acc + (Number(v.views) || 0), 0),
+      allTimeRevenue: Math.round(bookings
+        .filter(b => EARNING_STATUSES.includes(b.status))
+        .reduce((acc, b) => acc + (Number(b.amount) || 0), 0) * 100) / 100
+    };
+  }
+
+  // ----------------------------
+  // Rendering helpers
+  // ----------------------------
+  formatMetric(metric, value) {
+    if (value === null || value === undefined) return '—';
+    if (metric === 'conversion' || metric === 'occupancy') return `${Math.round(value * 1000) / 10}%`;
+    if (metric === 'revenue') return pricingService.formatMoney(value);
+    return Number(value).toLocaleString();
+  }
+
+  monthLabel(key) {
+    const [y, m] = key.split('-').map(Number);
+    return new Date(Date.UTC(y, m - 1, 1)).toLocaleString(undefined, { month: 'short', timeZone: 'UTC' });
+  }
+
+  /**
+   * renderChart(report, metric, listingId)
+   * SVG bar chart of one metric by month; listingId null = all listings.
+   */
+  renderChart(report, metric = 'views', listingId = null) {
+    const source = listingId ? report.listings.find(r => r.listing.id === listingId) : report.aggregate;
+    if (!source) return '<p class="text-sm text-gray-500">No data for this listing.</p>';
+
+    const values = source.series[metric];
+    const width = 640;
+    const height = 220;
+    const top = 20;
+    const bottom = 24;
+    const max = Math.max(...values.map(v => v || 0), 0);
+    const slot = width / values.length;
+    const barWidth = Math.max(slot * 0.6, 2);
+
+    const bars = values.map((value, i) => {
+      const h = max ? ((value || 0) / max) * (height - top - bottom) : 0;
+      const x = i * slot + (slot - barWidth) / 2;
+      const y = height - bottom - h;
+      const label = `${this.monthLabel(report.months[i])}: ${this.formatMetric(metric, value)}`;
+      return `
+        <g>
+          <title>${escapeHtml(label)}</title>
+          <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${Math.max(h, value ? 1 : 0).toFixed(1)}" rx="2" fill="#4f46e5"></rect>
+          <text x="${(i * slot + slot / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle" font-size="11" fill="#6b7280">${this.monthLabel(report.months[i])}</text>
+        </g>`;
+    }).join('');
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" class="w-full" role="img" aria-label="${escapeHtml(METRICS[metric]?.label || metric)} by month">
+        <line x1="0" y1="${height - bottom}" x2="${width}" y2="${height - bottom}" stroke="#e5e7eb"></line>
+        <text x="0" y="12" font-size="11" fill="#6b7280">max ${escapeHtml(this.formatMetric(metric, max))}</text>
+        ${bars}
+      </svg>`;
+  }
+
+  renderTableRows(report) {
+    if (!report.listings.length) {
+      return '<tr><td colspan="7" class="px-6 py-4 text-center text-gray-500">No listings yet.</td></tr>';
+    }
+    const cell = 'px-6 py-4 whitespace-nowrap text-sm text-gray-500';
+    return report.listings
+      .slice()
+      .sort((a, b) => b.totals.views - a.totals.views)
+      .map(({ listing, totals }) => `
+        <tr>
+          <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+            <a href="/house-detail.html?id=${encodeURIComponent(listing.id)}" class="hover:text-indigo-600">${escapeHtml(listing.title || 'Listing')}</a>
+          </td>
+          ${['views', 'favorites', 'requests', 'conversion', 'occupancy', 'revenue']
+            .map(metric => `<td class="${cell}">${this.formatMetric(metric, totals[metric])}</td>`).join('')}
+        </tr>`).join('');
+  }
+}
+
+// Factory
+export function createAnalyticsService(firebaseServices = null, stateManager = null, options = {}) {
+  return new AnalyticsService(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultAnalyticsService = new AnalyticsService();
+
+if (typeof window !== 'undefined') {
+  const initializeAnalyticsService = () => {
+    if (window.firebaseServices) defaultAnalyticsService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultAnalyticsService.setStateManager(window.state);
+    window.analyticsService = defaultAnalyticsService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeAnalyticsService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeAnalyticsService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultAnalyticsService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultAnalyticsService;
+export { AnalyticsService, ANALYTICS_DEFAULTS, METRICS };
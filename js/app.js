@@ -9,12 +9,35 @@
 import firebaseServices from './firebase.js';
 import state from './state.js';
 import authService from './authService.js';
+import availabilityService, { toDateKey } from './availabilityService.js';
+import pricingService from './pricingService.js';
+import bookingWorkflow from './bookingWorkflow.js';
+import reviewService from './reviewService.js';
+import reportService from './reportService.js';
+import adminConsole from './dashboard.js';
+import messagingService from './messagingService.js';
+import listingQuery from './listingQuery.js';
+import savedSearchService, { ALERTS_HINT } from './savedSearchService.js';
+import analyticsService from './analyticsService.js';
+import calendarService from './calendarService.js';
+import offlineStore from './offlineStore.js';
+import outbox from './outbox.js';
+import serviceWorkerClient from './serviceWorkerClient.js';
+import pushService from './pushService.js';
+import { coverImage } from './imagePipeline.js';
+import createGallery from './gallery.js';
+import { createListingMap } from './mapView.js';
+import { collectionForListing, isBnb, toListing } from './listings.js';
 
 // Defensive ui import: some versions exported `uiManager`, others default.
 // Try to import named then default at runtime.
 import * as uiModule from './ui.js';
+import { escapeHtml } from './html.js';
 const uiManager = uiModule.uiManager || uiModule.default || null;
 
+// Stays that belong in the hunter's trip history whatever their dates
+const TRIP_HISTORY_STATUSES = ['completed', 'declined', 'cancelled-by-guest', 'cancelled-by-host'];
+
 // AppController
 class AppController {
   constructor() {
@@ -22,6 +45,27 @@ class AppController {
     this.ui = uiManager;                   // uiManager instance (or null)
     this.firebase = firebaseServices;      // firebaseServices wrapper
     this.auth = authService;               // auth service
+    this.availability = availabilityService; // booking availability engine
+    this.pricing = pricingService;         // quotes + receipts
+    this.workflow = bookingWorkflow;       // booking status transitions
+    this.reviews = reviewService;          // listing reviews + ratings
+    this.reports = reportService;          // listing reports + moderation
+    this.adminConsole = adminConsole;      // dashboard-admin users/listings/activity
+    this.messaging = messagingService;     // hunter <-> host threads
+    this.listingQuery = listingQuery;      // server-side browse filters/sort/pages
+    this.savedSearches = savedSearchService; // hunter saved searches + match alerts
+    this.analytics = analyticsService;     // listing views + host dashboard analytics
+    this.calendar = calendarService;       // BnB host calendar: blocked nights + pricing rules
+    this.offline = offlineStore;           // IndexedDB listing snapshot for offline browsing
+    this.outbox = outbox;                  // writes made offline, replayed when back online
+    this.serviceWorker = serviceWorkerClient; // registration + "new version available" prompt
+    this.push = pushService;               // opt-in booking/message notifications
+    this.messageListeners = [];            // onSnapshot unsubscribers for the messages panel
+    this.gallery = null;                   // house-detail photo gallery (created on demand)
+    this.listingTypeScope = null;          // restricts listing grids to one type (bnb.html)
+    this.browse = null;                    // listing browser page/cursor state
+    this.listingMap = null;                // browse/bnb map view (created when first shown)
+    this.distanceOrigin = null;            // { lat, lng } the distance filter measures from
     this.initialized = false;
     this.firebaseReady = !!(this.firebase && this.firebase.ready);
     this.authReady = !!(this.auth && this.auth.isFirebaseReady && this.auth.isFirebaseReady());
@@ -36,6 +80,7 @@ class AppController {
 
     this._wireMobileToggleShortcuts();
     this._wireNavSignOut();
+    this._registerServiceWorker();
 
     // attach state -> ui if available
     if (this.ui && typeof this.ui.setStateManager === 'function') {
@@ -56,6 +101,17 @@ class AppController {
         this.auth.setFirebaseServices?.(this.firebase);
         this.auth.setStateManager?.(this.state);
       }
+      this.availability.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.workflow.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.reviews.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.reports.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.messaging.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.listingQuery.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.savedSearches.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.analytics.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.calendar.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this.push.setFirebaseServices(this.firebase).setStateManager(this.state);
+      this._initOutbox();
 
       // Wire auth listener and initialize app state
       await this.setupAuthListener();
@@ -160,13 +216,28 @@ class AppController {
           // load dependent data
           await this.state.loadListings();
           await this.state.loadFavorites();
+          // keep listings, favorites and bookings live from here on
+          this.state.startRealtime();
+          // send anything this user queued while offline
+          this.outbox.flush();
+          // booking/message notifications, if this device opted in
+          this.push.startWatching();
+          // hunters get alerts for new listings matching their saved searches
+          if (userData.role === 'hunter') this.savedSearches.startWatching();
+          else this.savedSearches.stopWatching();
           // optionally redirect if on auth pages
           this._maybeRedirectFromAuthPage(userData.role);
           // update UI
           if (this.ui?.updateUI) this.ui.updateUI(this.state.getCurrentUser?.());
         } else {
           // logged out
-          this.state.updateState({ currentUser: null, role: 'guest', favorites: [] });
+          // (clearing currentUser stops the previous user's listeners)
+          this.state.updateState({ currentUser: null, role: 'guest', favorites: [], bookings: [] });
+          this.savedSearches.stopWatching();
+          this.push.stopWatching();
+          // the offline snapshot must not keep the previous user's listings/favorites
+          this.offline.forgetUser();
+          this.state.startRealtime();
           // if on dashboard pages, redirect to login
           this._maybeRedirectToLoginIfProtected();
           if (this.ui?.updateUI) this.ui.updateUI(null);
@@ -185,18 +256,18 @@ class AppController {
         const route = this.auth.getDashboardRoute?.(role) || this._defaultDashboardForRole(role);
         if (route) this._safeReplace(route);
       }
-    } catch (err) { /* ignore */ }
+    } catch { /* ignore */ }
   }
 
   // If unauthenticated on dashboard pages, redirect to login with next param
   _maybeRedirectToLoginIfProtected() {
     try {
       const path = window.location.pathname;
-      if (path.includes('dashboard-')) {
+      if (path.includes('dashboard-') || path.includes('notifications.html')) {
         const next = encodeURIComponent(window.location.pathname + (window.location.search || ''));
         this._safeReplace(`/login.html?next=${next}`);
       }
-    } catch (err) { /* ignore */ }
+    } catch { /* ignore */ }
   }
 
   // Page-specific initialization
@@ -208,7 +279,7 @@ class AppController {
 
     if (path.includes('browse.html')) {
       this.initBrowsePage();
-    } else if (path.includes('bnb.html')) {
+    } else if (path.endsWith('/bnb.html')) {
       this.initBnbPage();
     } else if (path.includes('house-detail.html')) {
       this.initHouseDetailPage();
@@ -218,6 +289,8 @@ class AppController {
       this.initAdminDashboard();
     } else if (path.includes('dashboard-bnb.html') || path.includes('dashboard-provider.html') || path.includes('dashboard-hunter.html')) {
       this.initDashboardPage();
+    } else if (path.includes('notifications.html')) {
+      this.initNotificationsPage();
     } else if (path.includes('login.html') || path.includes('register.html')) {
       // auth pages are mostly handled by authService
       // ensure ui updates if present
@@ -228,6 +301,21 @@ class AppController {
     this.initCommonWidgets();
   }
 
+  // ---------------------------
+  // Admin dashboard
+  // ---------------------------
+  async initAdminDashboard() {
+    // shares the role guard + widget wiring (moderation queue) with other dashboards
+    const allowed = await this.initDashboardPage();
+    if (!allowed) return;
+
+    this.loadAdminStats();
+    await this.adminConsole
+      .setFirebaseServices(this.firebase)
+      .setStateManager(this.state)
+      .init({ onChange: () => this.loadAdminStats() });
+  }
+
   // ---------------------------
   // Browse page
   // ---------------------------
@@ -235,92 +323,358 @@ class AppController {
     const root = document.getElementById('browse-root') || document.querySelector('[data-page="browse"]');
     if (!root) return;
 
-    // initial render using state.listings (state.loadListings was called earlier)
-    const listings = this.state.getState().listings || [];
-    if (this.ui?.renderListings) {
-      this.ui.renderListings(listings);
-    } else {
-      this._renderListingsFallback(listings);
-    }
+    this._initListingBrowser();
+  }
 
-    // wiring filters (if elements exist)
-    const locationInput = document.getElementById('location-filter');
-    const priceSelect = document.getElementById('price-filter');
-    const typeSelect = document.getElementById('type-filter');
-    const resetBtn = document.getElementById('reset-filters');
-    const searchInput = document.getElementById('search-input');
+  // ---------------------------
+  // BnB page
+  // ---------------------------
+  initBnbPage() {
+    const root = document.getElementById('bnb-root') || document.querySelector('[data-page="bnb"]');
+    if (!root) return;
 
-    if (locationInput) {
-      locationInput.addEventListener('input', (e) => {
-        const filters = { ...this.state.getState().filters, location: e.target.value };
-        this.state.updateState({ filters });
-        this._applyAndRenderFilters();
-      });
-    }
-    if (priceSelect) {
-      priceSelect.addEventListener('change', (e) => {
-        const [min, max] = (e.target.value || '0-Infinity').split('-').map(v => (v === 'Infinity' ? Infinity : Number(v)));
-        const filters = { ...this.state.getState().filters, priceRange: [min || 0, max || Infinity] };
-        this.state.updateState({ filters });
-        this._applyAndRenderFilters();
-      });
+    // this page only lists BnBs, whatever the type filter says
+    this.listingTypeScope = 'bnb';
+    this._initListingBrowser();
+  }
+
+  // ---------------------------
+  // Listing browser (browse + bnb): paged Firestore queries via listingQuery
+  // ---------------------------
+  _initListingBrowser() {
+    // cursors[i] fetches page i (null = first page); a trailing entry means "Next" is available
+    this.browse = { page: 0, cursors: [null], result: null, request: 0 };
+    this._syncFilterControls(this.state.getState().filters);
+
+    const applyBtn = document.getElementById('apply-filters');
+    applyBtn?.addEventListener('click', () => {
+      this.state.updateState({ filters: this._readFilterControls() });
+      this._loadListingPage(0);
+    });
+    document.getElementById('reset-filters')?.addEventListener('click', () => {
+      this.state.resetFilters();
+      this.distanceOrigin = null;
+      this.listingMap?.setOrigin(null);
+      this._syncFilterControls(this.state.getState().filters);
+      this._loadListingPage(0);
+    });
+    document.getElementById('location')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') applyBtn?.click();
+    });
+    // search-as-you-type, composed with whatever filters are active
+    let searchTimer = null;
+    document.getElementById('search-input')?.addEventListener('input', (e) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        this.state.updateState({ filters: { ...this.state.getState().filters, query: e.target.value.trim() } });
+        this._loadListingPage(0);
+      }, 250);
+    });
+    this._wireSortSelect(() => this._loadListingPage(0));
+    this._wireMapControls();
+    this._wireSaveSearch();
+    this._initOfflineBanner();
+
+    document.getElementById('pagination')?.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-page-nav]');
+      if (!btn || btn.disabled) return;
+      this._loadListingPage(this.browse.page + (btn.dataset.pageNav === 'next' ? 1 : -1));
+    });
+
+    this.state.subscribe((state, changes) => {
+      if (!this.browse.result || changes?.source !== 'listings') return;
+      // offline pages are slices of state.listings; live pages are patched in place
+      if (this.browse.result.source !== 'memory') this._patchListingPage(changes);
+      else if (state.isOffline) this._loadListingPage(this.browse.page);
+      else this._loadListingPage(0);
+    });
+    // back online: offline pages give way to Firestore pages
+    window.addEventListener('online', () => {
+      if (this.browse.result?.source === 'memory') this._loadListingPage(0);
+    });
+
+    // ?search=<id> opens a saved search from the hunter dashboard
+    this._applySavedSearch(new URLSearchParams(window.location.search).get('search'))
+      .finally(() => this._loadListingPage(0));
+  }
+
+  async _applySavedSearch(searchId) {
+    if (!searchId) return;
+    try {
+      const search = await this.savedSearches.getSearch(searchId);
+      if (!search) return;
+      const filters = this.savedSearches.toFilters(search);
+      this.state.resetFilters();
+      this.state.updateState({ filters: { ...this.state.getState().filters, ...filters } });
+      this.distanceOrigin = filters.near ? { lat: filters.near.lat, lng: filters.near.lng } : null;
+      this._syncFilterControls(this.state.getState().filters);
+      const originEl = document.getElementById('distance-origin');
+      if (originEl && filters.near) originEl.textContent = 'Measuring from the saved search\'s starting point.';
+    } catch (err) {
+      console.error('[App] Failed to open saved search:', err);
     }
-    if (typeSelect) {
-      typeSelect.addEventListener('change', (e) => {
-        const filters = { ...this.state.getState().filters, type: e.target.value };
+  }
+
+  // "Save search" on the browse pages; signed-in hunters only
+  _wireSaveSearch() {
+    const toggle = document.getElementById('save-search');
+    const form = document.getElementById('save-search-form');
+    if (!toggle || !form) return;
+
+    const browserAlerts = form.elements['save-search-browser'];
+    const alertsLabel = browserAlerts?.closest('label');
+    if (alertsLabel) alertsLabel.title = ALERTS_HINT;
+    if (browserAlerts && !this.savedSearches.browserAlertsSupported()) alertsLabel?.classList.add('hidden');
+
+    toggle.addEventListener('click', () => {
+      const user = this.state.getCurrentUser();
+      if (!user) {
+        const next = encodeURIComponent(window.location.pathname + (window.location.search || ''));
+        window.location.href = `/login.html?next=${next}`;
+        return;
+      }
+      if (this.state.getState().role !== 'hunter') {
+        alert('Saved searches are available to house hunters.');
+        return;
+      }
+      form.classList.toggle('hidden');
+      if (!form.classList.contains('hidden')) form.elements['save-search-name']?.focus();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const submitBtn = form.querySelector('button[type="submit"]');
+      if (submitBtn) submitBtn.disabled = true;
+      try {
+        const wantsBrowser = !!browserAlerts?.checked;
+        if (wantsBrowser && !(await this.savedSearches.requestBrowserPermission())) {
+          alert('Notifications are blocked for this site; you will still see matches on your dashboard.');
+        }
+        // save what the controls show, even if "Apply" was not pressed
+        const filters = this._readFilterControls();
         this.state.updateState({ filters });
-        this._applyAndRenderFilters();
-      });
-    }
-    if (resetBtn) {
-      resetBtn.addEventListener('click', () => {
-        this.state.resetFilters();
-        this._applyAndRenderFilters();
-      });
-    }
-    if (searchInput) {
-      searchInput.addEventListener('input', (e) => {
-        const results = this.state.searchListings(e.target.value);
-        if (this.ui?.renderListings) this.ui.renderListings(results);
-        else this._renderListingsFallback(results);
-      });
-    }
+        await this.savedSearches.saveSearch(form.elements['save-search-name'].value, filters, {
+          scope: this.listingTypeScope,
+          browserAlerts: wantsBrowser && Notification.permission === 'granted'
+        });
+        form.reset();
+        form.classList.add('hidden');
+        alert('Search saved. We will let you know when new listings match.');
+      } catch (err) {
+        alert(err.message || 'Could not save this search.');
+      } finally {
+        if (submitBtn) submitBtn.disabled = false;
+      }
+    });
+  }
 
-    // subscribe to state changes to re-render listings
-    this.state.subscribe((s) => {
-      const filtered = this.state.applyFilters();
-      if (this.ui?.renderListings) this.ui.renderListings(filtered);
-      else this._renderListingsFallback(filtered);
+  async _loadListingPage(page) {
+    if (page < 0 || page >= this.browse.cursors.length) return;
+    const request = ++this.browse.request;
+    const loading = document.getElementById('loading-indicator');
+    loading?.classList.remove('hidden');
+
+    const { filters, sortBy } = this.state.getState();
+    const result = await this.listingQuery.fetchPage({
+      filters,
+      sortBy,
+      cursor: this.browse.cursors[page],
+      scope: this.listingTypeScope
     });
+    // a newer filter/sort/page request has superseded this one
+    if (request !== this.browse.request) return;
+    loading?.classList.add('hidden');
+
+    this.browse.page = page;
+    this.browse.result = result;
+    this.browse.cursors = this.browse.cursors.slice(0, page + 1);
+    if (result.hasMore) this.browse.cursors.push(result.cursor);
+    // only the page on screen is kept live
+    this.state.watchListings(result.source === 'memory' ? [] : result.listings);
+    this._renderListingPage();
+  }
+
+  // New listings are left for the next query so cursors stay valid
+  _patchListingPage({ modified, removed }) {
+    const updated = new Map(modified.map(l => [l.id, l]));
+    const gone = new Set(removed.map(l => l.id));
+    const { result } = this.browse;
+    const listings = result.listings
+      .filter(l => !gone.has(l.id))
+      .map(l => updated.get(l.id) || l)
+      .filter(l => this.state.isListingVisible(l));
+    this.browse.result = { ...result, listings };
+    this._renderListingPage();
+  }
+
+  _renderListingPage() {
+    const { listings, total } = this.browse.result;
+    const start = this.browse.page * this.listingQuery.options.pageSize + 1;
+
+    const count = document.getElementById('results-number');
+    if (count) count.textContent = total ?? (listings.length ? `${start}–${start + listings.length - 1}` : 0);
+    document.getElementById('no-results')?.classList.toggle('hidden', listings.length > 0);
+
+    if (this.ui?.renderListings) this.ui.renderListings(listings);
+    else this._renderListingsFallback(listings);
+    this._renderPagination();
+
+    const { bounds } = this.state.getState().filters;
+    document.getElementById('map-area-active')?.classList.toggle('hidden', !bounds);
+    // an area search keeps the user's viewport; otherwise frame the results
+    if (this.listingMap?.map) this.listingMap.setListings(listings, { fit: !bounds });
   }
 
   // ---------------------------
-  // BnB page
+  // Map view + distance filter (browse + bnb)
   // ---------------------------
-  initBnbPage() {
-    const root = document.getElementById('bnb-root') || document.querySelector('[data-page="bnb"]');
-    if (!root) return;
+  _wireMapControls() {
+    const mapEl = document.getElementById('listings-map');
+    const toggle = document.getElementById('toggle-map');
+    if (!mapEl) return;
+
+    toggle?.addEventListener('click', async () => {
+      if (mapEl.classList.contains('hidden') && await this._showListingMap()) return;
+      mapEl.classList.add('hidden');
+      toggle.textContent = 'Show map';
+      toggle.setAttribute('aria-pressed', 'false');
+    });
+
+    document.getElementById('clear-map-area')?.addEventListener('click', () => {
+      this.state.updateState({ filters: { ...this.state.getState().filters, bounds: null } });
+      this._loadListingPage(0);
+    });
+
+    document.getElementById('distance-use-location')?.addEventListener('click', () => {
+      if (!navigator.geolocation) {
+        alert('Location is not available in this browser.');
+        return;
+      }
+      navigator.geolocation.getCurrentPosition(
+        ({ coords }) => this._setDistanceOrigin({ lat: coords.latitude, lng: coords.longitude }, 'your location'),
+        () => alert('Could not get your location. Pick a point on the map instead.'),
+        { enableHighAccuracy: false, timeout: 10000 }
+      );
+    });
 
-    // show bnb-specific filters (amenities)
-    if (this.ui?.renderListings) {
-      const allListings = this.state.getState().listings || [];
-      const bnbs = allListings.filter(l => l.type === 'bnb' || l.type === 'bnb'); // conservative
-      this.ui.renderListings(bnbs);
+    document.getElementById('distance-pick-point')?.addEventListener('click', async () => {
+      const map = await this._showListingMap();
+      if (!map) return;
+      document.getElementById('distance-origin').textContent = 'Click the map to choose a point…';
+      this._setDistanceOrigin(await map.pickPoint(), 'the pinned point');
+    });
+
+    document.getElementById('distance-km')?.addEventListener('change', (e) => {
+      this.listingMap?.setOrigin(this.distanceOrigin, Number(e.target.value) || 0);
+    });
+  }
+
+  async _showListingMap() {
+    const mapEl = document.getElementById('listings-map');
+    if (!mapEl) return null;
+    mapEl.classList.remove('hidden');
+    const toggle = document.getElementById('toggle-map');
+    if (toggle) {
+      toggle.textContent = 'Hide map';
+      toggle.setAttribute('aria-pressed', 'true');
     }
 
-    const amenitiesSelect = document.getElementById('amenities-filter');
-    if (amenitiesSelect) {
-      amenitiesSelect.addEventListener('change', (e) => {
-        const selected = Array.from(e.target.selectedOptions).map(o => o.value);
-        const filters = { ...this.state.getState().filters, amenities: selected };
-        this.state.updateState({ filters });
-        this._applyAndRenderFilters();
-      });
+    try {
+      if (!this.listingMap) {
+        this.listingMap = createListingMap(mapEl, {
+          onSearchArea: (bounds) => {
+            this.state.updateState({ filters: { ...this.state.getState().filters, bounds } });
+            this._loadListingPage(0);
+          }
+        });
+        await this.listingMap.init();
+        this.listingMap.setOrigin(this.distanceOrigin, this.state.getState().filters.near?.radiusKm || 0);
+      }
+      this.listingMap.refreshSize();
+      this.listingMap.setListings(this.browse?.result?.listings || [], { fit: !this.state.getState().filters.bounds });
+      return this.listingMap;
+    } catch (err) {
+      console.error('[App] Map failed to load:', err);
+      mapEl.classList.add('hidden');
+      alert('The map could not be loaded. Check your connection and try again.');
+      return null;
     }
+  }
 
-    // subscribe
-    this.state.subscribe(() => {
-      this._applyAndRenderFilters();
+  _setDistanceOrigin(point, label) {
+    this.distanceOrigin = point;
+    const originEl = document.getElementById('distance-origin');
+    if (originEl) originEl.textContent = `Measuring from ${label} — press Apply Filters.`;
+    const select = document.getElementById('distance-km');
+    if (select && !select.value) select.value = '5';
+    this.listingMap?.setOrigin(point, Number(select?.value) || 0);
+  }
+
+  _renderPagination() {
+    const el = document.getElementById('pagination');
+    if (!el) return;
+    const { page, cursors } = this.browse;
+    const hasNext = page + 1 < cursors.length;
+    el.classList.toggle('hidden', page === 0 && !hasNext);
+
+    const navButton = (dir, label, enabled) => `
+      <button type="button" data-page-nav="${dir}" ${enabled ? '' : 'disabled'}
+        class="px-3 py-2 rounded-md bg-gray-200 text-gray-700 ${enabled ? 'hover:bg-gray-300' : 'opacity-50 cursor-not-allowed'}">${label}</button>`;
+    el.innerHTML = `
+      <nav class="flex items-center space-x-2" aria-label="Pagination">
+        ${navButton('prev', 'Previous', page > 0)}
+        <span class="px-3 py-2 rounded-md bg-indigo-600 text-white" aria-current="page">${page + 1}</span>
+        ${navButton('next', 'Next', hasNext)}
+      </nav>`;
+  }
+
+  _readFilterControls() {
+    const current = this.state.getState().filters;
+    const number = (id) => Number(document.getElementById(id)?.value) || 0;
+    const checked = (name) => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(el => el.value);
+    return {
+      ...current,
+      query: document.getElementById('search-input')?.value.trim() ?? current.query,
+      location: document.getElementById('location')?.value.trim() ?? current.location,
+      priceRange: [number('min-price'), number('max-price') || Infinity],
+      bedrooms: number('bedrooms'),
+      bathrooms: number('bathrooms'),
+      propertyTypes: checked('property-type'),
+      amenities: checked('amenities'),
+      near: this.distanceOrigin && number('distance-km')
+        ? { ...this.distanceOrigin, radiusKm: number('distance-km') }
+        : null
+    };
+  }
+
+  _syncFilterControls(filters) {
+    const setValue = (id, value) => {
+      const el = document.getElementById(id);
+      if (el) el.value = value;
+    };
+    const setChecked = (name, values = []) => {
+      document.querySelectorAll(`input[name="${name}"]`).forEach(el => { el.checked = values.includes(el.value); });
+    };
+    setValue('search-input', filters.query || '');
+    setValue('location', filters.location || '');
+    setValue('min-price', filters.priceRange?.[0] || '');
+    setValue('max-price', Number.isFinite(filters.priceRange?.[1]) ? filters.priceRange[1] : '');
+    setValue('bedrooms', filters.bedrooms || '');
+    setValue('bathrooms', filters.bathrooms || '');
+    setChecked('property-type', filters.propertyTypes);
+    setChecked('amenities', filters.amenities);
+    setValue('distance-km', filters.near?.radiusKm || '');
+    const originEl = document.getElementById('distance-origin');
+    if (originEl && !filters.near) originEl.textContent = 'No starting point chosen.';
+  }
+
+  _wireSortSelect(onChange) {
+    const sortSelect = document.getElementById('sort');
+    if (!sortSelect) return;
+    sortSelect.value = this.state.getState().sortBy || sortSelect.value;
+    sortSelect.addEventListener('change', (e) => {
+      this.state.setSort(e.target.value);
+      onChange?.();
     });
   }
 
@@ -336,14 +690,17 @@ class AppController {
 
     let listing = (this.state.getState().listings || []).find(l => l.id === id);
 
-    if (!listing && this.authReady) {
+    if (!listing && this.authReady && !this.state.isOfflineMode()) {
       // try to fetch by id from houses or bnbs
       listing = await this.fetchListingById(id);
-      if (listing) {
-        // append to state listings for future use
-        const current = this.state.getState().listings || [];
-        this.state.updateState({ listings: [...current, listing] });
-      }
+      // a direct link must not reveal an unpublished listing
+      if (listing && !this.state.isListingVisible(listing)) listing = null;
+      // keep it for other views and the offline snapshot
+      if (listing) this.state.rememberListings([listing]);
+    }
+    // offline: the copy saved the last time this listing was opened
+    if (!listing) {
+      listing = await this.offline.getListing(id, { userId: this.state.getCurrentUser()?.uid });
     }
 
     if (!listing) {
@@ -366,7 +723,445 @@ class AppController {
     }
 
     // wire booking form if present
-    this.setupBookingForm(listing.id, listing.type);
+    this.setupBookingForm(listing);
+
+    this._initReviews(listing);
+    this._setupReportDialog(listing);
+    this._setupMessageHost(listing);
+    this.analytics.recordView(listing);
+    if (!this.state.isOfflineMode()) this.offline.saveViewed(listing);
+    this._initOfflineBanner();
+  }
+
+  // "Offline · last synced ..." on pages that show listings
+  _initOfflineBanner() {
+    const banner = document.getElementById('offline-banner');
+    if (!banner) return;
+    const render = () => {
+      const { isOffline, lastSyncedAt } = this.state.getState();
+      banner.classList.toggle('hidden', !isOffline);
+      if (!isOffline) return;
+      banner.textContent = lastSyncedAt
+        ? `You're offline. Showing listings saved ${new Date(lastSyncedAt).toLocaleString()}.`
+        : "You're offline and no listings have been saved on this device yet.";
+    };
+    render();
+    this.state.subscribe(render);
+  }
+
+  _setupMessageHost(listing) {
+    const button = document.getElementById('message-host');
+    if (!button) return;
+
+    const user = this.state.getCurrentUser?.();
+    // only hunters start conversations; hosts reply from their dashboard
+    if (!listing.providerId || (user && (user.role !== 'hunter' || user.uid === listing.providerId))) {
+      button.classList.add('hidden');
+      return;
+    }
+
+    button.addEventListener('click', async () => {
+      if (!this.state.getCurrentUser?.()) {
+        const next = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.href = `/login.html?next=${next}`;
+        return;
+      }
+      button.disabled = true;
+      try {
+        const threadId = await this.messaging.openThread(listing);
+        window.location.href = `/dashboard-hunter.html?thread=${encodeURIComponent(threadId)}#messages`;
+      } catch (err) {
+        alert(err.message || 'Could not start a conversation.');
+        button.disabled = false;
+      }
+    });
+  }
+
+  // ---------------------------
+  // Report dialog (house-detail)
+  // ---------------------------
+  _setupReportDialog(listing) {
+    const button = document.getElementById('report-button');
+    const dialog = document.getElementById('report-dialog');
+    const form = document.getElementById('report-form');
+    if (!button || !dialog || !form) return;
+
+    const errorEl = document.getElementById('report-error');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    form.elements.reason.insertAdjacentHTML('beforeend', this.reports.renderReasonOptions());
+
+    const close = () => {
+      dialog.classList.add('hidden');
+      form.reset();
+      errorEl.classList.add('hidden');
+    };
+
+    button.addEventListener('click', () => {
+      if (!this.state.getCurrentUser?.()) {
+        const next = encodeURIComponent(window.location.pathname + window.location.search);
+        window.location.href = `/login.html?next=${next}`;
+        return;
+      }
+      dialog.classList.remove('hidden');
+      form.elements.reason.focus();
+    });
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog || e.target.closest('[data-report-cancel]')) close();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !dialog.classList.contains('hidden')) close();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submitBtn.disabled = true;
+      errorEl.classList.add('hidden');
+      const report = {
+        reason: form.elements.reason.value,
+        details: form.elements.details.value,
+        screenshot: form.elements.screenshot.files[0] || null
+      };
+      try {
+        // offline (or the connection drops mid-upload) the report waits in the outbox
+        let sent = false;
+        if (!this.outbox.isOffline()) {
+          try {
+            await this.reports.fileReport(listing, report);
+            sent = true;
+          } catch (err) {
+            if (!this.outbox.isTransient(err)) throw err;
+          }
+        }
+        if (!sent) {
+          await this.outbox.enqueue('report', {
+            listing: { id: listing.id, type: listing.type, collectionName: collectionForListing(listing), title: listing.title || '', providerId: listing.providerId || null },
+            report
+          }, {
+            label: `Report: ${listing.title || 'listing'}`,
+            link: `/house-detail.html?id=${encodeURIComponent(listing.id)}`
+          });
+        }
+        close();
+        button.textContent = sent ? 'Report submitted. Thank you.' : "Report saved. It will be sent when you're back online.";
+        button.disabled = true;
+      } catch (err) {
+        errorEl.textContent = err.message || 'Could not submit report.';
+        errorEl.classList.remove('hidden');
+      } finally {
+        submitBtn.disabled = false;
+      }
+    });
+  }
+
+  // ---------------------------
+  // Reviews (house-detail)
+  // ---------------------------
+  async _initReviews(listing) {
+    const container = document.getElementById('reviews-container');
+    if (!container) return;
+
+    const moreBtn = document.getElementById('reviews-more');
+    const user = this.state.getCurrentUser?.();
+    let cursor = null;
+
+    const renderRating = (l) => {
+      const el = document.getElementById('review-count');
+      if (el) el.textContent = this.reviews.formatRating(l);
+    };
+
+    const loadPage = async (reset = false) => {
+      if (reset) {
+        cursor = null;
+        container.innerHTML = '';
+      }
+      const page = await this.reviews.getReviews(listing.id, { cursor });
+      cursor = page.cursor;
+      if (reset && !page.reviews.length) {
+        container.innerHTML = '<p class="text-gray-500">No reviews yet.</p>';
+      }
+      container.insertAdjacentHTML('beforeend', page.reviews
+        .map(r => this.reviews.renderReview(r, { canReply: this.reviews.canReply(r, user) }))
+        .join(''));
+      if (moreBtn) moreBtn.classList.toggle('hidden', !page.hasMore);
+    };
+
+    renderRating(listing);
+    if (moreBtn) moreBtn.addEventListener('click', () => loadPage());
+
+    // host replies (delegated; forms are re-rendered per page)
+    container.addEventListener('submit', async (e) => {
+      const form = e.target.closest('[data-reply-form]');
+      if (!form) return;
+      e.preventDefault();
+      const button = form.querySelector('button');
+      button.disabled = true;
+      try {
+        const updated = await this.reviews.replyToReview(form.dataset.replyForm, form.elements.reply.value);
+        form.closest('[data-review]').outerHTML = this.reviews.renderReview(updated);
+      } catch (err) {
+        alert(err.message || 'Could not post reply.');
+        button.disabled = false;
+      }
+    });
+
+    await loadPage(true);
+    this._renderReviewForm(listing, async (result) => {
+      renderRating(result);
+      await loadPage(true);
+    });
+  }
+
+  async _renderReviewForm(listing, onSubmitted) {
+    const slot = document.getElementById('review-form-container');
+    if (!slot) return;
+
+    const { allowed } = await this.reviews.canReview(listing.id);
+    if (!allowed) {
+      slot.innerHTML = '';
+      return;
+    }
+
+    slot.innerHTML = `
+      <form id="review-form" class="p-4 bg-gray-50 rounded-lg">
+        <p class="font-medium text-gray-900 mb-2">How was your stay?</p>
+        <div class="flex space-x-1 mb-3" role="radiogroup" aria-label="Rating">
+          ${[1, 2, 3, 4, 5].map(n => `
+            <label class="cursor-pointer">
+              <input type="radio" name="rating" value="${n}" class="sr-only" required>
+              <span data-star="${n}" class="text-2xl text-gray-300">★</span>
+            </label>`).join('')}
+        </div>
+        <textarea name="text" rows="3" required class="w-full px-3 py-2 border border-gray-300 rounded-md" placeholder="Tell future guests about this place"></textarea>
+        <p id="review-error" class="hidden mt-2 text-sm text-red-600"></p>
+        <button type="submit" class="mt-3 px-4 py-2 rounded-md bg-indigo-600 text-white hover:bg-indigo-700">Submit review</button>
+      </form>`;
+
+    const form = slot.querySelector('#review-form');
+    const errorEl = slot.querySelector('#review-error');
+    form.addEventListener('change', () => {
+      const rating = Number(form.elements.rating.value) || 0;
+      form.querySelectorAll('[data-star]').forEach(star => {
+        star.classList.toggle('text-yellow-400', Number(star.dataset.star) <= rating);
+        star.classList.toggle('text-gray-300', Number(star.dataset.star) > rating);
+      });
+    });
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const button = form.querySelector('button[type="submit"]');
+      button.disabled = true;
+      errorEl.classList.add('hidden');
+      try {
+        const result = await this.reviews.submitReview(listing.id, {
+          rating: form.elements.rating.value,
+          text: form.elements.text.value
+        });
+        slot.innerHTML = '<p class="text-green-600">Thanks for your review!</p>';
+        await onSubmitted?.(result);
+      } catch (err) {
+        errorEl.textContent = err.message || 'Could not submit review.';
+        errorEl.classList.remove('hidden');
+        button.disabled = false;
+      }
+    });
+  }
+
+  // ---------------------------
+  // Offline outbox
+  // ---------------------------
+  // Replay handlers for writes queued while offline, plus the status pill
+  _initOutbox() {
+    this.outbox
+      .setStateManager(this.state)
+      .register('favorite', ({ payload }) => this.state.setFavorite(payload.listingId, payload.favorite))
+      .register('booking', ({ payload }) => this._submitBooking(payload))
+      .register('message', ({ payload }) => this.messaging.sendMessage(payload.threadId, payload.text))
+      .register('report', async ({ payload }) => {
+        try {
+          await this.reports.fileReport(payload.listing, payload.report);
+        } catch (err) {
+          // already reported from another device while this one was offline
+          if (/already have an open report/i.test(err.message || '')) return;
+          throw err;
+        }
+      })
+      .listen();
+    this._initOutboxStatus();
+  }
+
+  _initOutboxStatus() {
+    if (!document.body || document.getElementById('outbox-status')) return;
+
+    const el = document.createElement('div');
+    el.id = 'outbox-status';
+    el.className = 'hidden bg-white border border-gray-200 rounded-lg shadow-md text-sm';
+    el.setAttribute('role', 'status');
+    // output.css has no fixed/z-index utilities
+    el.style.cssText = 'position: fixed; left: 1rem; bottom: 1rem; z-index: 50; max-width: 24rem;';
+    el.innerHTML = `
+      <button type="button" data-outbox-toggle aria-expanded="false" class="w-full px-4 py-2 text-left font-medium text-gray-900"></button>
+      <ul data-outbox-list class="hidden border-t border-gray-200"></ul>`;
+    document.body.appendChild(el);
+
+    const toggle = el.querySelector('[data-outbox-toggle]');
+    const list = el.querySelector('[data-outbox-list]');
+    let expanded = false;
+    let hideTimer = null;
+
+    const render = async (result = null) => {
+      const uid = this.state.getCurrentUser?.()?.uid;
+      const entries = uid ? await this.outbox.list({ userId: uid }) : [];
+      clearTimeout(hideTimer);
+      if (!entries.length) {
+        list.innerHTML = '';
+        if (result?.sent) {
+          toggle.textContent = 'All changes synced';
+          el.classList.remove('hidden');
+          hideTimer = setTimeout(() => el.classList.add('hidden'), 4000);
+        } else {
+          el.classList.add('hidden');
+        }
+        return;
+      }
+      // a replay that failed (dates taken, listing gone) needs the user's attention
+      if (result?.failed) expanded = true;
+      toggle.textContent = this.outbox.describe(entries);
+      toggle.setAttribute('aria-expanded', String(expanded));
+      list.innerHTML = entries.map(entry => this.outbox.renderEntry(entry)).join('');
+      list.classList.toggle('hidden', !expanded);
+      el.classList.remove('hidden');
+    };
+
+    toggle.addEventListener('click', () => {
+      expanded = !expanded;
+      render();
+    });
+    list.addEventListener('click', async (e) => {
+      const retry = e.target.closest('[data-outbox-retry]');
+      const discard = e.target.closest('[data-outbox-discard]');
+      if (retry) {
+        await this.outbox.retry(retry.dataset.outboxRetry);
+      } else if (discard && confirm('Discard this change? It will not be sent.')) {
+        const entry = await this.outbox.discard(discard.dataset.outboxDiscard);
+        // the favorite was only toggled locally; reload the real list
+        if (entry?.type === 'favorite') {
+          await this.state.loadFavorites();
+          this.state.notify();
+        }
+      }
+    });
+
+    this.outbox.subscribe(render);
+    // entries belong to one user; redraw when someone else signs in
+    let renderedUid = null;
+    this.state.subscribe(() => {
+      const uid = this.state.getCurrentUser?.()?.uid || null;
+      if (uid === renderedUid) return;
+      renderedUid = uid;
+      render();
+    });
+  }
+
+  // ---------------------------
+  // Notification settings (notifications.html)
+  // ---------------------------
+  async initNotificationsPage() {
+    const form = document.getElementById('notification-prefs-form');
+    if (!form) return;
+    const allowed = await this.auth.enforceRoleGuard(['hunter', 'bnb', 'provider', 'admin']);
+    if (!allowed) return;
+    const user = await this._whenSignedIn();
+
+    const back = document.getElementById('notifications-back');
+    if (back) back.href = this.auth.getDashboardRoute(user.role);
+
+    const statusEl = document.getElementById('push-status');
+    const toggle = document.getElementById('push-toggle');
+    const testBtn = document.getElementById('push-test');
+    const prefsEl = document.getElementById('notification-prefs');
+    const errorEl = document.getElementById('push-error');
+    const savedEl = document.getElementById('notification-prefs-saved');
+    let settings = null;
+
+    const showError = (err) => {
+      errorEl.textContent = err?.message || 'Something went wrong.';
+      errorEl.classList.remove('hidden');
+    };
+    const render = () => {
+      const { permission, enabledHere } = settings;
+      const devices = Object.keys(settings.devices).length;
+      let status = enabledHere ? 'Notifications are on for this device.' : 'Notifications are off for this device.';
+      if (permission === 'unsupported') status = "This browser can't show notifications.";
+      else if (permission === 'denied') status = 'Notifications are blocked for this site. Allow them in your browser settings.';
+      if (devices) status += ` ${devices} ${devices === 1 ? 'device is' : 'devices are'} signed up.`;
+      statusEl.textContent = status;
+      toggle.textContent = enabledHere ? 'Turn off on this device' : 'Turn on for this device';
+      toggle.disabled = !enabledHere && (permission === 'unsupported' || permission === 'denied');
+      testBtn.classList.toggle('hidden', !enabledHere);
+      prefsEl.innerHTML = this.push.renderPreferences(settings.prefs);
+    };
+    const load = async () => {
+      settings = await this.push.getSettings();
+      render();
+    };
+
+    try {
+      await load();
+    } catch (err) {
+      showError(err);
+      return;
+    }
+
+    toggle.addEventListener('click', async () => {
+      errorEl.classList.add('hidden');
+      toggle.disabled = true;
+      try {
+        if (settings.enabledHere) await this.push.disable();
+        else await this.push.enable();
+        await load();
+      } catch (err) {
+        showError(err);
+        toggle.disabled = false;
+      }
+    });
+
+    testBtn.addEventListener('click', async () => {
+      errorEl.classList.add('hidden');
+      try {
+        await this.push.sendTest();
+      } catch (err) {
+        showError(err);
+      }
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      errorEl.classList.add('hidden');
+      const prefs = Object.fromEntries(
+        [...form.querySelectorAll('input[type="checkbox"]')].map(input => [input.name, input.checked])
+      );
+      try {
+        settings.prefs = await this.push.savePreferences(prefs);
+        savedEl?.classList.remove('hidden');
+        setTimeout(() => savedEl?.classList.add('hidden'), 3000);
+      } catch (err) {
+        showError(err);
+      }
+    });
+  }
+
+  // The auth listener fills state.currentUser after the profile loads;
+  // pages that need it right after the role guard wait here
+  _whenSignedIn() {
+    const user = this.state.getCurrentUser?.();
+    if (user) return Promise.resolve(user);
+    return new Promise(resolve => {
+      const stop = this.state.subscribe(() => {
+        const next = this.state.getCurrentUser?.();
+        if (!next) return;
+        stop();
+        resolve(next);
+      });
+    });
   }
 
   // ---------------------------
@@ -395,12 +1190,24 @@ class AppController {
   async _handleBookingSubmit(form) {
     const formData = new FormData(form);
     const listingId = formData.get('listingId') || this.state.getState().booking?.id;
-    const start = formData.get('start-date');
-    const end = formData.get('end-date');
+    const start = formData.get('start-date') || formData.get('check-in');
+    const end = formData.get('end-date') || formData.get('check-out');
     const guests = Number(formData.get('guests') || 1);
+    const request = { listingId, start, end, guests, specialRequests: formData.get('special-requests') || '' };
 
     if (!listingId) { alert('Invalid listing'); return; }
 
+    // fail fast on bad dates / known conflicts before asking for login;
+    // offline only the dates can be checked, the replay re-checks the rest
+    const offline = this.outbox.isOffline();
+    const check = offline
+      ? this._offlineAvailability(await this._getOfflineListing(listingId), start, end)
+      : await this.availability.checkAvailability(listingId, start, end);
+    if (!check.available) {
+      this._renderAvailabilityMessage(check);
+      return;
+    }
+
     if (!this.authReady || !this.state.getState().currentUser) {
       alert('Please login to make a booking.');
       const next = encodeURIComponent(window.location.pathname + window.location.search);
@@ -408,41 +1215,184 @@ class AppController {
       return;
     }
 
-    try {
-      const booking = {
-        listingId,
-        userId: this.state.getState().currentUser.uid,
-        startDate: start,
-        endDate: end,
-        guests,
-        specialRequests: formData.get('special-requests') || '',
-        status: 'pending',
-        createdAt: this.firebase.serverTimestamp ? this.firebase.serverTimestamp() : this.firebase.toTimestamp(new Date())
-      };
+    const resetForm = () => {
+      form.reset();
+      this._renderAvailabilityMessage(null);
+      this._renderQuote(null);
+    };
 
-      const docRef = await this.firebase.addDoc(this.firebase.collections.bookings, booking);
+    try {
+      if (offline) {
+        await this._queueBooking(request);
+        resetForm();
+        return;
+      }
+      await this._submitBooking(request);
       // optionally create receipt in state or display
       if (this.ui?.showToast) this.ui.showToast('Booking submitted successfully');
-      form.reset();
-      // Update local booking list if needed
-      const bookings = this.state.getState().bookings || [];
-      this.state.updateState({ bookings: [...bookings, { id: docRef.id, ...booking }] });
+      resetForm();
+      this._renderBlockedRanges(await this.availability.getBlockedRanges(listingId));
     } catch (err) {
+      if (this.outbox.isTransient(err)) {
+        try {
+          await this._queueBooking(request);
+          resetForm();
+        } catch (queueErr) {
+          alert(queueErr?.message || 'Booking failed. Please try again.');
+        }
+        return;
+      }
       console.error('[App] Booking failed:', err);
-      alert('Booking failed. Please try again.');
+      alert(err?.message || 'Booking failed. Please try again.');
     }
   }
 
-  setupBookingForm(listingId, listingType) {
+  /**
+   * _submitBooking({ listingId, start, end, guests, specialRequests }) -> booking
+   * Prices and creates the booking request; also the outbox replay for
+   * requests made offline, so the quote is taken when it is actually sent.
+   */
+  async _submitBooking({ listingId, start, end, guests, specialRequests = '' }) {
+    const listing = await this._getListing(listingId);
+    if (!listing) throw new Error('This listing is no longer available.');
+    const quote = this.pricing.quote(listing, { startDate: start, endDate: end, guests });
+    const currentUser = this.state.getState().currentUser;
+    const booking = {
+      listingId,
+      listingTitle: listing?.title || '',
+      providerId: listing?.providerId || null,
+      userId: currentUser.uid,
+      guestName: currentUser.name || currentUser.email || '',
+      startDate: start,
+      endDate: end,
+      guests,
+      ...this.pricing.toBookingFields(quote),
+      specialRequests,
+      status: 'pending',
+      history: [{ from: null, to: 'pending', action: 'request', by: currentUser.uid, actor: 'guest', reason: null, at: this.firebase.toTimestamp(new Date()) }],
+      createdAt: this.firebase.serverTimestamp ? this.firebase.serverTimestamp() : this.firebase.toTimestamp(new Date())
+    };
+
+    // availability engine re-checks overlaps inside a transaction
+    const created = await this.availability.createBooking(booking);
+    // Update local booking list if needed
+    const bookings = this.state.getState().bookings || [];
+    this.state.updateState({ bookings: [...bookings, created] });
+    return created;
+  }
+
+  async _queueBooking(request) {
+    const listing = await this._getOfflineListing(request.listingId);
+    await this.outbox.enqueue('booking', request, {
+      label: `Booking request: ${listing?.title || 'listing'}, ${request.start} to ${request.end}`,
+      link: `/house-detail.html?id=${encodeURIComponent(request.listingId)}`
+    });
+    alert("You're offline. Your booking request is saved on this device and will be sent when you're back online.");
+  }
+
+  // The listing from state, else the copy saved for offline browsing
+  async _getOfflineListing(listingId) {
+    const cached = (this.state.getState().listings || []).find(l => l.id === listingId);
+    return cached || this.offline.getListing(listingId, { userId: this.state.getCurrentUser?.()?.uid || null });
+  }
+
+  async setupBookingForm(listing) {
     const bookingForm = document.getElementById('booking-form');
     if (!bookingForm) return;
     // pre-fill listingId
     const hidden = bookingForm.querySelector('input[name="listingId"]');
-    if (hidden) hidden.value = listingId;
+    if (hidden) hidden.value = listing.id;
+
+    // constrain date pickers to the listing's availability window
+    const checkIn = bookingForm.querySelector('[name="check-in"], [name="start-date"]');
+    const checkOut = bookingForm.querySelector('[name="check-out"], [name="end-date"]');
+    const today = new Date().toISOString().slice(0, 10);
+    const minDate = listing.availableFrom && listing.availableFrom > today ? listing.availableFrom : today;
+    [checkIn, checkOut].forEach(input => {
+      if (!input) return;
+      input.min = minDate;
+      if (listing.availableTo) input.max = listing.availableTo;
+    });
+
+    // live conflict check + price quote as dates/guests change
+    const guestsSelect = bookingForm.querySelector('[name="guests"]');
+    const onDatesChange = async () => {
+      if (!checkIn?.value || !checkOut?.value) {
+        this._renderQuote(null);
+        return this._renderAvailabilityMessage(null);
+      }
+      this._renderQuote(this.pricing.quote(listing, {
+        startDate: checkIn.value,
+        endDate: checkOut.value,
+        guests: guestsSelect?.value
+      }));
+      const result = this.outbox.isOffline()
+        ? this._offlineAvailability(listing, checkIn.value, checkOut.value)
+        : await this.availability.checkAvailability(listing.id, checkIn.value, checkOut.value);
+      this._renderAvailabilityMessage(result);
+    };
+    checkIn?.addEventListener('change', onDatesChange);
+    checkOut?.addEventListener('change', onDatesChange);
+    guestsSelect?.addEventListener('change', onDatesChange);
+
     bookingForm.addEventListener('submit', (e) => {
       e.preventDefault();
       this._handleBookingSubmit(bookingForm);
     });
+
+    this._renderBlockedRanges(await this.availability.getBlockedRanges(listing.id));
+  }
+
+  _renderAvailabilityMessage(result) {
+    const el = document.getElementById('availability-message');
+    const submitBtn = document.querySelector('#booking-form button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = !!(result && !result.available);
+    if (!el) return;
+
+    if (!result) {
+      el.textContent = '';
+      el.className = 'hidden';
+      return;
+    }
+    if (result.available && result.offline) {
+      el.className = 'text-sm text-gray-600';
+      el.textContent = "You're offline. Availability is confirmed when your request is sent.";
+      return;
+    }
+    el.className = result.available ? 'text-sm text-green-600' : 'text-sm text-red-600';
+    el.textContent = result.available ? 'These dates are available.' : result.reason;
+  }
+
+  // Offline only the dates can be checked; bookings and blocks need Firestore
+  _offlineAvailability(listing, start, end) {
+    const { valid, reason } = this.availability.validateDates(listing, start, end);
+    return { available: valid, reason, conflicts: [], offline: true };
+  }
+
+  _renderQuote(quote) {
+    const rows = document.getElementById('quote-breakdown');
+    const total = document.getElementById('quote-total');
+    const wrapper = document.getElementById('booking-quote');
+    if (!rows || !total) return;
+
+    if (!quote || !quote.nights) {
+      rows.innerHTML = '';
+      total.textContent = '';
+      wrapper?.classList.add('hidden');
+      return;
+    }
+    rows.innerHTML = this.pricing.renderQuoteRows(quote);
+    total.textContent = this.pricing.formatMoney(quote.total);
+    wrapper?.classList.remove('hidden');
+  }
+
+  _renderBlockedRanges(ranges) {
+    const el = document.getElementById('blocked-dates');
+    if (!el) return;
+    el.innerHTML = ranges.length
+      ? `<p class="font-medium text-gray-700">Unavailable:</p>` +
+        ranges.map(r => `<p>${r.start} → ${r.end}${r.blocked ? ' (closed by host)' : ''}</p>`).join('')
+      : '';
   }
 
   // ---------------------------
@@ -450,7 +1400,7 @@ class AppController {
   // ---------------------------
   async initDashboardPage() {
     const root = document.getElementById('dashboard-root') || document.querySelector('[data-page^="dashboard"]');
-    if (!root) return;
+    if (!root) return false;
 
     // enforce role guard if auth service available
     try {
@@ -463,7 +1413,7 @@ class AppController {
 
       if (requiredRole && this.auth) {
         const allowed = await this.auth.enforceRoleGuard(requiredRole);
-        if (!allowed) return; // auth service will redirect
+        if (!allowed) return false; // auth service will redirect
       }
     } catch (err) {
       console.error('[App] Dashboard role guard failed:', err);
@@ -484,19 +1434,928 @@ class AppController {
     if (document.getElementById('moderation-list')) {
       this._loadPendingReports();
     }
+
+    // hunter bookings + receipts, favorites
+    if (document.getElementById('hunter-bookings')) {
+      this._loadHunterBookings();
+    }
+    if (document.getElementById('favorite-listings')) {
+      this._loadHunterFavorites();
+    }
+
+    // host bookings with accept/decline/check-in/complete/cancel
+    const hostBookings = document.getElementById('recent-bookings') || document.getElementById('upcoming-bookings');
+    if (hostBookings) {
+      this._loadHostBookings(hostBookings);
+    }
+
+    // conversations with hosts / guests
+    if (document.getElementById('message-threads')) {
+      this._initMessaging();
+    }
+
+    // hunter saved searches + new-listing alerts
+    if (document.getElementById('saved-searches')) {
+      this._initSavedSearches();
+    }
+
+    // host views / conversion / occupancy / revenue
+    if (document.getElementById('analytics-panel')) {
+      this._initAnalytics();
+    }
+
+    // BnB availability calendar + pricing rules
+    if (document.getElementById('calendar-grid')) {
+      this._initHostCalendar();
+    }
+    return true;
   }
 
-  // Admin dashboard: load pending reports
-  async _loadPendingReports() {
+  // ---------------------------
+  // Host calendar (BnB dashboard)
+  // ---------------------------
+  async _initHostCalendar() {
+    const grid = document.getElementById('calendar-grid');
+    const listingSelect = document.getElementById('calendar-listing');
+    const seasonList = document.getElementById('season-list');
+    const weekendInput = document.getElementById('weekend-price');
+    const priceInput = document.getElementById('calendar-price');
+    const feedInput = document.getElementById('ical-feed-url');
+    const calendarList = document.getElementById('ical-calendars');
+    if (!grid || !listingSelect || !this.state.getCurrentUser()) return;
+
+    let listings;
+    try {
+      listings = await this.calendar.getHostListings();
+    } catch (err) {
+      console.error('[App] Calendar failed to load:', err);
+      grid.innerHTML = `<p class="col-span-full text-sm text-red-600">${escapeHtml(err.message || 'Could not load your calendar.')}</p>`;
+      return;
+    }
+    if (!listings.length) {
+      grid.innerHTML = '<p class="col-span-full text-sm text-gray-500">Add a BnB to manage its calendar.</p>';
+      return;
+    }
+    listingSelect.innerHTML = listings
+      .map(l => `<option value="${escapeHtml(l.id)}">${escapeHtml(l.title || 'BnB')}</option>`)
+      .join('');
+
+    const today = new Date();
+    const view = { year: today.getFullYear(), month: today.getMonth(), data: null, selected: new Set() };
+
+    const render = () => {
+      const month = this.calendar.buildMonth(view.data, view.year, view.month);
+      document.getElementById('calendar-month').textContent = month.label;
+      grid.innerHTML = this.calendar.renderMonth(month, view.selected);
+      const selection = document.getElementById('calendar-selection');
+      if (selection) {
+        selection.textContent = view.selected.size
+          ? `${view.selected.size} night${view.selected.size === 1 ? '' : 's'} selected`
+          : 'Select nights to block them or change their price.';
+      }
+    };
+    const renderRules = () => {
+      const { listing } = view.data;
+      const rules = listing.pricingRules || {};
+      const base = document.getElementById('calendar-base-price');
+      if (base) base.textContent = this.pricing.formatMoney(this.pricing.getNightlyRate(listing));
+      if (weekendInput) weekendInput.value = rules.weekendPrice ?? '';
+      if (seasonList) seasonList.innerHTML = (rules.seasons || []).map(s => this.calendar.renderSeasonRow(s)).join('');
+    };
+    const renderSync = () => {
+      const { listing } = view.data;
+      if (feedInput) feedInput.value = listing.icalFeedUrl || '';
+      const publish = document.getElementById('ical-publish');
+      if (publish) publish.textContent = listing.icalFeedUrl ? 'Update link' : 'Publish link';
+      const imported = this.calendar.importedCalendars(view.data);
+      if (calendarList) calendarList.innerHTML = imported.map(c => this.calendar.renderImportedCalendar(c)).join('');
+    };
+    const load = async (listing) => {
+      try {
+        view.data = await this.calendar.load(listing);
+        listings = listings.map(l => (l.id === listing.id ? listing : l));
+      } catch (err) {
+        console.error('[App] Calendar failed to load:', err);
+        grid.innerHTML = `<p class="col-span-full text-sm text-red-600">${escapeHtml(err.message || 'Could not load your calendar.')}</p>`;
+        return;
+      }
+      renderRules();
+      renderSync();
+      render();
+    };
+
+    listingSelect.addEventListener('change', () => {
+      view.selected.clear();
+      load(listings.find(l => l.id === listingSelect.value));
+    });
+    const moveMonth = (delta) => {
+      const next = new Date(view.year, view.month + delta, 1);
+      view.year = next.getFullYear();
+      view.month = next.getMonth();
+      if (view.data) render();
+    };
+    document.getElementById('calendar-prev')?.addEventListener('click', () => moveMonth(-1));
+    document.getElementById('calendar-next')?.addEventListener('click', () => moveMonth(1));
+
+    grid.addEventListener('click', (e) => {
+      const day = e.target.closest('[data-calendar-date]');
+      if (!day || day.disabled) return;
+      const date = day.dataset.calendarDate;
+      if (view.selected.has(date)) view.selected.delete(date);
+      else view.selected.add(date);
+      render();
+    });
+
+    // every action reloads the grid so bookings made meanwhile show up too
+    const apply = async (action) => {
+      if (!view.data) return;
+      if (!view.selected.size) {
+        alert('Select one or more nights first.');
+        return;
+      }
+      try {
+        const listing = await action([...view.selected].sort());
+        view.selected.clear();
+        await load(listing || view.data.listing);
+      } catch (err) {
+        alert(err.message || 'Could not update the calendar.');
+      }
+    };
+    document.getElementById('calendar-block')?.addEventListener('click', () => {
+      apply(dates => this.calendar.setBlocked(view.data.listing, dates, true).then(() => null));
+    });
+    document.getElementById('calendar-unblock')?.addEventListener('click', () => {
+      apply(dates => this.calendar.setBlocked(view.data.listing, dates, false).then(() => null));
+    });
+    document.getElementById('calendar-set-price')?.addEventListener('click', () => {
+      if (!priceInput?.value) {
+        alert('Enter a nightly price first.');
+        return;
+      }
+      apply(dates => this.calendar.setPriceOverride(view.data.listing, dates, priceInput.value));
+    });
+    document.getElementById('calendar-clear-price')?.addEventListener('click', () => {
+      apply(dates => this.calendar.setPriceOverride(view.data.listing, dates, null));
+    });
+
+    document.getElementById('add-season')?.addEventListener('click', () => {
+      seasonList?.insertAdjacentHTML('beforeend', this.calendar.renderSeasonRow());
+    });
+    seasonList?.addEventListener('click', (e) => {
+      e.target.closest('[data-season-remove]')?.closest('[data-season-row]')?.remove();
+    });
+    document.getElementById('pricing-rules-form')?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!view.data) return;
+      const seasons = [...(seasonList?.querySelectorAll('[data-season-row]') || [])].map(row => {
+        const field = (name) => row.querySelector(`[data-season-field="${name}"]`)?.value || '';
+        return { label: field('label'), start: field('start'), end: field('end'), price: field('price') };
+      });
+      try {
+        const listing = await this.calendar.savePricingRules(view.data.listing, {
+          ...view.data.listing.pricingRules,
+          weekendPrice: weekendInput?.value,
+          seasons
+        });
+        await load(listing);
+        if (this.ui?.showToast) this.ui.showToast('Pricing saved');
+      } catch (err) {
+        alert(err.message || 'Could not save pricing.');
+      }
+    });
+
+    // iCal: publish/copy/download the feed, import other platforms' calendars
+    document.getElementById('ical-publish')?.addEventListener('click', async (e) => {
+      if (!view.data) return;
+      e.target.disabled = true;
+      try {
+        await load(await this.calendar.publishFeed(view.data.listing, view.data));
+        if (this.ui?.showToast) this.ui.showToast('Calendar link updated');
+      } catch (err) {
+        console.error('[App] Publishing the calendar failed:', err);
+        alert(err.message || 'Could not publish the calendar.');
+      } finally {
+        e.target.disabled = false;
+      }
+    });
+    document.getElementById('ical-copy')?.addEventListener('click', async () => {
+      if (!feedInput?.value) {
+        alert('Publish the link first.');
+        return;
+      }
+      try {
+        await navigator.clipboard.writeText(feedInput.value);
+        if (this.ui?.showToast) this.ui.showToast('Link copied');
+      } catch {
+        feedInput.select();
+      }
+    });
+    document.getElementById('ical-download')?.addEventListener('click', () => {
+      if (view.data) this.calendar.downloadFeed(view.data);
+    });
+
+    const importForm = document.getElementById('ical-import-form');
+    importForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!view.data) return;
+      const resultEl = document.getElementById('ical-import-result');
+      const file = document.getElementById('ical-file')?.files?.[0];
+      const text = file ? await file.text() : document.getElementById('ical-text')?.value;
+      if (!text?.trim()) {
+        alert('Choose an .ics file or paste its contents.');
+        return;
+      }
+
+      try {
+        const result = await this.calendar.importIcs(view.data.listing, text, document.getElementById('ical-calendar-name')?.value);
+        const notes = [`Imported ${result.imported} blocked range${result.imported === 1 ? '' : 's'}.`];
+        if (result.skipped) notes.push(`${result.skipped} past or cancelled event${result.skipped === 1 ? ' was' : 's were'} skipped.`);
+        if (result.conflicts.length) {
+          notes.push(`Not imported because you have bookings then: ${result.conflicts.map(c => `${c.start} → ${c.end}`).join(', ')}.`);
+        }
+        if (result.errors.length) notes.push(`Unreadable events: ${result.errors.join(' ')}`);
+        if (resultEl) {
+          resultEl.textContent = notes.join(' ');
+          resultEl.className = `mt-2 text-sm ${result.conflicts.length || result.errors.length ? 'text-red-600' : 'text-green-600'}`;
+        }
+        importForm.reset();
+        await load(view.data.listing);
+      } catch (err) {
+        alert(err.message || 'Could not import the calendar.');
+      }
+    });
+    calendarList?.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-ical-remove]');
+      if (!btn || !confirm(`Remove the nights imported from ${btn.dataset.icalRemove}?`)) return;
+      try {
+        await this.calendar.removeImportedCalendar(view.data.listing, btn.dataset.icalRemove);
+        await load(view.data.listing);
+      } catch (err) {
+        alert(err.message || 'Could not remove the calendar.');
+      }
+    });
+
+    // keep published feeds (and the grid) in step with booking changes
+    const stopBookings = this.state.subscribe((state, changes) => {
+      if (changes?.source !== 'bookings') return;
+      const changed = new Set([...changes.added, ...changes.modified, ...changes.removed].map(b => b.listingId));
+      this.calendar.refreshFeeds(listings.filter(l => changed.has(l.id)));
+      if (view.data && changed.has(view.data.listing.id)) load(view.data.listing);
+    });
+    window.addEventListener('beforeunload', stopBookings, { once: true });
+
+    await load(listings[0]);
+  }
+
+  // ---------------------------
+  // Analytics panel (provider + BnB dashboards)
+  // ---------------------------
+  async _initAnalytics() {
+    const chart = document.getElementById('analytics-chart');
+    const metricSelect = document.getElementById('analytics-metric');
+    const listingSelect = document.getElementById('analytics-listing');
+    if (!chart || !this.state.getCurrentUser()) return;
+
+    let report;
+    try {
+      report = await this.analytics.load();
+    } catch (err) {
+      console.error('[App] Analytics failed to load:', err);
+      chart.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(err.message || 'Could not load analytics.')}</p>`;
+      return;
+    }
+
+    // stat cards; each dashboard has its own subset
+    const current = report.months.length - 1;
+    const setText = (id, text) => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = text;
+    };
+    setText('active-bookings', report.activeBookings);
+    setText('total-views', report.allTimeViews.toLocaleString());
+    setText('total-revenue', this.analytics.formatMetric('revenue', report.allTimeRevenue));
+    setText('occupancy-rate', this.analytics.formatMetric('occupancy', report.aggregate.series.occupancy[current] ?? 0));
+    setText('monthly-revenue', this.analytics.formatMetric('revenue', report.aggregate.series.revenue[current]));
+
+    if (listingSelect) {
+      listingSelect.insertAdjacentHTML('beforeend', report.listings
+        .map(({ listing }) => `<option value="${escapeHtml(listing.id)}">${escapeHtml(listing.title || 'Listing')}</option>`)
+        .join(''));
+    }
+    const table = document.getElementById('analytics-table');
+    if (table) table.innerHTML = this.analytics.renderTableRows(report);
+
+    const render = () => {
+      const metric = metricSelect?.value || 'views';
+      const listingId = listingSelect?.value || null;
+      chart.innerHTML = this.analytics.renderChart(report, metric, listingId);
+
+      const summary = document.getElementById('analytics-summary');
+      const totals = (listingId ? report.listings.find(r => r.listing.id === listingId) : report.aggregate)?.totals;
+      if (summary && totals) {
+        summary.textContent = Object.entries(this.analytics.metrics)
+          .map(([key, { label }]) => `${label}: ${this.analytics.formatMetric(key, totals[key])}`)
+          .join(' · ');
+      }
+    };
+    metricSelect?.addEventListener('change', render);
+    listingSelect?.addEventListener('change', render);
+    render();
+  }
+
+  // ---------------------------
+  // Saved searches panel (hunter dashboard)
+  // ---------------------------
+  _initSavedSearches() {
+    const list = document.getElementById('saved-searches');
+    const alertsList = document.getElementById('search-alerts');
+    if (!list || !this.state.getCurrentUser()) return;
+
+    const hint = document.getElementById('search-alerts-hint');
+    if (hint) hint.textContent = ALERTS_HINT;
+    let notifications = [];
+    const renderAlerts = () => {
+      const unread = this.savedSearches.unreadCount(notifications);
+      document.querySelectorAll('#search-alerts-unread, [data-alert-badge]').forEach(badge => {
+        badge.textContent = unread;
+        badge.classList.toggle('hidden', !unread);
+      });
+      if (!alertsList) return;
+      alertsList.innerHTML = notifications.length
+        ? notifications.map(n => this.savedSearches.renderNotification(n)).join('')
+        : '<li class="py-2 text-sm text-gray-500">No matches yet. New listings that fit your searches show up here.</li>';
+    };
+
+    const stopSearches = this.savedSearches.subscribeSearches((searches) => {
+      list.innerHTML = searches.length
+        ? searches.map(s => this.savedSearches.renderSearchItem(s)).join('')
+        : '<li class="py-3 text-sm text-gray-500">No saved searches yet. Use "Save search" on the browse page.</li>';
+    });
+    const stopAlerts = this.savedSearches.subscribeNotifications((next) => {
+      notifications = next;
+      renderAlerts();
+    });
+
+    list.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-search-delete]');
+      if (!btn || !confirm('Delete this saved search?')) return;
+      try {
+        await this.savedSearches.deleteSearch(btn.dataset.searchDelete);
+      } catch (err) {
+        alert(err.message || 'Could not delete the search.');
+      }
+    });
+    list.addEventListener('change', async (e) => {
+      const box = e.target.closest('[data-search-browser]');
+      if (!box) return;
+      try {
+        await this.savedSearches.setBrowserAlerts(box.dataset.searchBrowser, box.checked);
+      } catch (err) {
+        box.checked = !box.checked;
+        alert(err.message || 'Could not update alerts.');
+      }
+    });
+
+    alertsList?.addEventListener('click', async (e) => {
+      const link = e.target.closest('[data-notification]');
+      if (!link) return;
+      e.preventDefault();
+      await this.savedSearches.markRead([link.dataset.notification]);
+      window.location.href = link.href;
+    });
+    document.getElementById('mark-alerts-read')?.addEventListener('click', () => {
+      this.savedSearches.markRead(notifications.filter(n => !n.read).map(n => n.id));
+    });
+
+    window.addEventListener('beforeunload', () => {
+      stopSearches();
+      stopAlerts();
+    }, { once: true });
+  }
+
+  // ---------------------------
+  // Messages panel (all non-admin dashboards)
+  // ---------------------------
+  _initMessaging() {
+    const list = document.getElementById('message-threads');
+    const pane = document.getElementById('message-thread');
+    const user = this.state.getCurrentUser();
+    if (!list || !pane || !user) return;
+
+    let threads = [];
+    let activeId = new URLSearchParams(window.location.search).get('thread');
+    let openedId = null;
+    let stopMessages = null;
+    let stopPending = null;
+
+    const renderBadges = () => {
+      const unread = this.messaging.unreadCount(threads, user.uid);
+      document.querySelectorAll('#messages-unread, [data-unread-badge]').forEach(badge => {
+        badge.textContent = unread;
+        badge.classList.toggle('hidden', !unread);
+      });
+    };
+
+    const renderList = () => {
+      list.innerHTML = threads.length
+        ? threads.map(t => this.messaging.renderThreadItem(t, { uid: user.uid, active: t.id === activeId })).join('')
+        : '<li class="px-3 py-4 text-sm text-gray-500">No conversations yet.</li>';
+      renderBadges();
+    };
+
+    const openThread = async (threadId) => {
+      const thread = threads.find(t => t.id === threadId);
+      if (!thread) return;
+      stopMessages?.();
+      stopPending?.();
+      activeId = openedId = threadId;
+      renderList();
+
+      pane.innerHTML = `
+        <div class="px-4 py-2 border-b border-gray-200">
+          <p data-thread-title class="font-medium text-gray-900"></p>
+          <div data-thread-contact></div>
+        </div>
+        <div data-thread-messages class="flex-1 overflow-y-auto p-4 space-y-2"></div>
+        <div data-thread-pending class="px-4 space-y-2"></div>
+        <form data-thread-form class="p-2 border-t border-gray-200 flex space-x-2">
+          <input name="message" type="text" autocomplete="off" required class="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm" placeholder="Write a message">
+          <button type="submit" class="px-4 py-2 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-700">Send</button>
+        </form>`;
+
+      pane.querySelector('[data-thread-title]').textContent = thread.listingTitle || 'Listing';
+      const messagesEl = pane.querySelector('[data-thread-messages]');
+      stopMessages = this.messaging.subscribeMessages(threadId, (messages) => {
+        messagesEl.innerHTML = this.messaging.renderMessages(messages, user.uid);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+        if (threads.find(t => t.id === threadId)?.unread?.[user.uid]) this.messaging.markRead(threadId);
+      });
+
+      // messages written offline, shown until the outbox sends them
+      const pendingEl = pane.querySelector('[data-thread-pending]');
+      const renderPending = async () => {
+        const pending = (await this.outbox.list({ userId: user.uid, type: 'message', status: 'queued' }))
+          .filter(entry => entry.payload.threadId === threadId)
+          .map(entry => ({ senderId: user.uid, text: entry.payload.text, createdAt: null }));
+        pendingEl.innerHTML = pending.length ? this.messaging.renderMessages(pending, user.uid) : '';
+      };
+      renderPending();
+      stopPending = this.outbox.subscribe(renderPending);
+
+      const form = pane.querySelector('[data-thread-form]');
+      form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const input = form.elements.message;
+        const text = input.value;
+        input.value = '';
+        try {
+          let sent = false;
+          if (!this.outbox.isOffline()) {
+            try {
+              await this.messaging.sendMessage(threadId, text);
+              sent = true;
+            } catch (err) {
+              if (!this.outbox.isTransient(err)) throw err;
+            }
+          }
+          if (!sent) {
+            await this.outbox.enqueue('message', { threadId, text }, {
+              label: `Message to ${thread.listingTitle || 'host'}: "${text.trim().slice(0, 40)}"`,
+              link: `${window.location.pathname}?thread=${encodeURIComponent(threadId)}`
+            });
+          }
+        } catch (err) {
+          input.value = text;
+          alert(err.message || 'Message not sent.');
+        }
+      });
+
+      if (thread.hunterId === user.uid) {
+        const contact = await this.messaging.getHostContact(thread);
+        const slot = pane.querySelector('[data-thread-contact]');
+        if (slot) slot.innerHTML = this.messaging.renderContact(contact);
+      }
+    };
+
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-thread]');
+      if (item) openThread(item.dataset.thread);
+    });
+
+    const stopThreads = this.messaging.subscribeThreads((next) => {
+      threads = next;
+      renderList();
+      // deep link (?thread=) or first snapshot after the thread was created
+      if (activeId && activeId !== openedId) openThread(activeId);
+    });
+
+    this.messageListeners.push(stopThreads, () => stopMessages?.(), () => stopPending?.());
+    window.addEventListener('beforeunload', () => this._teardownMessaging(), { once: true });
+  }
+
+  _teardownMessaging() {
+    this.messageListeners.forEach(unsubscribe => unsubscribe());
+    this.messageListeners = [];
+  }
+
+  // Provider/BnB dashboards: bookings on the host's listings
+  async _loadHostBookings(tbody) {
+    const user = this.state.getCurrentUser();
+    if (!tbody || !user) return;
+
     try {
       const snapshot = await this.firebase.getDocs(
-        this.firebase.query(this.firebase.collections.reports, this.firebase.where('status', '==', 'pending'))
+        this.firebase.query(this.firebase.collections.bookings, this.firebase.where('providerId', '==', user.uid))
+      );
+      const bookings = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      this.state.updateState({ bookings });
+
+      const render = () => {
+        const rows = this.state.getState().bookings || [];
+        if (!rows.length) {
+          tbody.innerHTML = `<tr><td colspan="5" class="px-6 py-4 text-center text-gray-500">No bookings yet.</td></tr>`;
+          return;
+        }
+        tbody.innerHTML = rows.map(b => `
+          <tr data-booking-row="${escapeHtml(b.id)}">
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${escapeHtml(b.listingTitle || b.listingId)}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${escapeHtml(b.guestName || b.userId)}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${escapeHtml(b.startDate)} → ${escapeHtml(b.endDate)}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm">${this._statusBadge(b.status)}</td>
+            <td class="px-6 py-4 whitespace-nowrap text-sm space-x-2">${this._bookingActionButtons(b, 'host')}</td>
+          </tr>
+        `).join('');
+      };
+
+      render();
+      this._revealLinkedBooking();
+      this._wireBookingActions(tbody, render);
+      this.state.subscribe((state, changes) => {
+        if (changes?.source === 'bookings') render();
+      });
+    } catch (err) {
+      console.error('[App] Load host bookings failed:', err);
+    }
+  }
+
+  // ?booking=<id> (notification deep links): scroll to that booking and mark it
+  _revealLinkedBooking() {
+    const bookingId = new URLSearchParams(window.location.search).get('booking');
+    const row = bookingId && document.querySelector(`[data-booking-row="${CSS.escape(bookingId)}"]`);
+    if (!row) return;
+    // output.css has no ring utilities
+    row.style.outline = '2px solid #6366f1';
+    row.style.outlineOffset = '2px';
+    row.scrollIntoView({ block: 'center' });
+  }
+
+  _bookingActionButtons(booking, actor) {
+    return this.workflow.availableActions(booking, actor).map(a => `
+      <button data-booking="${escapeHtml(booking.id)}" data-transition="${a.action}"
+        class="text-sm ${a.to.startsWith('cancelled') || a.to === 'declined' ? 'text-red-600 hover:text-red-500' : 'text-indigo-600 hover:text-indigo-500'}">${a.label}</button>
+    `).join('');
+  }
+
+  _wireBookingActions(container, rerender) {
+    container.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-transition]');
+      if (!btn) return;
+      const action = btn.dataset.transition;
+      const def = this.workflow.actions[action];
+
+      let reason = '';
+      if (def?.requiresReason) {
+        reason = window.prompt(`Reason (${def.label.toLowerCase()}):`) || '';
+        if (!reason.trim()) return;
+      }
+
+      btn.disabled = true;
+      try {
+        await this.workflow.transition(btn.dataset.booking, action, { reason });
+        if (this.ui?.showToast) this.ui.showToast('Booking updated');
+        rerender();
+      } catch (err) {
+        console.error('[App] Booking transition failed:', err);
+        alert(err?.message || 'Could not update booking.');
+        btn.disabled = false;
+      }
+    });
+  }
+
+  _statusBadge(status) {
+    const colors = {
+      pending: 'bg-yellow-100 text-yellow-800',
+      confirmed: 'bg-green-100 text-green-800',
+      'checked-in': 'bg-blue-100 text-blue-800',
+      completed: 'bg-gray-100 text-gray-800',
+      declined: 'bg-red-100 text-red-800',
+      'cancelled-by-guest': 'bg-red-100 text-red-800',
+      'cancelled-by-host': 'bg-red-100 text-red-800'
+    };
+    const label = (status || 'unknown').replace(/-/g, ' ');
+    return `<span class="px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${colors[status] || 'bg-gray-100 text-gray-800'}">${escapeHtml(label)}</span>`;
+  }
+
+  // Hunter dashboard: upcoming stays and trip history with receipts,
+  // cancel/reschedule actions and review links for completed stays
+  async _loadHunterBookings() {
+    const upcomingEl = document.getElementById('hunter-bookings');
+    const historyEl = document.getElementById('trip-history');
+    const user = this.state.getCurrentUser();
+    if (!upcomingEl || !user) return;
+
+    try {
+      const snapshot = await this.firebase.getDocs(
+        this.firebase.query(this.firebase.collections.bookings, this.firebase.where('userId', '==', user.uid))
       );
-      const reports = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      const bookings = snapshot.docs.map(d => ({ id: d.id, ...d.data() }));
+      this.state.updateState({ bookings });
+
+      const listingById = {};
+      const loadListings = async (rows) => {
+        const missing = rows.filter(b => !listingById[b.id]);
+        const listings = await Promise.all(missing.map(b => this._getListing(b.listingId)));
+        missing.forEach((b, i) => { listingById[b.id] = listings[i] || {}; });
+      };
+      // listingId -> whether the hunter can still review it (completed stays only)
+      const reviewable = {};
+      const loadReviewable = async (rows) => {
+        const ids = [...new Set(rows.filter(b => b.status === 'completed').map(b => b.listingId))]
+          .filter(id => !(id in reviewable));
+        const results = await Promise.all(ids.map(id => this.reviews.canReview(id)));
+        ids.forEach((id, i) => { reviewable[id] = results[i].allowed; });
+      };
+      await Promise.all([loadListings(bookings), loadReviewable(bookings)]);
+
+      const renderList = (container, rows, empty) => {
+        container.innerHTML = rows.length
+          ? rows.map(b => this._renderHunterBooking(b, listingById[b.id], { canReview: !!reviewable[b.listingId] })).join('')
+          : empty;
+      };
+      const render = () => {
+        const rows = this.state.getState().bookings || [];
+        const findStay = '<a href="/browse.html" class="text-indigo-600">Find a place to stay</a>';
+        if (!historyEl) {
+          renderList(upcomingEl, rows, `<p class="text-gray-500">No bookings yet. ${findStay}</p>`);
+          return;
+        }
+        const { upcoming, past } = this._splitTrips(rows);
+        renderList(upcomingEl, upcoming, `<p class="text-gray-500">No upcoming stays. ${findStay}</p>`);
+        renderList(historyEl, past, '<p class="text-gray-500">Your past and cancelled stays will show up here.</p>');
+      };
+
+      render();
+      this._revealLinkedBooking();
+      this.state.subscribe(async (state, changes) => {
+        if (changes?.source !== 'bookings') return;
+        await Promise.all([loadListings(changes.added), loadReviewable([...changes.added, ...changes.modified])]);
+        render();
+      });
+
+      [upcomingEl, historyEl].filter(Boolean).forEach(container => {
+        this._wireBookingActions(container, render);
+        this._wireReschedule(container, listingById, render);
+        container.addEventListener('click', (e) => {
+          const btn = e.target.closest('[data-receipt]');
+          if (!btn) return;
+          const booking = (this.state.getState().bookings || []).find(b => b.id === btn.dataset.receipt);
+          if (!booking?.priceBreakdown) { alert('No receipt is available for this booking.'); return; }
+          try {
+            if (btn.dataset.action === 'download') this.pricing.downloadReceipt(booking, listingById[booking.id]);
+            else this.pricing.openReceipt(booking, listingById[booking.id]);
+          } catch (err) {
+            alert(err?.message || 'Could not open receipt.');
+          }
+        });
+      });
+    } catch (err) {
+      console.error('[App] Load hunter bookings failed:', err);
+    }
+  }
+
+  // Finished, declined and cancelled stays (and requests whose dates passed) are history
+  _splitTrips(bookings) {
+    const today = toDateKey(new Date());
+    const isPast = (b) => TRIP_HISTORY_STATUSES.includes(b.status) || (b.status !== 'checked-in' && toDateKey(b.endDate) < today);
+    const upcoming = bookings.filter(b => !isPast(b))
+      .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)));
+    const past = bookings.filter(isPast)
+      .sort((a, b) => String(b.endDate).localeCompare(String(a.endDate)));
+    return { upcoming, past };
+  }
+
+  _renderHunterBooking(booking, listing = {}, { canReview = false } = {}) {
+    const listingUrl = `/house-detail.html?id=${encodeURIComponent(booking.listingId)}`;
+    return `
+      <div data-booking-row="${booking.id}" class="p-4 border border-gray-200 rounded-lg">
+        <div class="flex justify-between items-center">
+          <div>
+            <a href="${listingUrl}" class="font-medium text-gray-900 hover:text-indigo-600">${escapeHtml(listing.title || booking.listingTitle || 'Listing')}</a>
+            <p class="text-sm text-gray-500">${booking.startDate} → ${booking.endDate} · ${booking.guests || 1} guest${booking.guests > 1 ? 's' : ''} · ${this._statusBadge(booking.status)}</p>
+          </div>
+          <div class="flex items-center space-x-3">
+            <span class="font-semibold">${this.pricing.formatMoney(booking.amount || 0)}</span>
+            <button data-receipt="${booking.id}" data-action="view" class="text-sm text-indigo-600 hover:text-indigo-500">Receipt</button>
+            <button data-receipt="${booking.id}" data-action="download" class="text-sm text-gray-600 hover:text-gray-800">Download</button>
+            ${this.availability.canReschedule(booking) ? `<button data-reschedule="${booking.id}" class="text-sm text-indigo-600 hover:text-indigo-500">Change dates</button>` : ''}
+            ${this._bookingActionButtons(booking, 'guest')}
+            ${canReview ? `<a href="${listingUrl}#review-form-container" class="text-sm font-medium text-indigo-600 hover:text-indigo-500">Leave a review</a>` : ''}
+          </div>
+        </div>
+        <div data-reschedule-slot="${booking.id}"></div>
+      </div>`;
+  }
+
+  // "Change dates": inline form with a live quote and availability check
+  _wireReschedule(container, listingById, rerender) {
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-reschedule]');
+      if (btn) {
+        const slot = container.querySelector(`[data-reschedule-slot="${btn.dataset.reschedule}"]`);
+        if (slot) slot.innerHTML = slot.innerHTML ? '' : this._renderRescheduleForm(btn.dataset.reschedule);
+        return;
+      }
+      const close = e.target.closest('[data-reschedule-close]');
+      if (close) close.closest('[data-reschedule-slot]').innerHTML = '';
+    });
+
+    const readForm = (form) => {
+      const booking = (this.state.getState().bookings || []).find(b => b.id === form.dataset.rescheduleForm);
+      return {
+        booking,
+        listing: listingById[booking?.id] || {},
+        startDate: form.elements['check-in'].value,
+        endDate: form.elements['check-out'].value,
+        guests: Number(form.elements.guests.value) || 1
+      };
+    };
+
+    container.addEventListener('change', async (e) => {
+      const form = e.target.closest('[data-reschedule-form]');
+      if (!form) return;
+      const { booking, listing, startDate, endDate, guests } = readForm(form);
+      const status = form.querySelector('[data-reschedule-status]');
+      if (!booking || !startDate || !endDate) return;
+
+      const check = await this.availability.checkAvailability(booking.listingId, startDate, endDate, { ignoreBookingId: booking.id });
+      if (!check.available) {
+        status.textContent = check.reason;
+        status.className = 'mt-2 text-sm text-red-600';
+        return;
+      }
+      const quote = this.pricing.quote(listing, { startDate, endDate, guests });
+      status.textContent = `Available · new total ${this.pricing.formatMoney(quote.total)} (was ${this.pricing.formatMoney(booking.amount || 0)})`;
+      status.className = 'mt-2 text-sm text-green-700';
+    });
+
+    container.addEventListener('submit', async (e) => {
+      const form = e.target.closest('[data-reschedule-form]');
+      if (!form) return;
+      e.preventDefault();
+      const { booking, listing, startDate, endDate, guests } = readForm(form);
+      if (!booking) return;
+      if (booking.status === 'confirmed' && !confirm('The host will need to accept your new dates again. Continue?')) return;
+
+      const button = form.querySelector('button[type="submit"]');
+      button.disabled = true;
+      try {
+        const quote = this.pricing.quote(listing, { startDate, endDate, guests });
+        await this.availability.rescheduleBooking(booking.id, {
+          startDate,
+          endDate,
+          guests,
+          ...this.pricing.toBookingFields(quote)
+        });
+        if (this.ui?.showToast) this.ui.showToast('Booking dates updated');
+        rerender();
+      } catch (err) {
+        alert(err?.message || 'Could not change the dates.');
+        button.disabled = false;
+      }
+    });
+  }
+
+  _renderRescheduleForm(bookingId) {
+    const booking = (this.state.getState().bookings || []).find(b => b.id === bookingId);
+    if (!booking) return '';
+    const today = toDateKey(new Date());
+    return `
+      <form data-reschedule-form="${booking.id}" class="mt-3 p-3 bg-gray-50 rounded-md">
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <label class="text-sm text-gray-700">Check-in
+            <input type="date" name="check-in" required min="${today}" value="${booking.startDate}" class="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
+          </label>
+          <label class="text-sm text-gray-700">Check-out
+            <input type="date" name="check-out" required min="${today}" value="${booking.endDate}" class="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
+          </label>
+          <label class="text-sm text-gray-700">Guests
+            <input type="number" name="guests" min="1" max="20" value="${booking.guests || 1}" class="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md">
+          </label>
+        </div>
+        <p data-reschedule-status class="mt-2 text-sm text-gray-600">Pick new dates to see the price.</p>
+        <div class="mt-3 flex space-x-3">
+          <button type="submit" class="px-4 py-2 rounded-md bg-indigo-600 text-white text-sm hover:bg-indigo-700">Save new dates</button>
+          <button type="button" data-reschedule-close class="px-4 py-2 rounded-md bg-gray-200 text-gray-700 text-sm hover:bg-gray-300">Keep current dates</button>
+        </div>
+      </form>`;
+  }
+
+  // Hunter dashboard: favorite listings as cards, following state.favorites
+  _loadHunterFavorites() {
+    const container = document.getElementById('favorite-listings');
+    if (!container || !this.state.getCurrentUser()) return;
+
+    const listingById = {};
+    let renderedKey = null;
+    const render = async () => {
+      const ids = this.state.getState().favorites || [];
+      const key = ids.join(',');
+      if (key === renderedKey) return;
+      renderedKey = key;
+
+      const missing = ids.filter(id => !(id in listingById));
+      const fetched = await Promise.all(missing.map(id => this._getListing(id)));
+      missing.forEach((id, i) => { listingById[id] = fetched[i] || null; });
+
+      const listings = ids.map(id => listingById[id]).filter(Boolean);
+      container.innerHTML = listings.length
+        ? listings.map(l => this._renderFavoriteCard(l)).join('')
+        : '<p class="text-gray-500">No favorites yet. Tap the heart on a listing to keep it here.</p>';
+    };
+
+    container.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-unfavorite]');
+      if (!btn) return;
+      btn.disabled = true;
+      await this.state.toggleFavorite(btn.dataset.unfavorite);
+    });
+    // favorites change through toggleFavorite (plain notify) or the real-time feed
+    this.state.subscribe(() => render());
+    render();
+  }
+
+  _renderFavoriteCard(listing) {
+    const url = `/house-detail.html?id=${encodeURIComponent(listing.id)}`;
+    return `
+      <article class="border border-gray-200 rounded-lg overflow-hidden">
+        <a href="${url}">
+          <img src="${coverImage(listing)}" alt="${escapeHtml(listing.title || 'Listing')}" loading="lazy" class="w-full h-48 object-cover">
+        </a>
+        <div class="p-4">
+          <a href="${url}" class="font-medium text-gray-900 hover:text-indigo-600">${escapeHtml(listing.title || listing.name || 'Untitled')}</a>
+          <p class="text-sm text-gray-500">${escapeHtml(this.state.locationText(listing))} · ★ ${this.reviews.formatRating(listing)}</p>
+          <div class="mt-2 flex justify-between items-center">
+            <span class="font-semibold">${listing.price ? this.pricing.formatMoney(listing.price) : ''}</span>
+            <button type="button" data-unfavorite="${listing.id}" class="text-sm text-red-600 hover:text-red-500">Remove</button>
+          </div>
+        </div>
+      </article>`;
+  }
+
+  // Admin dashboard: load pending reports
+  async _loadPendingReports() {
+    const el = document.getElementById('moderation-list');
+    const statusSelect = document.getElementById('moderation-status');
+
+    const render = async () => {
+      const status = statusSelect?.value || 'pending';
+      const reports = await this.reports.getReports({ status });
       if (this.ui?.renderReports) this.ui.renderReports(reports);
-      // else fallback
-      const el = document.getElementById('moderation-list');
-      if (el) el.innerHTML = reports.map(r => `<div>${r.type} - ${r.details}</div>`).join('');
+      if (!el) return;
+      el.innerHTML = reports.length
+        ? reports.map(r => this.reports.renderModerationCard(r)).join('')
+        : `<p class="px-6 py-4 text-gray-500">No ${status} reports.</p>`;
+      // decisions only apply to open reports
+      if (status !== 'pending') el.querySelectorAll('[data-report-action]:not([data-report-action="note"])').forEach(b => b.remove());
+    };
+
+    if (el && !el.dataset.wired) {
+      el.dataset.wired = 'true';
+      statusSelect?.addEventListener('change', render);
+      el.addEventListener('click', async (e) => {
+        const button = e.target.closest('[data-report-action]');
+        if (!button) return;
+        const card = button.closest('[data-report]');
+        const action = button.dataset.reportAction;
+        const note = card.querySelector('[data-report-note]')?.value || '';
+
+        if (this.reports.actions[action]?.effect && !confirm(`${this.reports.actions[action].label}? This takes effect immediately.`)) return;
+
+        button.disabled = true;
+        try {
+          if (action === 'note') await this.reports.addNote(card.dataset.report, note);
+          else await this.reports.triage(card.dataset.report, action, { note });
+          await render();
+          if (action !== 'note') this.loadAdminStats();
+        } catch (err) {
+          alert(err.message || 'Moderation action failed.');
+          button.disabled = false;
+        }
+      });
+    }
+
+    try {
+      await render();
     } catch (err) {
       console.error('[App] Load reports failed:', err);
     }
@@ -512,19 +2371,23 @@ class AppController {
         this.firebase.query(this.firebase.collections.reports, this.firebase.where('status', '==', 'pending'))
       );
 
-      document.getElementById('total-users')?.innerText = usersSnap.size;
-      document.getElementById('total-listings')?.innerText = housesSnap.size + bnbsSnap.size;
-      document.getElementById('pending-reports')?.innerText = pendingReportsSnap.size;
+      const setText = (id, value) => {
+        const el = document.getElementById(id);
+        if (el) el.innerText = value;
+      };
+      setText('total-users', usersSnap.size);
+      setText('total-listings', housesSnap.size + bnbsSnap.size);
+      setText('pending-reports', pendingReportsSnap.size);
 
       // revenue placeholder - extend with bookings summation if you store pricing in bookings/listings
-      document.getElementById('total-revenue')?.innerText = '$' + (this._calcRevenueEstimate() || '0');
+      setText('total-revenue', '$' + (this._calcRevenueEstimate() || '0'));
     } catch (err) {
       console.error('[App] loadAdminStats error:', err);
     }
   }
 
   _calcRevenueEstimate() {
-    // naive placeholder: sum booking.price if available
+    // sum of quoted booking totals (bookings carry `amount` from the pricing service)
     const bookings = this.state.getState().bookings || [];
     return bookings.reduce((acc, b) => acc + (b.amount || 0), 0);
   }
@@ -538,12 +2401,12 @@ class AppController {
       // try houses
       const houseRef = this.firebase.doc(this.firebase.collections.houses, listingId);
       const houseDoc = await this.firebase.getDoc(houseRef);
-      if (houseDoc.exists()) return { id: houseDoc.id, ...houseDoc.data(), type: 'house' };
+      if (houseDoc.exists()) return toListing(houseDoc, 'houses');
 
       // try bnbs
       const bnbRef = this.firebase.doc(this.firebase.collections.bnbs, listingId);
       const bnbDoc = await this.firebase.getDoc(bnbRef);
-      if (bnbDoc.exists()) return { id: bnbDoc.id, ...bnbDoc.data(), type: 'bnb' };
+      if (bnbDoc.exists()) return toListing(bnbDoc, 'bnbs');
 
       return null;
     } catch (err) {
@@ -552,6 +2415,12 @@ class AppController {
     }
   }
 
+  // state first, then Firestore
+  async _getListing(listingId) {
+    const cached = (this.state.getState().listings || []).find(l => l.id === listingId);
+    return cached || this.fetchListingById(listingId);
+  }
+
   _safeReplace(path) {
     try { window.location.replace(path); } catch { window.location.href = path; }
   }
@@ -563,18 +2432,51 @@ class AppController {
 
   // fallback renderer when uiManager not present
   _renderListingsFallback(listings) {
-    const container = document.getElementById('listings') || document.querySelector('.listings');
+    const container = document.getElementById('listings') ||
+                      document.getElementById('listings-container') ||
+                      document.getElementById('bnbs-container') ||
+                      document.querySelector('.listings');
     if (!container) return;
     container.innerHTML = listings.map(l => `
       <article class="p-4 border rounded mb-3">
+        <img src="${coverImage(l)}" alt="${l.title || l.name || 'Listing'}" loading="lazy" class="w-full h-48 object-cover rounded mb-3">
         <h3 class="font-bold">${l.title || l.name || 'Untitled'}</h3>
+        <p class="text-sm text-gray-600">★ ${this.reviews.formatRating(l)}</p>
         <p>${l.location || ''} · ${l.price ? ('$' + l.price) : ''}</p>
         <a href="/house-detail.html?id=${l.id}" class="text-indigo-600">View</a>
       </article>
     `).join('');
   }
 
+  _renderGallery(listing) {
+    const container = document.getElementById('gallery');
+    if (!container) return;
+    this.gallery = this.gallery || createGallery(container);
+    this.gallery.render(listing);
+  }
+
   _renderListingDetailFallback(listing) {
+    // house-detail.html ships its own slots; fill those when present
+    const content = document.getElementById('property-content');
+    if (content) {
+      const setText = (id, value) => {
+        const node = document.getElementById(id);
+        if (node) node.textContent = value ?? '';
+      };
+      setText('property-title', listing.title || listing.name);
+      setText('property-location', [listing.address, listing.city, listing.state].filter(Boolean).join(', ') || listing.location);
+      setText('property-bedrooms', listing.bedrooms);
+      setText('property-bathrooms', listing.bathrooms);
+      setText('property-guests', listing.maxGuests);
+      setText('property-sqft', listing.squareFeet);
+      setText('property-description', listing.description);
+      setText('property-price', listing.price ? ('$' + listing.price) : '—');
+      setText('price-period', isBnb(listing) ? '/ night' : '/ month');
+      this._renderGallery(listing);
+      content.classList.remove('hidden');
+      return;
+    }
+
     const el = document.getElementById('listing-detail') || document.querySelector('.listing-detail');
     if (!el) return;
     el.innerHTML = `
@@ -620,6 +2522,12 @@ class AppController {
     this._wireMobileMenuToggle();
   }
 
+  // after load, so installing the precache does not compete with the page
+  _registerServiceWorker() {
+    if (document.readyState === 'complete') this.serviceWorker.register();
+    else window.addEventListener('load', () => this.serviceWorker.register(), { once: true });
+  }
+
   _wireNavSignOut() {
     // Delegated sign-out handling for elements with id="sign-out" or class "sign-out-btn"
     document.addEventListener('click', (e) => {
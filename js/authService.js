@@ -4,8 +4,63 @@
 // - Preserves your features
 // - Adds role guard, smarter redirects, mobile-menu toggle on auth pages
 // - Works with your firebaseServices + state.js patterns
+// - Phone sign-in (SMS code) for Kenyan numbers, and linking a phone number
+//   to an existing email account so either can be used to sign in
 // ==============================
 
+const KENYA_DIAL_CODE = '254';
+
+// Friendly messages for the phone flow's Firebase Auth errors
+const PHONE_ERRORS = {
+  'auth/invalid-phone-number': "That doesn't look like a valid phone number.",
+  'auth/missing-phone-number': "Please enter your phone number.",
+  'auth/invalid-verification-code': "That code is incorrect. Check the SMS and try again.",
+  'auth/missing-verification-code': "Please enter the code we sent you.",
+  'auth/code-expired': "That code has expired. Request a new one.",
+  'auth/too-many-requests': "Too many attempts. Please wait a while and try again.",
+  'auth/quota-exceeded': "We can't send SMS codes right now. Please try again later.",
+  'auth/captcha-check-failed': "Verification failed. Please reload the page and try again.",
+  'auth/credential-already-in-use': "That number already belongs to another Kejabase account.",
+  'auth/account-exists-with-different-credential': "That number already belongs to another Kejabase account.",
+  'auth/provider-already-linked': "A phone number is already linked to this account.",
+  'auth/requires-recent-login': "For your security, sign in again before linking a phone number."
+};
+
+/**
+ * Normalizes a Kenyan number to E.164 (+2547XXXXXXXX / +2541XXXXXXXX).
+ * Accepts 0712 345 678, 712345678, 254712345678, +254 (0)712-345-678, 00254...
+ * Other international numbers pass through if already in +E.164 form.
+ * Returns null when the input can't be a valid number.
+ */
+export function normalizePhoneNumber(input) {
+  if (!input) return null;
+  const raw = String(input).trim();
+  let digits = raw.replace(/[\s\-().]/g, '');
+  if (!/^\+?\d+$/.test(digits)) return null;
+
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+    if (!digits.startsWith(KENYA_DIAL_CODE)) {
+      return /^[1-9]\d{7,14}$/.test(digits) ? `+${digits}` : null;
+    }
+  } else if (digits.startsWith(`00${KENYA_DIAL_CODE}`)) {
+    digits = digits.slice(2);
+  }
+
+  let national;
+  if (digits.startsWith(KENYA_DIAL_CODE) && digits.length >= 12) {
+    national = digits.slice(KENYA_DIAL_CODE.length).replace(/^0/, '');
+  } else if (digits.startsWith('0')) {
+    national = digits.slice(1);
+  } else {
+    national = digits;
+  }
+
+  // mobile numbers: 7xx xxx xxx (Safaricom, Airtel, ...) and 1xx xxx xxx
+  if (!/^[71]\d{8}$/.test(national)) return null;
+  return `+${KENYA_DIAL_CODE}${national}`;
+}
+
 class AuthService {
   constructor(firebaseServices = null, stateManager = null) {
     this.firebaseServices = firebaseServices;
@@ -15,6 +70,11 @@ class AuthService {
     this.ready = false;
     this.initPromise = null;
 
+    // Phone flow: the pending SMS confirmation and the reCAPTCHA it used
+    this.phoneConfirmation = null;
+    this.phoneLinkVerification = null;
+    this.recaptchaVerifier = null;
+
     // Centralized dashboard routes
     this.dashboardRoutes = {
       admin: '/dashboard-admin.html',
@@ -210,6 +270,174 @@ class AuthService {
     }
   }
 
+  // ----------------------------
+  // Phone Auth (SMS code)
+  // ----------------------------
+  /**
+   * Step 1 of phone sign-in: sends the SMS code.
+   * `container` is the element (or its id) the invisible reCAPTCHA renders into.
+   */
+  async sendPhoneSignInCode(phone, container, rememberMe = false) {
+    await this.waitForFirebase();
+    if (!this.isFirebaseReady()) throw new Error("Authentication service not available");
+
+    const phoneNumber = normalizePhoneNumber(phone);
+    if (!phoneNumber) throw new Error("Enter a Kenyan mobile number, e.g. 0712 345 678.");
+
+    if (typeof this.firebaseServices.setPersistence === 'function') {
+      await this.firebaseServices.setPersistence(rememberMe);
+    }
+
+    try {
+      const verifier = this.getRecaptchaVerifier(container);
+      this.phoneConfirmation = await this.firebaseServices.signInWithPhoneNumber(
+        this.firebaseServices.auth, phoneNumber, verifier
+      );
+      return { phoneNumber };
+    } catch (error) {
+      this.resetRecaptcha();
+      console.error(error);
+      throw this.toPhoneError(error);
+    }
+  }
+
+  /**
+   * Step 2 of phone sign-in: confirms the code and loads the Firestore profile.
+   * A number signing in for the first time gets a hunter profile (hosts and
+   * providers register by email, then link a phone). Resolves like
+   * signInWithEmailAndPassword, so postAuthRedirect applies unchanged.
+   */
+  async confirmPhoneSignInCode(code) {
+    if (!this.phoneConfirmation) throw new Error("Request a code first.");
+
+    let credential;
+    try {
+      credential = await this.phoneConfirmation.confirm(String(code || '').trim());
+    } catch (error) {
+      console.error(error);
+      throw this.toPhoneError(error);
+    }
+    this.phoneConfirmation = null;
+    this.resetRecaptcha();
+
+    try {
+      const user = credential.user;
+      const uid = user.uid;
+      const userRef = this.firebaseServices.doc(this.firebaseServices.collections.users, uid);
+      const userDoc = await this.firebaseServices.getDoc(userRef);
+
+      let userData;
+      if (userDoc.exists()) {
+        userData = userDoc.data();
+      } else {
+        userData = {
+          phone: user.phoneNumber,
+          phoneVerified: true,
+          role: 'hunter',
+          name: '',
+          createdAt: this.firebaseServices.serverTimestamp()
+        };
+        await this.firebaseServices.setDoc(userRef, userData);
+      }
+
+      const role = userData.role;
+      const redirect = this.postAuthRedirect(role);
+
+      this.stateManager?.updateState?.({
+        currentUser: { uid, ...userData },
+        role
+      });
+
+      return { user, role, dashboard: redirect, userData };
+    } catch (error) {
+      console.error(error);
+      throw error;
+    }
+  }
+
+  /**
+   * Linking, step 1: sends a code to `phone` for the signed-in (email) user.
+   */
+  async sendPhoneLinkCode(phone, container) {
+    const user = await this.getCurrentUser();
+    if (!user) throw new Error("Please sign in to continue.");
+
+    const phoneNumber = normalizePhoneNumber(phone);
+    if (!phoneNumber) throw new Error("Enter a Kenyan mobile number, e.g. 0712 345 678.");
+    if (user.phoneNumber) throw this.toPhoneError({ code: 'auth/provider-already-linked' });
+
+    try {
+      const verifier = this.getRecaptchaVerifier(container);
+      const provider = new this.firebaseServices.PhoneAuthProvider(this.firebaseServices.auth);
+      const verificationId = await provider.verifyPhoneNumber(phoneNumber, verifier);
+      this.phoneLinkVerification = { verificationId, phoneNumber };
+      return { phoneNumber };
+    } catch (error) {
+      this.resetRecaptcha();
+      console.error(error);
+      throw this.toPhoneError(error);
+    }
+  }
+
+  /**
+   * Linking, step 2: attaches the phone credential to the current account and
+   * records the verified number on the profile.
+   */
+  async confirmPhoneLinkCode(code) {
+    const pending = this.phoneLinkVerification;
+    if (!pending) throw new Error("Request a code first.");
+    const user = await this.getCurrentUser();
+    if (!user) throw new Error("Please sign in to continue.");
+
+    try {
+      const credential = this.firebaseServices.PhoneAuthProvider.credential(
+        pending.verificationId, String(code || '').trim()
+      );
+      await this.firebaseServices.linkWithCredential(user, credential);
+    } catch (error) {
+      console.error(error);
+      throw this.toPhoneError(error);
+    }
+    this.phoneLinkVerification = null;
+    this.resetRecaptcha();
+
+    const userRef = this.firebaseServices.doc(this.firebaseServices.collections.users, user.uid);
+    await this.firebaseServices.updateDoc(userRef, { phone: pending.phoneNumber, phoneVerified: true });
+
+    const currentUser = this.stateManager?.getState?.()?.currentUser;
+    if (currentUser?.uid === user.uid) {
+      this.stateManager.updateState({ currentUser: { ...currentUser, phone: pending.phoneNumber, phoneVerified: true } });
+    }
+    return { phoneNumber: pending.phoneNumber };
+  }
+
+  getRecaptchaVerifier(container) {
+    if (!this.recaptchaVerifier) {
+      this.recaptchaVerifier = new this.firebaseServices.RecaptchaVerifier(
+        container, { size: 'invisible' }, this.firebaseServices.auth
+      );
+    }
+    return this.recaptchaVerifier;
+  }
+
+  resetRecaptcha() {
+    // a verifier can't be reused after a failed or finished attempt
+    try {
+      this.recaptchaVerifier?.clear();
+    } catch (error) {
+      console.error(error);
+    }
+    this.recaptchaVerifier = null;
+  }
+
+  toPhoneError(error) {
+    const message = PHONE_ERRORS[error?.code];
+    if (!message) return error instanceof Error ? error : new Error(error?.message || "Phone verification failed.");
+    const friendly = new Error(message);
+    friendly.code = error.code;
+    return friendly;
+  }
+
   async getCurrentUser() {
     await this.waitForFirebase();
     if (!this.isFirebaseReady()) return null;
@@ -296,6 +524,15 @@ class AuthService {
       const role = userData?.role;
       if (!role) throw new Error("Missing role on user.");
 
+      // set by moderators (reportService.triage 'suspend')
+      if (userData.suspended) {
+        // not this.signOut(): that redirects home before the notice can be shown
+        await this.firebaseServices.signOut(this.firebaseServices.auth);
+        this.stateManager?.updateState?.({ currentUser: null, role: "guest", favorites: [] });
+        this.safeReplace("/login.html?suspended=1");
+        return false;
+      }
+
       if (!requiredRoles.includes(role)) {
         this.safeReplace(this.getDashboardRoute(role));
         return false;
@@ -386,6 +623,8 @@ class AuthService {
     };
     stopNativeSubmit(document.getElementById('login-form'));
     stopNativeSubmit(document.getElementById('register-form'));
+    stopNativeSubmit(document.getElementById('phone-login-form'));
+    stopNativeSubmit(document.getElementById('phone-link-form'));
   }
 
   setupEventListeners() {
@@ -399,11 +638,21 @@ class AuthService {
     if (registerForm) this.setupRegisterForm(registerForm, errorDiv);
     if (forgotBtn) this.setupForgotPassword(forgotBtn, errorDiv, successDiv);
 
+    const phoneLoginForm = document.getElementById('phone-login-form');
+    const phoneLinkForm = document.getElementById('phone-link-form');
+    if (phoneLoginForm) this.setupPhoneLoginForm(phoneLoginForm, loginForm, errorDiv);
+    if (phoneLinkForm) this.setupPhoneLinkForm(phoneLinkForm);
+
     this.setupAuthStateMonitoring();
     this.setupSignOutButtons();
   }
 
   setupLoginForm(loginForm, errorDiv, successDiv) {
+    if (this.getQueryParam('suspended') && errorDiv) {
+      errorDiv.textContent = "This account has been suspended. Please contact support.";
+      errorDiv.classList.remove('hidden');
+    }
+
     loginForm.addEventListener('submit', async (e) => {
       e.preventDefault();
 
@@ -452,7 +701,8 @@ class AuthService {
       const confirmPassword = document.getElementById('confirm-password')?.value;
       const role = document.getElementById('role')?.value || 'hunter';
       const name = document.getElementById('name')?.value || '';
-      const phone = document.getElementById('phone')?.value || '';
+      const phoneInput = document.getElementById('phone')?.value?.trim() || '';
+      const phone = phoneInput ? normalizePhoneNumber(phoneInput) : '';
 
       if (!email || !password) {
         if (errorDiv) {
@@ -470,6 +720,14 @@ class AuthService {
         return;
       }
 
+      if (phone === null) {
+        if (errorDiv) {
+          errorDiv.textContent = "Enter a Kenyan mobile number, e.g. 0712 345 678.";
+          errorDiv.classList.remove('hidden');
+        }
+        return;
+      }
+
       const submitBtn = registerForm.querySelector('button[type="submit"]');
       const originalText = submitBtn?.textContent;
       if (submitBtn) { submitBtn.textContent = 'Creating account...'; submitBtn.disabled = true; }
@@ -492,6 +750,130 @@ class AuthService {
     });
   }
 
+  /**
+   * Two-step phone form: the first submit sends the SMS code, the second
+   * confirms it. Markup hooks inside the form:
+   *   [data-phone-input], [data-code-step] (hidden until a code is sent),
+   *   [data-code-input], [data-code-sent], [data-change-number],
+   *   [data-phone-error], [data-recaptcha] (invisible reCAPTCHA container)
+   */
+  bindPhoneCodeForm(form, { send, confirm, onConfirmed, errorDiv = null, labels = {} }) {
+    const phoneInput = form.querySelector('[data-phone-input]');
+    const codeStep = form.querySelector('[data-code-step]');
+    const codeInput = form.querySelector('[data-code-input]');
+    const codeSent = form.querySelector('[data-code-sent]');
+    const changeBtn = form.querySelector('[data-change-number]');
+    const recaptcha = form.querySelector('[data-recaptcha]');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const errorEl = errorDiv || form.querySelector('[data-phone-error]');
+    const text = { send: 'Send code', sending: 'Sending code...', confirm: 'Verify', confirming: 'Verifying...', ...labels };
+
+    let awaitingCode = false;
+    const showError = (message) => {
+      if (!errorEl) return;
+      errorEl.textContent = message;
+      errorEl.classList.remove('hidden');
+    };
+    const setStep = (codeStepActive) => {
+      awaitingCode = codeStepActive;
+      codeStep?.classList.toggle('hidden', !codeStepActive);
+      changeBtn?.classList.toggle('hidden', !codeStepActive);
+      if (phoneInput) phoneInput.disabled = codeStepActive;
+      if (submitBtn) submitBtn.textContent = codeStepActive ? text.confirm : text.send;
+      if (codeInput) {
+        codeInput.value = '';
+        codeInput.required = codeStepActive;
+      }
+    };
+
+    changeBtn?.addEventListener('click', () => {
+      errorEl?.classList.add('hidden');
+      setStep(false);
+      phoneInput?.focus();
+    });
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      errorEl?.classList.add('hidden');
+      if (submitBtn) {
+        submitBtn.disabled = true;
+        submitBtn.textContent = awaitingCode ? text.confirming : text.sending;
+      }
+
+      try {
+        if (!awaitingCode) {
+          const { phoneNumber } = await send(phoneInput?.value, recaptcha);
+          if (phoneInput) phoneInput.value = phoneNumber;
+          if (codeSent) codeSent.textContent = `We sent a code to ${phoneNumber}.`;
+          setStep(true);
+          codeInput?.focus();
+        } else {
+          const result = await confirm(codeInput?.value);
+          await onConfirmed?.(result);
+        }
+      } catch (error) {
+        showError(error?.message || "Phone verification failed.");
+      } finally {
+        if (submitBtn) {
+          submitBtn.disabled = false;
+          submitBtn.textContent = awaitingCode ? text.confirm : text.send;
+        }
+      }
+    });
+
+    return { reset: () => setStep(false) };
+  }
+
+  setupPhoneLoginForm(phoneForm, emailForm, errorDiv) {
+    const rememberMe = () => document.getElementById('remember-me')?.checked || false;
+    this.bindPhoneCodeForm(phoneForm, {
+      errorDiv,
+      labels: { confirm: 'Sign in', confirming: 'Signing in...' },
+      send: (phone, recaptcha) => this.sendPhoneSignInCode(phone, recaptcha, rememberMe()),
+      confirm: (code) => this.confirmPhoneSignInCode(code),
+      onConfirmed: ({ dashboard }) => {
+        if (!dashboard) throw new Error("No dashboard route available.");
+        this.safeReplace(dashboard);
+      }
+    });
+
+    // "Use phone number" / "Use email" switch between the two forms
+    document.querySelectorAll('[data-login-method]').forEach((btn) => {
+      btn.addEventListener('click', () => {
+        const usePhone = btn.dataset.loginMethod === 'phone';
+        phoneForm.classList.toggle('hidden', !usePhone);
+        emailForm?.classList.toggle('hidden', usePhone);
+        document.querySelectorAll('[data-login-method]').forEach((other) => {
+          other.classList.toggle('hidden', other.dataset.loginMethod === (usePhone ? 'phone' : 'email'));
+        });
+        errorDiv?.classList.add('hidden');
+        (usePhone ? phoneForm : emailForm)?.querySelector('input')?.focus();
+      });
+    });
+  }
+
+  setupPhoneLinkForm(linkForm) {
+    const status = document.getElementById('phone-link-status');
+    const showLinked = (phoneNumber) => {
+      if (status) status.textContent = `Linked: ${phoneNumber}. You can sign in with this number or your email.`;
+      linkForm.classList.add('hidden');
+    };
+
+    if (!this.isFirebaseReady()) return;
+    // currentUser is still null until the session is restored
+    this.firebaseServices.onAuthStateChanged(this.firebaseServices.auth, (user) => {
+      if (user?.phoneNumber) showLinked(user.phoneNumber);
+      else if (status) status.textContent = "Add your mobile number to sign in with an SMS code instead of your password.";
+    });
+
+    this.bindPhoneCodeForm(linkForm, {
+      labels: { confirm: 'Link number', confirming: 'Linking...' },
+      send: (phone, recaptcha) => this.sendPhoneLinkCode(phone, recaptcha),
+      confirm: (code) => this.confirmPhoneLinkCode(code),
+      onConfirmed: ({ phoneNumber }) => showLinked(phoneNumber)
+    });
+  }
+
   setupForgotPassword(forgotBtn, errorDiv, successDiv) {
     forgotBtn.addEventListener('click', async (e) => {
       e.preventDefault();
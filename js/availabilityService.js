@@ -0,0 +1,476 @@
+// js/availabilityService.js
+// ==============================
+// Booking Availability Engine
+// - Computes blocked date ranges per listing
+// - Validates stay dates against the listing's availableFrom/availableTo window
+// - Creates bookings transactionally so overlapping stays are rejected
+// - Guests can move the dates of a stay that has not started; the host
+//   has to accept the new dates again
+// - Hosts block nights from their calendar; those are stored as ranges with
+//   blocked: true (and no bookingId), so every overlap check covers them
+// - Calendars imported from other platforms (.ics) are blocked ranges too,
+//   tagged with source: 'ical' and the calendar's name so a re-import
+//   replaces them
+// ==============================
+
+import { toListing } from './listings.js';
+
+// Booking statuses that hold the listing's dates
+const BLOCKING_STATUSES = ['pending', 'confirmed', 'checked-in', 'completed'];
+
+// Booking statuses a guest may still reschedule
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+// ----------------------------
+// Date helpers (stays are stored as "YYYY-MM-DD" strings)
+// ----------------------------
+export const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// UTC midnight, so DST shifts never produce fractional days
+export const dayMillis = (dateKey) => Date.parse(`${dateKey}T00:00:00Z`);
+
+export const addDays = (dateKey, days) => new Date(dayMillis(dateKey) + days * MS_PER_DAY).toISOString().slice(0, 10);
+
+export function toDateKey(value) {
+  if (!value) return null;
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+  const date = value instanceof Date ? value : (value.toDate?.() || new Date(value));
+  if (Number.isNaN(date.getTime())) return null;
+
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Sorted night keys -> half-open ranges of consecutive nights
+function nightsToRanges(nights) {
+  const ranges = [];
+  [...nights].sort().forEach(night => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.end === night) last.end = addDays(night, 1);
+    else ranges.push({ start: night, end: addDays(night, 1) });
+  });
+  return ranges;
+}
+
+// Stays are half-open [start, end): a check-out day can be the next guest's check-in day
+export function rangesOverlap(aStart, aEnd, bStart, bEnd) {
+  return aStart < bEnd && bStart < aEnd;
+}
+
+class AvailabilityService {
+  constructor(firebaseServices = null, stateManager = null) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.blockingStatuses = BLOCKING_STATUSES;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  // ----------------------------
+  // Validation
+  // ----------------------------
+  /**
+   * validateDates(listing, start, end)
+   * Returns { valid, reason } without touching Firestore.
+   */
+  validateDates(listing, start, end) {
+    const startKey = toDateKey(start);
+    const endKey = toDateKey(end);
+
+    if (!startKey || !endKey) {
+      return { valid: false, reason: 'Please choose check-in and check-out dates.' };
+    }
+    if (endKey <= startKey) {
+      return { valid: false, reason: 'Check-out must be after check-in.' };
+    }
+    if (startKey < toDateKey(new Date())) {
+      return { valid: false, reason: 'Check-in cannot be in the past.' };
+    }
+    if (listing?.available === false) {
+      return { valid: false, reason: 'This property is not taking bookings right now.' };
+    }
+
+    const availableFrom = toDateKey(listing?.availableFrom);
+    const availableTo = toDateKey(listing?.availableTo);
+    if (availableFrom && startKey < availableFrom) {
+      return { valid: false, reason: `This property is available from ${availableFrom}.` };
+    }
+    if (availableTo && endKey > availableTo) {
+      return { valid: false, reason: `This property is only available until ${availableTo}.` };
+    }
+
+    const minNights = Number(listing?.minNights) || 0;
+    const nights = Math.round((dayMillis(endKey) - dayMillis(startKey)) / MS_PER_DAY);
+    if (minNights > 1 && nights < minNights) {
+      return { valid: false, reason: `Minimum stay is ${minNights} nights.` };
+    }
+
+    return { valid: true, reason: null };
+  }
+
+  // ignoreBookingId leaves a booking's own range out (rescheduling)
+  findConflicts(ranges, start, end, { ignoreBookingId = null } = {}) {
+    const startKey = toDateKey(start);
+    const endKey = toDateKey(end);
+    return (ranges || []).filter(r => (!ignoreBookingId || r.bookingId !== ignoreBookingId) &&
+      rangesOverlap(startKey, endKey, r.start, r.end));
+  }
+
+  // ----------------------------
+  // Blocked ranges
+  // ----------------------------
+  availabilityRef(listingId) {
+    const { doc, collections } = this.firebaseServices;
+    return doc(collections.availability, listingId);
+  }
+
+  // Rebuilds ranges from the bookings collection (used when no availability doc exists yet)
+  async _rangesFromBookings(listingId) {
+    const { collections, query, where, getDocs } = this.firebaseServices;
+    const snapshot = await getDocs(query(collections.bookings, where('listingId', '==', listingId)));
+    return snapshot.docs
+      .map(docSnap => ({ bookingId: docSnap.id, ...docSnap.data() }))
+      .filter(b => this.blockingStatuses.includes(b.status))
+      .map(b => ({ bookingId: b.bookingId, start: toDateKey(b.startDate), end: toDateKey(b.endDate) }))
+      .filter(r => r.start && r.end);
+  }
+
+  async getBlockedRanges(listingId) {
+    if (!listingId || !this.isFirebaseReady()) return [];
+    try {
+      const snap = await this.firebaseServices.getDoc(this.availabilityRef(listingId));
+      const ranges = snap.exists() ? (snap.data().ranges || []) : await this._rangesFromBookings(listingId);
+      return ranges.slice().sort((a, b) => a.start.localeCompare(b.start));
+    } catch (err) {
+      console.error('[Availability] getBlockedRanges failed:', err);
+      return [];
+    }
+  }
+
+  async _getListing(listingId) {
+    const cached = (this.stateManager?.getState?.().listings || []).find(l => l.id === listingId);
+    if (cached) return cached;
+    if (!this.isFirebaseReady()) return null;
+
+    const { doc, getDoc, collections } = this.firebaseServices;
+    for (const name of ['houses', 'bnbs']) {
+      const snap = await getDoc(doc(collections[name], listingId));
+      if (snap.exists()) return toListing(snap, name);
+    }
+    return null;
+  }
+
+  /**
+   * checkAvailability(listingId, start, end, { ignoreBookingId })
+   * Returns { available, reason, conflicts } for the booking form.
+   */
+  async checkAvailability(listingId, start, end, { ignoreBookingId = null } = {}) {
+    const listing = await this._getListing(listingId);
+    if (!listing) return { available: false, reason: 'Listing not found.', conflicts: [] };
+
+    const { valid, reason } = this.validateDates(listing, start, end);
+    if (!valid) return { available: false, reason, conflicts: [] };
+
+    const conflicts = this.findConflicts(await this.getBlockedRanges(listingId), start, end, { ignoreBookingId });
+    if (conflicts.length) {
+      const reason = conflicts.every(r => r.blocked)
+        ? 'The host has blocked some of those nights.'
+        : 'Those dates overlap an existing booking.';
+      return { available: false, reason, conflicts };
+    }
+    return { available: true, reason: null, conflicts: [] };
+  }
+
+  async isAvailable(listingId, start, end) {
+    const { available } = await this.checkAvailability(listingId, start, end);
+    return available;
+  }
+
+  // ----------------------------
+  // Host-blocked nights
+  // ----------------------------
+  /**
+   * setBlockedNights(listingId, nights, blocked)
+   * Blocks (or reopens) individual nights ("YYYY-MM-DD", the night starting
+   * that day) for the listing's host. Blocked nights are merged into runs;
+   * nights already held by a booking cannot be blocked. Imported ranges
+   * are left alone.
+   * Returns the listing's new ranges.
+   */
+  async setBlockedNights(listingId, nights, blocked = true) {
+    await this._requireHost(listingId);
+
+    const keys = (nights || []).map(toDateKey).filter(Boolean);
+    if (!keys.length) return this.getBlockedRanges(listingId);
+
+    const fs = this.firebaseServices;
+    const availabilityRef = this.availabilityRef(listingId);
+    const seedSnap = await fs.getDoc(availabilityRef);
+    const seedRanges = seedSnap.exists() ? null : await this._rangesFromBookings(listingId);
+    let next = [];
+
+    await fs.runTransaction(async (tx) => {
+      const snap = await tx.get(availabilityRef);
+      const ranges = snap.exists() ? (snap.data().ranges || []) : (seedRanges || []);
+      const bookingRanges = ranges.filter(r => !r.blocked);
+      const hostBlocks = ranges.filter(r => r.blocked && !r.source);
+
+      if (blocked) {
+        const booked = keys.find(night => this.findConflicts(bookingRanges, night, addDays(night, 1)).length);
+        if (booked) throw new Error(`${booked} is already booked and cannot be blocked.`);
+      }
+
+      const blockedNights = new Set();
+      hostBlocks.forEach(r => {
+        for (let night = r.start; night < r.end; night = addDays(night, 1)) blockedNights.add(night);
+      });
+      keys.forEach(night => (blocked ? blockedNights.add(night) : blockedNights.delete(night)));
+
+      next = [...ranges.filter(r => !hostBlocks.includes(r)), ...nightsToRanges(blockedNights).map(r => ({ bookingId: null, blocked: true, ...r }))];
+      tx.set(availabilityRef, { listingId, ranges: next, updatedAt: fs.serverTimestamp() });
+    });
+
+    return next.slice().sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  /**
+   * importBlockedRanges(listingId, calendar, events)
+   * Replaces the ranges last imported from `calendar` (e.g. "Airbnb") with
+   * events ([{ uid, summary, start, end }], see ical.js parseIcs). Events
+   * overlapping a booking here are not imported and come back in `conflicts`
+   * so the host can sort out the double booking. An empty list removes the
+   * calendar. Returns { ranges, imported, conflicts }.
+   */
+  async importBlockedRanges(listingId, calendar, events = []) {
+    await this._requireHost(listingId);
+    const name = String(calendar || '').trim();
+    if (!name) throw new Error('Give the calendar a name, e.g. the platform it comes from.');
+
+    const fs = this.firebaseServices;
+    const availabilityRef = this.availabilityRef(listingId);
+    const seedSnap = await fs.getDoc(availabilityRef);
+    const seedRanges = seedSnap.exists() ? null : await this._rangesFromBookings(listingId);
+    const result = { ranges: [], imported: 0, conflicts: [] };
+
+    await fs.runTransaction(async (tx) => {
+      const snap = await tx.get(availabilityRef);
+      const ranges = snap.exists() ? (snap.data().ranges || []) : (seedRanges || []);
+      const bookingRanges = ranges.filter(r => !r.blocked);
+      const kept = ranges.filter(r => !(r.source === 'ical' && r.calendar === name));
+
+      const imported = [];
+      const conflicts = [];
+      events.forEach(event => {
+        const start = toDateKey(event.start);
+        const end = toDateKey(event.end);
+        if (!start || !end || end <= start) return;
+        if (this.findConflicts(bookingRanges, start, end).length) conflicts.push(event);
+        else imported.push({ bookingId: null, blocked: true, source: 'ical', calendar: name, uid: event.uid || null, start, end });
+      });
+
+      result.ranges = [...kept, ...imported].sort((a, b) => a.start.localeCompare(b.start));
+      result.imported = imported.length;
+      result.conflicts = conflicts;
+      tx.set(availabilityRef, { listingId, ranges: result.ranges, updatedAt: fs.serverTimestamp() });
+    });
+
+    return result;
+  }
+
+  async _requireHost(listingId) {
+    if (!this.isFirebaseReady()) throw new Error('Calendar service not available');
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+
+    const listing = await this._getListing(listingId);
+    if (!listing) throw new Error('Listing not found.');
+    if (listing.providerId !== user.uid && user.role !== 'admin') {
+      throw new Error('Only the host can change this calendar.');
+    }
+    return listing;
+  }
+
+  // ----------------------------
+  // Transactional booking creation
+  // ----------------------------
+  /**
+   * createBooking(booking)
+   * Writes the booking and its blocked range in one transaction.
+   * Throws if the dates are invalid or another booking got there first.
+   */
+  async createBooking(booking) {
+    if (!this.isFirebaseReady()) throw new Error('Booking service not available');
+
+    const { listingId } = booking;
+    const startDate = toDateKey(booking.startDate);
+    const endDate = toDateKey(booking.endDate);
+
+    const listing = await this._getListing(listingId);
+    if (!listing) throw new Error('Listing not found.');
+
+    const { valid, reason } = this.validateDates(listing, startDate, endDate);
+    if (!valid) throw new Error(reason);
+
+    const { doc, collections, runTransaction } = this.firebaseServices;
+    const availabilityRef = this.availabilityRef(listingId);
+    const bookingRef = doc(collections.bookings);
+    const seedSnap = await this.firebaseServices.getDoc(availabilityRef);
+    const seedRanges = seedSnap.exists() ? null : await this._rangesFromBookings(listingId);
+
+    await runTransaction(async (tx) => {
+      const snap = await tx.get(availabilityRef);
+      const ranges = snap.exists() ? (snap.data().ranges || []) : (seedRanges || []);
+
+      if (this.findConflicts(ranges, startDate, endDate).length) {
+        throw new Error('Sorry, those dates are no longer available. Please choose different dates.');
+      }
+
+      tx.set(bookingRef, { ...booking, startDate, endDate });
+      tx.set(availabilityRef, {
+        listingId,
+        ranges: [...ranges, { bookingId: bookingRef.id, start: startDate, end: endDate }],
+        updatedAt: this.firebaseServices.serverTimestamp()
+      });
+    });
+
+    return { id: bookingRef.id, ...booking, startDate, endDate };
+  }
+
+  // ----------------------------
+  // Rescheduling
+  // ----------------------------
+  canReschedule(booking, user = this.stateManager?.getCurrentUser?.()) {
+    return !!(booking && user && booking.userId === user.uid &&
+      RESCHEDULABLE_STATUSES.includes(booking.status) &&
+      toDateKey(booking.startDate) > toDateKey(new Date()));
+  }
+
+  /**
+   * rescheduleBooking(bookingId, { startDate, endDate, guests, ...fields })
+   * Moves a guest's stay to new dates in one transaction: re-checks overlaps
+   * (ignoring the booking's own range), swaps its blocked range, and puts a
+   * confirmed booking back to pending. Extra fields (e.g. the new price from
+   * pricingService.toBookingFields) are written as-is.
+   */
+  async rescheduleBooking(bookingId, { startDate, endDate, guests, ...fields } = {}) {
+    if (!this.isFirebaseReady()) throw new Error('Booking service not available');
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+
+    const fs = this.firebaseServices;
+    const startKey = toDateKey(startDate);
+    const endKey = toDateKey(endDate);
+    const bookingRef = fs.doc(fs.collections.bookings, bookingId);
+
+    const current = await fs.getDoc(bookingRef);
+    if (!current.exists()) throw new Error('Booking not found.');
+    const listingId = current.data().listingId;
+    const listing = await this._getListing(listingId);
+    if (!listing) throw new Error('Listing not found.');
+
+    const { valid, reason } = this.validateDates(listing, startKey, endKey);
+    if (!valid) throw new Error(reason);
+
+    const availabilityRef = this.availabilityRef(listingId);
+    const seedSnap = await fs.getDoc(availabilityRef);
+    const seedRanges = seedSnap.exists() ? null : await this._rangesFromBookings(listingId);
+    let updated = null;
+
+    await fs.runTransaction(async (tx) => {
+      const snap = await tx.get(bookingRef);
+      const availability = await tx.get(availabilityRef);
+      if (!snap.exists()) throw new Error('Booking not found.');
+      const booking = { id: snap.id, ...snap.data() };
+      if (!this.canReschedule(booking, user)) {
+        throw new Error(`A booking that is ${booking.status} can no longer be changed.`);
+      }
+
+      const ranges = availability.exists() ? (availability.data().ranges || []) : (seedRanges || []);
+      if (this.findConflicts(ranges, startKey, endKey, { ignoreBookingId: bookingId }).length) {
+        throw new Error('Those dates overlap another booking. Please choose different dates.');
+      }
+
+      const changes = {
+        ...fields,
+        startDate: startKey,
+        endDate: endKey,
+        guests: Math.max(1, Number(guests) || booking.guests || 1),
+        status: 'pending',
+        updatedAt: fs.serverTimestamp(),
+        history: [...(booking.history || []), {
+          from: booking.status,
+          to: 'pending',
+          action: 'reschedule',
+          by: user.uid,
+          actor: 'guest',
+          reason: `${booking.startDate} → ${booking.endDate} moved to ${startKey} → ${endKey}`,
+          at: fs.toTimestamp(new Date())
+        }]
+      };
+      tx.update(bookingRef, changes);
+      tx.set(availabilityRef, {
+        listingId,
+        ranges: [...ranges.filter(r => r.bookingId !== bookingId), { bookingId, start: startKey, end: endKey }],
+        updatedAt: fs.serverTimestamp()
+      });
+      updated = { ...booking, ...changes };
+    });
+
+    const bookings = this.stateManager?.getState?.().bookings;
+    if (bookings) {
+      this.stateManager.updateState({ bookings: bookings.map(b => (b.id === bookingId ? updated : b)) });
+    }
+    return updated;
+  }
+}
+
+// Factory
+export function createAvailabilityService(firebaseServices = null, stateManager = null) {
+  return new AvailabilityService(firebaseServices, stateManager);
+}
+
+// Default instance w/ window glue
+const defaultAvailabilityService = new AvailabilityService();
+
+if (typeof window !== 'undefined') {
+  const initializeAvailabilityService = () => {
+    if (window.firebaseServices) defaultAvailabilityService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultAvailabilityService.setStateManager(window.state);
+    window.availabilityService = defaultAvailabilityService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeAvailabilityService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeAvailabilityService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultAvailabilityService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultAvailabilityService;
+export { AvailabilityService, BLOCKING_STATUSES, RESCHEDULABLE_STATUSES };
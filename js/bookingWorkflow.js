@@ -0,0 +1,200 @@
+// js/bookingWorkflow.js
+// ==============================
+// Booking Lifecycle (state machine)
+// pending -> confirmed | declined | cancelled-by-guest | cancelled-by-host
+// confirmed -> checked-in | cancelled-by-guest | cancelled-by-host
+// checked-in -> completed
+// - All status changes go through transition() so guards live in one place
+// - Every change appends an entry to booking.history
+// - Confirming copies the host's phone/email from listingContacts onto the
+//   booking (the guest cannot read listingContacts); declines and
+//   cancellations clear it
+// ==============================
+
+// Actions: which statuses they apply to, where they lead, and who may run them
+const BOOKING_ACTIONS = {
+  confirm: { from: ['pending'], to: 'confirmed', actor: 'host', label: 'Accept' },
+  decline: { from: ['pending'], to: 'declined', actor: 'host', label: 'Decline', requiresReason: true },
+  'check-in': { from: ['confirmed'], to: 'checked-in', actor: 'host', label: 'Check in' },
+  complete: { from: ['checked-in'], to: 'completed', actor: 'host', label: 'Complete' },
+  'cancel-guest': { from: ['pending', 'confirmed'], to: 'cancelled-by-guest', actor: 'guest', label: 'Cancel', requiresReason: true },
+  'cancel-host': { from: ['pending', 'confirmed'], to: 'cancelled-by-host', actor: 'host', label: 'Cancel', requiresReason: true }
+};
+
+// Statuses that hand the dates back to the availability engine
+const RELEASING_STATUSES = ['declined', 'cancelled-by-guest', 'cancelled-by-host'];
+
+// Statuses whose guest sees the host's contact details (booking.hostContact)
+const CONTACT_STATUSES = ['confirmed', 'checked-in', 'completed'];
+
+// Per-status timestamp field written alongside the status
+const STATUS_TIMESTAMPS = {
+  confirmed: 'confirmedAt',
+  declined: 'declinedAt',
+  'checked-in': 'checkedInAt',
+  completed: 'completedAt',
+  'cancelled-by-guest': 'cancelledAt',
+  'cancelled-by-host': 'cancelledAt'
+};
+
+class BookingWorkflow {
+  constructor(firebaseServices = null, stateManager = null) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.actions = BOOKING_ACTIONS;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  // ----------------------------
+  // Guards
+  // ----------------------------
+  /**
+   * resolveActor(booking, user) -> 'guest' | 'host' | null
+   * Admins may perform host actions on any booking.
+   */
+  resolveActor(booking, user) {
+    if (!booking || !user) return null;
+    if (booking.userId === user.uid) return 'guest';
+    if (booking.providerId === user.uid || user.role === 'admin') return 'host';
+    return null;
+  }
+
+  canTransition(booking, action, actor) {
+    const def = this.actions[action];
+    return !!(def && actor && def.actor === actor && def.from.includes(booking?.status));
+  }
+
+  // Actions the given actor can take right now (for rendering buttons)
+  availableActions(booking, actor) {
+    return Object.entries(this.actions)
+      .filter(([action]) => this.canTransition(booking, action, actor))
+      .map(([action, def]) => ({ action, ...def }));
+  }
+
+  isReleasing(status) {
+    return RELEASING_STATUSES.includes(status);
+  }
+
+  // ----------------------------
+  // Transition
+  // ----------------------------
+  /**
+   * transition(bookingId, action, { reason })
+   * Re-reads the booking inside a transaction, enforces the guard, writes the new
+   * status + timestamp + history entry, and releases dates on decline/cancel.
+   */
+  async transition(bookingId, action, { reason = '' } = {}) {
+    const fs = this.firebaseServices;
+    if (!fs?.ready) throw new Error('Booking service not available');
+
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+
+    const def = this.actions[action];
+    if (!def) throw new Error(`Unknown booking action: ${action}`);
+    if (def.requiresReason && !reason.trim()) throw new Error('Please give a reason.');
+
+    const bookingRef = fs.doc(fs.collections.bookings, bookingId);
+    let updated = null;
+
+    await fs.runTransaction(async (tx) => {
+      const snap = await tx.get(bookingRef);
+      if (!snap.exists()) throw new Error('Booking not found.');
+      const booking = { id: snap.id, ...snap.data() };
+
+      const actor = this.resolveActor(booking, user);
+      if (!this.canTransition(booking, action, actor)) {
+        throw new Error(`Cannot ${def.label.toLowerCase()} a booking that is ${booking.status}.`);
+      }
+
+      // reads must happen before writes in a Firestore transaction
+      const availabilityRef = fs.doc(fs.collections.availability, booking.listingId);
+      const availabilitySnap = this.isReleasing(def.to) ? await tx.get(availabilityRef) : null;
+      const contactSnap = def.to === 'confirmed'
+        ? await tx.get(fs.doc(fs.collections.listingContacts, booking.listingId))
+        : null;
+
+      const entry = {
+        from: booking.status,
+        to: def.to,
+        action,
+        by: user.uid,
+        actor,
+        reason: reason.trim() || null,
+        at: fs.toTimestamp(new Date())
+      };
+      const changes = {
+        status: def.to,
+        [STATUS_TIMESTAMPS[def.to]]: fs.serverTimestamp(),
+        updatedAt: fs.serverTimestamp(),
+        history: [...(booking.history || []), entry]
+      };
+      if (entry.reason) changes.statusReason = entry.reason;
+      if (contactSnap?.exists()) {
+        const { name = null, phone = null, email = null } = contactSnap.data();
+        changes.hostContact = { name, phone, email };
+      } else if (!CONTACT_STATUSES.includes(def.to) && booking.hostContact) {
+        changes.hostContact = null;
+      }
+
+      tx.update(bookingRef, changes);
+
+      if (availabilitySnap?.exists()) {
+        const ranges = (availabilitySnap.data().ranges || []).filter(r => r.bookingId !== booking.id);
+        tx.update(availabilityRef, { ranges, updatedAt: fs.serverTimestamp() });
+      }
+
+      updated = { ...booking, ...changes };
+    });
+
+    // keep local booking list in sync
+    const bookings = this.stateManager?.getState?.().bookings;
+    if (bookings) {
+      this.stateManager.updateState({ bookings: bookings.map(b => (b.id === bookingId ? updated : b)) });
+    }
+    return updated;
+  }
+}
+
+// Factory
+export function createBookingWorkflow(firebaseServices = null, stateManager = null) {
+  return new BookingWorkflow(firebaseServices, stateManager);
+}
+
+// Default instance w/ window glue
+const defaultBookingWorkflow = new BookingWorkflow();
+
+if (typeof window !== 'undefined') {
+  const initializeBookingWorkflow = () => {
+    if (window.firebaseServices) defaultBookingWorkflow.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultBookingWorkflow.setStateManager(window.state);
+    window.bookingWorkflow = defaultBookingWorkflow;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeBookingWorkflow();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeBookingWorkflow, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultBookingWorkflow.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultBookingWorkflow;
+export { BookingWorkflow, BOOKING_ACTIONS, CONTACT_STATUSES, RELEASING_STATUSES };
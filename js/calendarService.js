@@ -0,0 +1,412 @@
+// js/calendarService.js
+// ==============================
+// BnB Host Calendar (dashboard-bnb.html)
+// - Month grid per BnB: bookings, host-blocked nights and each night's price
+// - Blocking goes through availabilityService.setBlockedNights, so booking
+//   requests for blocked nights are rejected like any other overlap
+// - Weekend rates, seasons and per-date prices are saved on the listing as
+//   pricingRules; pricingService.nightlyRateOn applies them to every quote
+// - iCal sync: each BnB's confirmed bookings and host blocks are published as
+//   calendars/{listingId}.ics in Storage (listing.icalFeedUrl) for other
+//   platforms to subscribe to, refreshed whenever the host's calendar or
+//   bookings change on the dashboard; .ics files from those platforms are
+//   imported as blocked ranges
+// ==============================
+
+import pricingService from './pricingService.js';
+import availabilityService, { toDateKey } from './availabilityService.js';
+import { buildIcs, parseIcs } from './ical.js';
+import { collectionForListing, toListing } from './listings.js';
+import { escapeHtml } from './html.js';
+
+const CALENDAR_DEFAULTS = {
+  maxSeasons: 12,
+  maxLabelLength: 40
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Bookings that show as confirmed on the grid; the rest of the blocking statuses are requests
+const CONFIRMED_STATUSES = ['confirmed', 'checked-in', 'completed'];
+
+const pad = (n) => String(n).padStart(2, '0');
+
+class CalendarService {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...CALENDAR_DEFAULTS, ...options };
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  _requireHost(listing) {
+    if (!this.isFirebaseReady()) throw new Error('Calendar service not available');
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+    if (listing && listing.providerId !== user.uid && user.role !== 'admin') {
+      throw new Error('Only the host can change this calendar.');
+    }
+    return user;
+  }
+
+  // ----------------------------
+  // Loading
+  // ----------------------------
+  async getHostListings() {
+    const user = this._requireHost();
+    const { collections, query, where, getDocs } = this.firebaseServices;
+    const snapshot = await getDocs(query(collections.bnbs, where('providerId', '==', user.uid)));
+    return snapshot.docs
+      .map(docSnap => toListing(docSnap, 'bnbs'))
+      .sort((a, b) => String(a.title || '').localeCompare(String(b.title || '')));
+  }
+
+  /**
+   * load(listing) -> { listing, ranges, bookings }
+   * ranges are the availability ranges (bookings, host blocks, imports);
+   * bookings are the listing's bookings, used to label booked nights.
+   */
+  async load(listing) {
+    const user = this._requireHost(listing);
+    const { collections, query, where, getDocs } = this.firebaseServices;
+    const [ranges, snapshot] = await Promise.all([
+      availabilityService.getBlockedRanges(listing.id),
+      getDocs(query(collections.bookings, where('providerId', '==', listing.providerId || user.uid), where('listingId', '==', listing.id)))
+    ]);
+    return {
+      listing,
+      ranges,
+      bookings: snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+    };
+  }
+
+  // ----------------------------
+  // Month grid
+  // ----------------------------
+  /**
+   * buildMonth(data, year, month) -> { year, month, label, cells }
+   * month is 0-based. cells starts with nulls for the days before the 1st
+   * (weeks start on Sunday); each day is
+   * { date, day, past, rate, override, season, blocked, calendar, booking }
+   * (calendar names the imported calendar that blocked the night).
+   */
+  buildMonth(data, year, month) {
+    const listing = data?.listing || {};
+    const rules = listing.pricingRules || {};
+    const ranges = data?.ranges || [];
+    const bookingsById = new Map((data?.bookings || []).map(b => [b.id, b]));
+    const today = toDateKey(new Date());
+    const first = new Date(Date.UTC(year, month, 1));
+    const days = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+    const cells = Array(first.getUTCDay()).fill(null);
+    for (let day = 1; day <= days; day++) {
+      const date = `${year}-${pad(month + 1)}-${pad(day)}`;
+      const range = ranges.find(r => r.start <= date && date < r.end);
+      cells.push({
+        date,
+        day,
+        past: date < today,
+        rate: pricingService.nightlyRateOn(listing, date),
+        override: Number(rules.overrides?.[date]) > 0,
+        season: (rules.seasons || []).find(s => s.start <= date && date <= s.end)?.label || null,
+        blocked: !!range?.blocked,
+        calendar: range?.calendar || null,
+        booking: range && !range.blocked ? (bookingsById.get(range.bookingId) || { id: range.bookingId }) : null
+      });
+    }
+
+    return {
+      year,
+      month,
+      label: first.toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' }),
+      cells
+    };
+  }
+
+  _shortMoney(amount) {
+    return `${pricingService.config.currencySymbol}${Math.round(amount).toLocaleString()}`;
+  }
+
+  renderDay(cell, selected = false) {
+    if (!cell) return '<div></div>';
+
+    let status = '';
+    let tone = 'bg-white';
+    if (cell.booking) {
+      const confirmed = CONFIRMED_STATUSES.includes(cell.booking.status);
+      status = confirmed ? 'Booked' : 'Requested';
+      tone = confirmed ? 'bg-green-100' : 'bg-yellow-100';
+    } else if (cell.blocked) {
+      status = cell.calendar ? `Blocked (${cell.calendar})` : 'Blocked';
+      tone = 'bg-gray-200 text-gray-500';
+    }
+
+    const title = [
+      cell.date,
+      cell.booking ? `${status}${cell.booking.guestName ? ` by ${cell.booking.guestName}` : ''}` : status,
+      cell.override ? 'custom price' : cell.season
+    ].filter(Boolean).join(' · ');
+    const styles = [
+      selected ? 'outline: 2px solid #4f46e5; outline-offset: -2px;' : '',
+      cell.past ? 'opacity: 0.5;' : ''
+    ].join(' ');
+
+    return `
+      <button type="button" data-calendar-date="${cell.date}" title="${escapeHtml(title)}"
+        class="p-1 h-16 border border-gray-200 rounded text-left text-xs ${tone}" style="${styles}" ${cell.past ? 'disabled' : ''}>
+        <span class="block font-medium text-gray-900">${cell.day}</span>
+        <span class="block ${cell.override || cell.season ? 'text-indigo-600 font-semibold' : 'text-gray-600'}">${this._shortMoney(cell.rate)}</span>
+        <span class="block">${escapeHtml(cell.calendar ? 'Imported' : status)}</span>
+      </button>`;
+  }
+
+  renderMonth(month, selected = new Set()) {
+    const header = WEEKDAYS
+      .map(day => `<div class="text-xs font-medium text-gray-500 text-center">${day}</div>`)
+      .join('');
+    return header + month.cells.map(cell => this.renderDay(cell, !!cell && selected.has(cell.date))).join('');
+  }
+
+  renderSeasonRow(season = {}) {
+    return `
+      <div data-season-row class="flex items-center space-x-2 mb-2">
+        <input type="text" data-season-field="label" value="${escapeHtml(season.label)}" placeholder="Label (e.g. Holidays)"
+          maxlength="${this.options.maxLabelLength}" class="px-2 py-1 border border-gray-300 rounded-md text-sm">
+        <input type="date" data-season-field="start" value="${escapeHtml(season.start)}" aria-label="First night"
+          class="px-2 py-1 border border-gray-300 rounded-md text-sm">
+        <input type="date" data-season-field="end" value="${escapeHtml(season.end)}" aria-label="Last night"
+          class="px-2 py-1 border border-gray-300 rounded-md text-sm">
+        <input type="number" data-season-field="price" value="${escapeHtml(season.price)}" min="1" step="0.01" placeholder="Price / night"
+          class="px-2 py-1 border border-gray-300 rounded-md text-sm" style="width: 8rem">
+        <button type="button" data-season-remove class="text-sm text-red-600 hover:text-red-800">Remove</button>
+      </div>`;
+  }
+
+  // ----------------------------
+  // Blocking
+  // ----------------------------
+  async setBlocked(listing, dates, blocked = true) {
+    this._requireHost(listing);
+    const ranges = await availabilityService.setBlockedNights(listing.id, dates, blocked);
+    await this.refreshFeeds([listing]);
+    return ranges;
+  }
+
+  // ----------------------------
+  // iCal export / import
+  // ----------------------------
+  // Confirmed stays and the host's own blocks; imported ranges stay out so
+  // two platforms never echo each other's events back
+  exportEvents(data) {
+    const bookingsById = new Map((data?.bookings || []).map(b => [b.id, b]));
+    return (data?.ranges || []).flatMap(range => {
+      if (range.blocked) {
+        return range.source ? [] : [{ uid: `block-${data.listing.id}-${range.start}@kejabase`, start: range.start, end: range.end, summary: 'Blocked' }];
+      }
+      const booking = bookingsById.get(range.bookingId);
+      if (booking && !CONFIRMED_STATUSES.includes(booking.status)) return [];
+      return [{ uid: `booking-${range.bookingId}@kejabase`, start: range.start, end: range.end, summary: 'Reserved' }];
+    });
+  }
+
+  buildFeed(data) {
+    return buildIcs({ name: `${data.listing.title || 'BnB'} | Kejabase`, events: this.exportEvents(data) });
+  }
+
+  downloadFeed(data) {
+    const blob = new Blob([this.buildFeed(data)], { type: 'text/calendar' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `kejabase-${data.listing.id}.ics`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * publishFeed(listing, data) -> listing with icalFeedUrl
+   * Uploads the .ics to a fixed Storage path, so the URL other platforms
+   * subscribed to keeps serving the latest version.
+   */
+  async publishFeed(listing, data = null) {
+    this._requireHost(listing);
+    const feed = this.buildFeed(data || await this.load(listing));
+    const { storageRef, uploadBytes, getDownloadURL, doc, updateDoc, collections, serverTimestamp } = this.firebaseServices;
+    const ref = storageRef(`calendars/${listing.id}.ics`);
+    await uploadBytes(ref, new Blob([feed], { type: 'text/calendar' }), { contentType: 'text/calendar', cacheControl: 'no-cache' });
+
+    const icalFeedUrl = await getDownloadURL(ref);
+    if (icalFeedUrl !== listing.icalFeedUrl) {
+      await updateDoc(doc(collections.bnbs, listing.id), { icalFeedUrl, updatedAt: serverTimestamp() });
+    }
+    return { ...listing, icalFeedUrl };
+  }
+
+  // Re-publishes the feeds that exist; failures are logged, not thrown
+  async refreshFeeds(listings) {
+    await Promise.all(listings.filter(l => l.icalFeedUrl).map(listing => this.publishFeed(listing)
+      .catch(err => console.error('[Calendar] Feed refresh failed:', err))));
+  }
+
+  /**
+   * importIcs(listing, text, calendar) -> { imported, conflicts, errors, skipped }
+   * Parses the file in the browser and replaces the ranges previously
+   * imported under the same calendar name.
+   */
+  async importIcs(listing, text, calendar) {
+    this._requireHost(listing);
+    const { events, errors, skipped } = parseIcs(text, { today: toDateKey(new Date()) });
+    if (!events.length && errors.length) throw new Error(errors[0]);
+
+    const result = await availabilityService.importBlockedRanges(listing.id, calendar, events);
+    return { imported: result.imported, conflicts: result.conflicts, errors, skipped };
+  }
+
+  removeImportedCalendar(listing, calendar) {
+    this._requireHost(listing);
+    return availabilityService.importBlockedRanges(listing.id, calendar, []);
+  }
+
+  // [{ name, ranges }] per imported calendar
+  importedCalendars(data) {
+    const counts = new Map();
+    (data?.ranges || []).filter(r => r.source === 'ical').forEach(r => counts.set(r.calendar, (counts.get(r.calendar) || 0) + 1));
+    return [...counts].map(([name, ranges]) => ({ name, ranges }));
+  }
+
+  renderImportedCalendar({ name, ranges }) {
+    return `
+      <li class="py-2 flex justify-between items-center text-sm">
+        <span>${escapeHtml(name)} <span class="text-gray-500">· ${ranges} blocked range${ranges === 1 ? '' : 's'}</span></span>
+        <button type="button" data-ical-remove="${escapeHtml(name)}" class="text-red-600 hover:text-red-800">Remove</button>
+      </li>`;
+  }
+
+  // ----------------------------
+  // Pricing rules
+  // ----------------------------
+  /**
+   * normalizeRules(rules) -> { weekendPrice, seasons, overrides }
+   * Validates what the host entered; throws with a message for the form.
+   * Seasons may not overlap, so a night never has two season prices.
+   */
+  normalizeRules(rules = {}) {
+    const price = (value, what) => {
+      if (value === '' || value === null || value === undefined) return null;
+      const amount = Number(value);
+      if (!Number.isFinite(amount) || amount <= 0) throw new Error(`${what} must be a positive amount.`);
+      return Math.round(amount * 100) / 100;
+    };
+
+    const seasons = (rules.seasons || []).map((season, i) => {
+      const label = String(season.label || '').trim().slice(0, this.options.maxLabelLength) || `Season ${i + 1}`;
+      const start = toDateKey(season.start);
+      const end = toDateKey(season.end);
+      if (!start || !end) throw new Error(`${label}: choose the first and last night.`);
+      if (end < start) throw new Error(`${label}: the last night is before the first.`);
+      const amount = price(season.price, `${label} price`);
+      if (!amount) throw new Error(`${label}: enter a nightly price.`);
+      return { label, start, end, price: amount };
+    }).sort((a, b) => a.start.localeCompare(b.start));
+
+    if (seasons.length > this.options.maxSeasons) {
+      throw new Error(`You can set up to ${this.options.maxSeasons} seasons.`);
+    }
+    seasons.forEach((season, i) => {
+      const previous = seasons[i - 1];
+      if (previous && season.start <= previous.end) throw new Error(`${previous.label} and ${season.label} overlap.`);
+    });
+
+    const overrides = {};
+    Object.entries(rules.overrides || {}).forEach(([date, value]) => {
+      const key = toDateKey(date);
+      const amount = price(value, `The price for ${date}`);
+      if (key && amount) overrides[key] = amount;
+    });
+
+    return { weekendPrice: price(rules.weekendPrice, 'Weekend price'), seasons, overrides };
+  }
+
+  /**
+   * savePricingRules(listing, rules) -> listing with the saved pricingRules
+   */
+  async savePricingRules(listing, rules) {
+    this._requireHost(listing);
+    const pricingRules = this.normalizeRules(rules);
+    const { doc, updateDoc, collections, serverTimestamp } = this.firebaseServices;
+    const collection = collections[collectionForListing(listing)];
+    await updateDoc(doc(collection, listing.id), { pricingRules, updatedAt: serverTimestamp() });
+
+    const updated = { ...listing, pricingRules };
+    const listings = this.stateManager?.getState?.().listings;
+    if (listings?.some(l => l.id === listing.id)) {
+      this.stateManager.updateState({ listings: listings.map(l => (l.id === listing.id ? { ...l, pricingRules } : l)) });
+    }
+    return updated;
+  }
+
+  // Sets (or, with a null price, clears) the price of individual nights.
+  // Overrides for past nights are dropped on the way.
+  setPriceOverride(listing, dates, price) {
+    const today = toDateKey(new Date());
+    const overrides = Object.fromEntries(Object.entries(listing.pricingRules?.overrides || {})
+      .filter(([date]) => date >= today));
+    dates.forEach(date => {
+      if (price === null || price === undefined || price === '') delete overrides[date];
+      else overrides[date] = price;
+    });
+    return this.savePricingRules(listing, { ...listing.pricingRules, overrides });
+  }
+}
+
+// Factory
+export function createCalendarService(firebaseServices = null, stateManager = null, options = {}) {
+  return new CalendarService(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultCalendarService = new CalendarService();
+
+if (typeof window !== 'undefined') {
+  const initializeCalendarService = () => {
+    if (window.firebaseServices) defaultCalendarService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultCalendarService.setStateManager(window.state);
+    window.calendarService = defaultCalendarService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeCalendarService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeCalendarService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultCalendarService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultCalendarService;
+export { CalendarService, CALENDAR_DEFAULTS };
@@ -0,0 +1,372 @@
+// js/dashboard.js
+// ==============================
+// Admin Console (dashboard-admin.html)
+// - Paginated users with role changes and suspension (which also unpublishes
+//   the provider's listings until they are reinstated)
+// - Houses/BnBs with publish/unpublish (the `public` flag browse queries filter on)
+// - Recent-activity feed merged from createdAt across collections
+// - Report moderation lives in AppController._loadPendingReports (reportService)
+// ==============================
+
+import { escapeHtml } from './html.js';
+import { createReportService } from './reportService.js';
+
+const ADMIN_DEFAULTS = {
+  pageSize: 10,
+  activityLimit: 15
+};
+
+const ROLES = ['hunter', 'provider', 'bnb', 'admin'];
+
+// Collections that feed the activity stream, and how each entry is described
+const ACTIVITY_SOURCES = {
+  users: (d) => ({ who: d.name || d.email || 'New user', details: `Registered as ${d.role || 'user'}` }),
+  houses: (d) => ({ who: d.contactName || d.providerId, details: `Listed house "${d.title || 'Untitled'}"`, link: `/house-detail.html?id=${d.id}` }),
+  bnbs: (d) => ({ who: d.contactName || d.providerId, details: `Listed BnB "${d.title || 'Untitled'}"`, link: `/house-detail.html?id=${d.id}` }),
+  bookings: (d) => ({ who: d.guestName || d.userId, details: `Booked "${d.listingTitle || d.listingId}" (${d.status})` }),
+  reports: (d) => ({ who: d.reporterId, details: `Reported "${d.listingTitle || d.listingId}"`, link: '#moderation-section' })
+};
+
+const formatTime = (ts) => ts?.toDate?.().toLocaleString() || '—';
+
+class AdminConsole {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...ADMIN_DEFAULTS, ...options };
+    this.reports = createReportService(firebaseServices, stateManager);
+    this.onChange = null;
+    // per-table cursor stacks: cursors[i] is the last doc of page i
+    this.pagers = {
+      users: { page: 0, cursors: [], hasMore: false },
+      listings: { page: 0, cursors: [], hasMore: false }
+    };
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    this.reports.setFirebaseServices(firebaseServices);
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    this.reports.setStateManager(stateManager);
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  _requireAdmin() {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (user?.role !== 'admin') throw new Error('Only admins can do that.');
+    return user;
+  }
+
+  /**
+   * init({ onChange })
+   * Call after the admin role guard has passed. onChange fires after any
+   * write so the caller can refresh its stat cards.
+   */
+  async init({ onChange } = {}) {
+    if (!this.isFirebaseReady()) return this;
+    this.onChange = onChange || null;
+
+    this._renderProfile();
+    this._wireUsers();
+    this._wireListings();
+
+    await Promise.all([
+      this.loadUsers(),
+      this.loadListings(),
+      this.loadRecentActivity()
+    ]);
+    return this;
+  }
+
+  _renderProfile() {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) return;
+    const name = user.name || user.email || 'Admin';
+    ['user-name', 'mobile-user-name'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = name;
+    });
+    ['user-initial', 'mobile-user-initial', 'mobile-user-initial-sidebar'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) el.textContent = name.charAt(0).toUpperCase();
+    });
+  }
+
+  // ----------------------------
+  // Pagination
+  // ----------------------------
+  async _fetchPage(colRef, pager) {
+    const { query, orderBy, limit, startAfter, getDocs } = this.firebaseServices;
+    const constraints = [orderBy('createdAt', 'desc')];
+    if (pager.page > 0) constraints.push(startAfter(pager.cursors[pager.page - 1]));
+    constraints.push(limit(this.options.pageSize + 1));
+
+    const snapshot = await getDocs(query(colRef, ...constraints));
+    const docs = snapshot.docs.slice(0, this.options.pageSize);
+    pager.cursors[pager.page] = docs[docs.length - 1] || null;
+    pager.hasMore = snapshot.docs.length > this.options.pageSize;
+    return docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+  }
+
+  _renderPager(prefix, pager) {
+    const prev = document.getElementById(`${prefix}-prev`);
+    const next = document.getElementById(`${prefix}-next`);
+    const info = document.getElementById(`${prefix}-page`);
+    if (prev) prev.disabled = pager.page === 0;
+    if (next) next.disabled = !pager.hasMore;
+    if (info) info.textContent = `Page ${pager.page + 1}`;
+  }
+
+  _wirePager(prefix, pager, load) {
+    document.getElementById(`${prefix}-prev`)?.addEventListener('click', () => {
+      if (pager.page === 0) return;
+      pager.page -= 1;
+      load();
+    });
+    document.getElementById(`${prefix}-next`)?.addEventListener('click', () => {
+      if (!pager.hasMore) return;
+      pager.page += 1;
+      load();
+    });
+  }
+
+  _resetPager(pager) {
+    pager.page = 0;
+    pager.cursors = [];
+    pager.hasMore = false;
+  }
+
+  // ----------------------------
+  // Users
+  // ----------------------------
+  async loadUsers() {
+    const tbody = document.getElementById('admin-users');
+    if (!tbody) return;
+    try {
+      const users = await this._fetchPage(this.firebaseServices.collections.users, this.pagers.users);
+      const self = this.stateManager?.getCurrentUser?.()?.uid;
+      tbody.innerHTML = users.length ? users.map(u => `
+        <tr data-user="${u.id}">
+          <td class="px-6 py-4 text-sm text-gray-900">${escapeHtml(u.name || '—')}<div class="text-gray-500">${escapeHtml(u.email || '')}</div></td>
+          <td class="px-6 py-4 text-sm">
+            <select data-user-role class="px-2 py-1 border border-gray-300 rounded-md text-sm" ${u.id === self ? 'disabled' : ''}>
+              ${ROLES.map(r => `<option value="${r}" ${u.role === r ? 'selected' : ''}>${r}</option>`).join('')}
+            </select>
+          </td>
+          <td class="px-6 py-4 text-sm">${u.suspended
+            ? '<span class="px-2 py-1 rounded-full text-xs bg-red-100 text-red-800">Suspended</span>'
+            : '<span class="px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">Active</span>'}</td>
+          <td class="px-6 py-4 text-sm text-gray-500">${formatTime(u.createdAt)}</td>
+          <td class="px-6 py-4 text-sm text-right">${u.id === self ? '' : `
+            <button type="button" data-user-suspend="${u.suspended ? 'false' : 'true'}" class="text-sm ${u.suspended ? 'text-indigo-600' : 'text-red-600'}">
+              ${u.suspended ? 'Reinstate' : 'Suspend'}
+            </button>`}</td>
+        </tr>`).join('')
+        : '<tr><td colspan="5" class="px-6 py-4 text-center text-gray-500">No users found.</td></tr>';
+      this._renderPager('users', this.pagers.users);
+    } catch (err) {
+      console.error('[Admin] loadUsers failed:', err);
+      tbody.innerHTML = '<tr><td colspan="5" class="px-6 py-4 text-center text-red-600">Could not load users.</td></tr>';
+    }
+  }
+
+  async setUserRole(userId, role) {
+    const admin = this._requireAdmin();
+    if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`);
+    if (userId === admin.uid) throw new Error('You cannot change your own role.');
+
+    const { doc, updateDoc, collections, serverTimestamp } = this.firebaseServices;
+    await updateDoc(doc(collections.users, userId), { role, roleChangedBy: admin.uid, updatedAt: serverTimestamp() });
+  }
+
+  async setUserSuspended(userId, suspended) {
+    const admin = this._requireAdmin();
+    if (userId === admin.uid) throw new Error('You cannot suspend yourself.');
+
+    const { doc, updateDoc, collections, serverTimestamp } = this.firebaseServices;
+    await updateDoc(doc(collections.users, userId), suspended
+      ? { suspended: true, suspendedAt: serverTimestamp(), suspendedReason: `admin:${admin.uid}`, updatedAt: serverTimestamp() }
+      : { suspended: false, suspendedReason: null, updatedAt: serverTimestamp() });
+    // a suspended provider's listings leave browse until they are reinstated
+    await this.reports.setProviderListingsSuspended(userId, suspended);
+  }
+
+  _wireUsers() {
+    const tbody = document.getElementById('admin-users');
+    if (!tbody) return;
+    this._wirePager('users', this.pagers.users, () => this.loadUsers());
+
+    tbody.addEventListener('change', async (e) => {
+      const select = e.target.closest('[data-user-role]');
+      if (!select) return;
+      const userId = select.closest('[data-user]').dataset.user;
+      if (!confirm(`Change this user's role to ${select.value}?`)) {
+        await this.loadUsers();
+        return;
+      }
+      await this._run(() => this.setUserRole(userId, select.value), () => this.loadUsers());
+    });
+
+    tbody.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-user-suspend]');
+      if (!button) return;
+      const suspend = button.dataset.userSuspend === 'true';
+      if (suspend && !confirm('Suspend this user? They will be signed out of their dashboard and their listings hidden from browse.')) return;
+      button.disabled = true;
+      const userId = button.closest('[data-user]').dataset.user;
+      await this._run(() => this.setUserSuspended(userId, suspend), () => Promise.all([this.loadUsers(), this.loadListings()]));
+    });
+  }
+
+  // ----------------------------
+  // Listings
+  // ----------------------------
+  _listingCollection() {
+    return document.getElementById('admin-listings-collection')?.value || 'houses';
+  }
+
+  async loadListings() {
+    const tbody = document.getElementById('admin-listings');
+    if (!tbody) return;
+    const name = this._listingCollection();
+    try {
+      const listings = await this._fetchPage(this.firebaseServices.collections[name], this.pagers.listings);
+      tbody.innerHTML = listings.length ? listings.map(l => `
+        <tr data-listing="${l.id}">
+          <td class="px-6 py-4 text-sm text-gray-900"><a href="/house-detail.html?id=${l.id}" target="_blank" class="text-indigo-600">${escapeHtml(l.title || 'Untitled')}</a></td>
+          <td class="px-6 py-4 text-sm text-gray-500">${escapeHtml([l.city, l.state].filter(Boolean).join(', ') || l.location || '—')}</td>
+          <td class="px-6 py-4 text-sm">${l.public
+            ? '<span class="px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">Published</span>'
+            : '<span class="px-2 py-1 rounded-full text-xs bg-gray-100 text-gray-800">Unpublished</span>'}</td>
+          <td class="px-6 py-4 text-sm text-gray-500">${formatTime(l.createdAt)}</td>
+          <td class="px-6 py-4 text-sm text-right">
+            <button type="button" data-listing-public="${l.public ? 'false' : 'true'}" class="text-sm ${l.public ? 'text-red-600' : 'text-indigo-600'}">
+              ${l.public ? 'Unpublish' : 'Publish'}
+            </button>
+          </td>
+        </tr>`).join('')
+        : '<tr><td colspan="5" class="px-6 py-4 text-center text-gray-500">No listings found.</td></tr>';
+      this._renderPager('listings', this.pagers.listings);
+    } catch (err) {
+      console.error('[Admin] loadListings failed:', err);
+      tbody.innerHTML = '<tr><td colspan="5" class="px-6 py-4 text-center text-red-600">Could not load listings.</td></tr>';
+    }
+  }
+
+  async setListingPublic(collectionName, listingId, isPublic) {
+    const admin = this._requireAdmin();
+    const { doc, updateDoc, collections, serverTimestamp } = this.firebaseServices;
+    await updateDoc(doc(collections[collectionName], listingId), isPublic
+      ? { public: true, publishedAt: serverTimestamp(), unpublishedReason: null, updatedAt: serverTimestamp() }
+      : { public: false, unpublishedAt: serverTimestamp(), unpublishedReason: `admin:${admin.uid}`, updatedAt: serverTimestamp() });
+  }
+
+  _wireListings() {
+    const tbody = document.getElementById('admin-listings');
+    if (!tbody) return;
+    this._wirePager('listings', this.pagers.listings, () => this.loadListings());
+
+    document.getElementById('admin-listings-collection')?.addEventListener('change', () => {
+      this._resetPager(this.pagers.listings);
+      this.loadListings();
+    });
+
+    tbody.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-listing-public]');
+      if (!button) return;
+      button.disabled = true;
+      const listingId = button.closest('[data-listing]').dataset.listing;
+      const isPublic = button.dataset.listingPublic === 'true';
+      await this._run(() => this.setListingPublic(this._listingCollection(), listingId, isPublic), () => this.loadListings());
+    });
+  }
+
+  // ----------------------------
+  // Recent activity
+  // ----------------------------
+  async loadRecentActivity() {
+    const tbody = document.getElementById('recent-activity');
+    if (!tbody) return;
+
+    const { collections, query, orderBy, limit, getDocs } = this.firebaseServices;
+    const perSource = this.options.activityLimit;
+    const results = await Promise.allSettled(Object.entries(ACTIVITY_SOURCES).map(async ([name, describe]) => {
+      const snapshot = await getDocs(query(collections[name], orderBy('createdAt', 'desc'), limit(perSource)));
+      return snapshot.docs.map(docSnap => {
+        const data = { id: docSnap.id, ...docSnap.data() };
+        return { source: name, createdAt: data.createdAt, ...describe(data) };
+      });
+    }));
+
+    results.filter(r => r.status === 'rejected').forEach(r => console.error('[Admin] activity source failed:', r.reason));
+    const items = results
+      .flatMap(r => (r.status === 'fulfilled' ? r.value : []))
+      .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0))
+      .slice(0, this.options.activityLimit);
+
+    tbody.innerHTML = items.length ? items.map(item => `
+      <tr>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${escapeHtml(item.who || '—')}</td>
+        <td class="px-6 py-4 text-sm text-gray-500">${escapeHtml(item.details)}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${formatTime(item.createdAt)}</td>
+        <td class="px-6 py-4 whitespace-nowrap text-sm text-right">${item.link ? `<a href="${item.link}" class="text-indigo-600">View</a>` : ''}</td>
+      </tr>`).join('')
+      : '<tr><td colspan="4" class="px-6 py-4 text-center text-gray-500">No recent activity.</td></tr>';
+  }
+
+  // Runs a write, reports failures, then refreshes the table and the caller's stats
+  async _run(action, reload) {
+    try {
+      await action();
+    } catch (err) {
+      console.error('[Admin] action failed:', err);
+      alert(this.firebaseServices.handleError(err).message);
+    }
+    await reload();
+    this.onChange?.();
+  }
+}
+
+// Factory
+export function createAdminConsole(firebaseServices = null, stateManager = null, options = {}) {
+  return new AdminConsole(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultAdminConsole = new AdminConsole();
+
+if (typeof window !== 'undefined') {
+  const initializeAdminConsole = () => {
+    if (window.firebaseServices) defaultAdminConsole.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultAdminConsole.setStateManager(window.state);
+    window.adminConsole = defaultAdminConsole;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeAdminConsole();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeAdminConsole, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultAdminConsole.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultAdminConsole;
+export { AdminConsole, ROLES };
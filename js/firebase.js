@@ -14,6 +14,11 @@ import {
   sendPasswordResetEmail,
   onAuthStateChanged,
   signOut,
+  connectAuthEmulator,
+  RecaptchaVerifier,
+  PhoneAuthProvider,
+  signInWithPhoneNumber,
+  linkWithCredential,
 } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-auth.js';
 import {
   getFirestore,
@@ -23,6 +28,7 @@ import {
   arrayUnion,
   arrayRemove,
   increment,
+  deleteField,
   Timestamp,
   doc,
   getDocs,
@@ -33,8 +39,23 @@ import {
   deleteDoc,
   query,
   where,
+  orderBy,
+  limit,
+  startAfter,
+  startAt,
+  endAt,
+  documentId,
+  onSnapshot,
+  runTransaction,
 } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-firestore.js';
-import { getStorage } from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-storage.js';
+import {
+  getStorage,
+  ref,
+  uploadBytes,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
+} from 'https://www.gstatic.com/firebasejs/9.23.0/firebase-storage.js';
 
 // Firebase config (kept as provided)
 const firebaseConfig = {
@@ -53,6 +74,21 @@ const auth = getAuth(app);
 const db = getFirestore(app);
 const storage = getStorage(app);
 
+// Local testing against the Auth emulator: set localStorage
+// 'kejabase-auth-emulator' to its URL (e.g. http://127.0.0.1:9099).
+// reCAPTCHA is skipped there, and OTP codes show up in the emulator log/UI.
+const authEmulatorUrl = (() => {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage.getItem('kejabase-auth-emulator') : null;
+  } catch {
+    return null;
+  }
+})();
+if (authEmulatorUrl) {
+  connectAuthEmulator(auth, authEmulatorUrl, { disableWarnings: true });
+  auth.settings.appVerificationDisabledForTesting = true;
+}
+
 // Enable offline persistence (best-effort)
 enableIndexedDbPersistence(db).catch((err) => {
   if (err?.code === 'failed-precondition') {
@@ -70,6 +106,12 @@ const bookingsCollection = collection(db, 'bookings');
 const feedbackCollection = collection(db, 'feedback');
 const reportsCollection = collection(db, 'reports');
 const favoritesCollection = collection(db, 'favorites');
+const availabilityCollection = collection(db, 'availability');
+const threadsCollection = collection(db, 'threads');
+const savedSearchesCollection = collection(db, 'savedSearches');
+const notificationsCollection = collection(db, 'notifications');
+const listingViewsCollection = collection(db, 'listingViews');
+const listingContactsCollection = collection(db, 'listingContacts');
 
 // Error helper
 const handleError = (error) => {
@@ -96,12 +138,19 @@ const firebaseServices = {
     feedback: feedbackCollection,
     reports: reportsCollection,
     favorites: favoritesCollection,
+    availability: availabilityCollection,
+    threads: threadsCollection,
+    savedSearches: savedSearchesCollection,
+    notifications: notificationsCollection,
+    listingViews: listingViewsCollection,
+    listingContacts: listingContactsCollection,
   },
   // utils
   serverTimestamp,
   arrayUnion,
   arrayRemove,
   increment,
+  deleteField,
   toTimestamp: (date) => Timestamp.fromDate(date),
   // auth helpers
   setPersistence: (rememberMe) => {
@@ -113,6 +162,12 @@ const firebaseServices = {
   sendPasswordResetEmail,
   signOut,
   onAuthStateChanged,
+  authEmulator: !!authEmulatorUrl,
+  // phone auth (all take auth explicitly, as in the v9 SDK)
+  RecaptchaVerifier,
+  PhoneAuthProvider,
+  signInWithPhoneNumber,
+  linkWithCredential,
   // firestore helpers
   doc,
   getDoc,
@@ -123,6 +178,21 @@ const firebaseServices = {
   deleteDoc,
   query,
   where,
+  orderBy,
+  limit,
+  startAfter,
+  startAt,
+  endAt,
+  documentId,
+  onSnapshot,
+  subcollection: (docRef, name) => collection(docRef, name),
+  runTransaction: (updateFn) => runTransaction(db, updateFn),
+  // storage helpers
+  storageRef: (path) => ref(storage, path),
+  uploadBytes,
+  uploadBytesResumable,
+  getDownloadURL,
+  deleteObject,
   handleError,
   ready: true,
 };
@@ -131,6 +201,7 @@ export default firebaseServices;
 
 // Signal readiness to the app shell
 if (typeof window !== 'undefined') {
+  window.firebaseServices = firebaseServices;
   window.dispatchEvent(new CustomEvent('firebaseReady', { detail: { firebaseServices } }));
 }
 
@@ -0,0 +1,182 @@
+// js/gallery.js
+// ==============================
+// Listing Gallery + Lightbox
+// - Lays out listing.images in the 4x2 #gallery grid (cover spans 2x2)
+// - Full-screen lightbox with arrow keys, Escape and touch-swipe navigation
+// - Full-size images load only when shown (neighbours are preloaded)
+// - Falls back to the placeholder when a listing has no photos
+// ==============================
+
+import { imageUrl, IMAGE_DEFAULTS } from './imagePipeline.js';
+
+const GRID_SLOTS = 5;
+const SWIPE_THRESHOLD = 50;
+
+class ListingGallery {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.placeholder = options.placeholder || IMAGE_DEFAULTS.placeholder;
+    this.images = [];
+    this.title = '';
+    this.index = 0;
+    this.lightbox = null;
+    this.returnFocus = null;
+    this.touchStartX = null;
+
+    this._onKeydown = this._onKeydown.bind(this);
+  }
+
+  // ----------------------------
+  // Grid
+  // ----------------------------
+  render(listing) {
+    if (!this.container) return this;
+    this.images = (Array.isArray(listing?.images) ? listing.images : [])
+      .map(image => ({ full: imageUrl(image, 'full'), thumb: imageUrl(image, 'thumb') }))
+      .filter(image => image.full);
+    this.title = listing?.title || listing?.name || 'Listing';
+
+    if (!this.images.length) {
+      this.container.innerHTML = `
+        <img src="${listing?.image || this.placeholder}" alt="${this.title}"
+             class="md:col-span-4 md:row-span-2 w-full h-full object-cover rounded-lg">`;
+      this._wirePlaceholderFallback();
+      return this;
+    }
+
+    const shown = this.images.slice(0, GRID_SLOTS);
+    const hidden = this.images.length - shown.length;
+
+    this.container.innerHTML = shown.map((image, i) => {
+      const isCover = i === 0;
+      const isLast = i === shown.length - 1;
+      const tileClass = isCover ? 'md:col-span-2 md:row-span-2' : 'hidden md:block';
+      return `
+        <button type="button" data-gallery-index="${i}" class="${tileClass} relative w-full h-full overflow-hidden rounded-lg focus:outline-none focus:ring-2 focus:ring-indigo-500">
+          <img src="${isCover ? image.full : image.thumb}" alt="${this.title} photo ${i + 1}"
+               loading="${isCover ? 'eager' : 'lazy'}" class="w-full h-full object-cover hover:opacity-90">
+          ${isLast && hidden > 0 ? `<span class="absolute inset-0 flex items-center justify-center bg-black bg-opacity-50 text-white font-medium">+${hidden} more</span>` : ''}
+        </button>`;
+    }).join('');
+
+    this._wirePlaceholderFallback();
+    this.container.onclick = (e) => {
+      const tile = e.target.closest('[data-gallery-index]');
+      if (tile) this.open(Number(tile.dataset.galleryIndex));
+    };
+    return this;
+  }
+
+  _wirePlaceholderFallback() {
+    this.container.querySelectorAll('img').forEach(img => {
+      img.addEventListener('error', () => {
+        if (!img.src.endsWith(this.placeholder)) img.src = this.placeholder;
+      }, { once: true });
+    });
+  }
+
+  // ----------------------------
+  // Lightbox
+  // ----------------------------
+  _buildLightbox() {
+    const el = document.createElement('div');
+    el.className = 'fixed inset-0 z-50 hidden flex items-center justify-center bg-black bg-opacity-90';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.setAttribute('aria-label', 'Photo viewer');
+    el.innerHTML = `
+      <button type="button" data-lightbox="close" class="absolute top-4 right-4 text-white text-3xl leading-none p-2" aria-label="Close">&times;</button>
+      <button type="button" data-lightbox="prev" class="absolute left-2 md:left-6 text-white text-4xl p-2" aria-label="Previous photo">&lsaquo;</button>
+      <figure class="max-w-5xl w-full px-12 text-center">
+        <img data-lightbox-image alt="" class="mx-auto object-contain select-none" style="max-height: 80vh">
+        <figcaption data-lightbox-counter class="mt-3 text-sm text-gray-300"></figcaption>
+      </figure>
+      <button type="button" data-lightbox="next" class="absolute right-2 md:right-6 text-white text-4xl p-2" aria-label="Next photo">&rsaquo;</button>`;
+
+    el.addEventListener('click', (e) => {
+      const action = e.target.closest('[data-lightbox]')?.dataset.lightbox;
+      if (action === 'close' || e.target === el) this.close();
+      else if (action === 'prev') this.prev();
+      else if (action === 'next') this.next();
+    });
+    el.addEventListener('touchstart', (e) => {
+      this.touchStartX = e.changedTouches[0].clientX;
+    }, { passive: true });
+    el.addEventListener('touchend', (e) => {
+      if (this.touchStartX === null) return;
+      const dx = e.changedTouches[0].clientX - this.touchStartX;
+      this.touchStartX = null;
+      if (Math.abs(dx) < SWIPE_THRESHOLD) return;
+      if (dx < 0) this.next();
+      else this.prev();
+    });
+
+    const img = el.querySelector('[data-lightbox-image]');
+    img.addEventListener('error', () => {
+      if (!img.src.endsWith(this.placeholder)) img.src = this.placeholder;
+    });
+
+    document.body.appendChild(el);
+    return el;
+  }
+
+  open(index = 0) {
+    if (!this.images.length) return;
+    this.lightbox = this.lightbox || this._buildLightbox();
+    this.returnFocus = document.activeElement;
+
+    this.lightbox.classList.remove('hidden');
+    document.body.classList.add('overflow-hidden');
+    document.addEventListener('keydown', this._onKeydown);
+    this.show(index);
+    this.lightbox.querySelector('[data-lightbox="close"]').focus();
+  }
+
+  close() {
+    if (!this.lightbox) return;
+    this.lightbox.classList.add('hidden');
+    document.body.classList.remove('overflow-hidden');
+    document.removeEventListener('keydown', this._onKeydown);
+    this.returnFocus?.focus?.();
+  }
+
+  show(index) {
+    const count = this.images.length;
+    this.index = (index + count) % count;
+
+    const img = this.lightbox.querySelector('[data-lightbox-image]');
+    img.src = this.images[this.index].full;
+    img.alt = `${this.title} photo ${this.index + 1}`;
+    this.lightbox.querySelector('[data-lightbox-counter]').textContent = `${this.index + 1} / ${count}`;
+    this.lightbox.querySelectorAll('[data-lightbox="prev"], [data-lightbox="next"]')
+      .forEach(btn => btn.classList.toggle('hidden', count < 2));
+
+    // warm the cache so swiping feels instant
+    [this.index - 1, this.index + 1].forEach(i => {
+      const neighbour = this.images[(i + count) % count];
+      if (neighbour) new Image().src = neighbour.full;
+    });
+  }
+
+  next() {
+    this.show(this.index + 1);
+  }
+
+  prev() {
+    this.show(this.index - 1);
+  }
+
+  _onKeydown(e) {
+    if (e.key === 'Escape') this.close();
+    else if (e.key === 'ArrowRight') this.next();
+    else if (e.key === 'ArrowLeft') this.prev();
+  }
+}
+
+// Factory
+export function createGallery(container, options = {}) {
+  return new ListingGallery(container, options);
+}
+
+export default createGallery;
+export { ListingGallery };
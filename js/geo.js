@@ -0,0 +1,158 @@
+// js/geo.js
+// ==============================
+// Geo helpers (no DOM, no Firebase)
+// - Geohash encode/decode for the listing `geohash` field
+// - Haversine distances and bounding-box checks
+// - geohashRanges(): the [start, end] prefixes that cover a radius or a
+//   bounding box, for orderBy('geohash') + startAt/endAt range queries
+// ==============================
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_KM = 6371;
+
+// Precision stored on listings (~5m cells)
+const GEOHASH_PRECISION = 9;
+
+// Approximate cell size in km (width at the equator, height) per precision
+const CELL_KM = [
+  null,
+  [5009.4, 4992.6], [1252.3, 624.1], [156.5, 156.0], [39.1, 19.5],
+  [4.89, 4.89], [1.22, 0.61], [0.153, 0.153], [0.038, 0.019], [0.0048, 0.0048]
+];
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+function isValidPoint(point) {
+  return !!point &&
+    Number.isFinite(point.lat) && Math.abs(point.lat) <= 90 &&
+    Number.isFinite(point.lng) && Math.abs(point.lng) <= 180;
+}
+
+function encodeGeohash(lat, lng, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+}
+
+// -> { lat, lng } at the centre of the cell
+function decodeGeohash(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let evenBit = true;
+
+  for (const char of hash) {
+    const index = BASE32.indexOf(char);
+    if (index < 0) throw new Error(`Invalid geohash: ${hash}`);
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = evenBit ? lngRange : latRange;
+      const mid = (range[0] + range[1]) / 2;
+      if ((index >> bit) & 1) range[0] = mid;
+      else range[1] = mid;
+      evenBit = !evenBit;
+    }
+  }
+  return { lat: (latRange[0] + latRange[1]) / 2, lng: (lngRange[0] + lngRange[1]) / 2 };
+}
+
+function distanceKm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+}
+
+function inBounds(point, bounds) {
+  if (!isValidPoint(point) || !bounds) return false;
+  const withinLng = bounds.west <= bounds.east
+    ? point.lng >= bounds.west && point.lng <= bounds.east
+    : point.lng >= bounds.west || point.lng <= bounds.east; // crosses the antimeridian
+  return point.lat >= bounds.south && point.lat <= bounds.north && withinLng;
+}
+
+// Bounding box of a circle, in degrees; a circle over a pole (or wider than
+// the globe) spans every longitude
+function boundsAround(center, radiusKm) {
+  const dLat = (radiusKm / EARTH_RADIUS_KM) * (180 / Math.PI);
+  const dLng = dLat / Math.max(Math.cos(toRad(center.lat)), 0.01);
+  const south = Math.max(center.lat - dLat, -90);
+  const north = Math.min(center.lat + dLat, 90);
+  if (dLng >= 180 || north === 90 || south === -90) return { south, north, west: -180, east: 180 };
+  return {
+    south,
+    north,
+    west: center.lng - dLng < -180 ? center.lng - dLng + 360 : center.lng - dLng,
+    east: center.lng + dLng > 180 ? center.lng + dLng - 360 : center.lng + dLng
+  };
+}
+
+/**
+ * geohashRanges(bounds) -> [[start, end], ...]
+ * Picks the finest precision whose cells still cover the box in a handful
+ * of queries, then returns one prefix range per cell. Results must still be
+ * checked with inBounds()/distanceKm(): cells overhang the box.
+ */
+function geohashRanges(bounds, maxCells = 9) {
+  const midLat = (bounds.south + bounds.north) / 2;
+  const heightKm = ((bounds.north - bounds.south) * Math.PI * EARTH_RADIUS_KM) / 180;
+  const spanLng = bounds.west <= bounds.east ? bounds.east - bounds.west : bounds.east + 360 - bounds.west;
+  const widthKm = ((spanLng * Math.PI * EARTH_RADIUS_KM) / 180) * Math.cos(toRad(midLat));
+
+  let precision = 1;
+  for (let p = GEOHASH_PRECISION; p >= 1; p--) {
+    const [cellW, cellH] = CELL_KM[p];
+    const cols = Math.ceil(widthKm / (cellW * Math.cos(toRad(midLat)))) + 1;
+    const rows = Math.ceil(heightKm / cellH) + 1;
+    if (cols * rows <= maxCells) {
+      precision = p;
+      break;
+    }
+  }
+
+  // sample the box on a grid finer than one cell so every covering cell is hit
+  const [cellW, cellH] = CELL_KM[precision];
+  const latStep = Math.max((cellH / 2) * (180 / (Math.PI * EARTH_RADIUS_KM)), 1e-6);
+  const lngStep = Math.max(((cellW / 2) * (180 / (Math.PI * EARTH_RADIUS_KM))), 1e-6);
+  const hashes = new Set();
+  for (let lat = bounds.south; lat <= bounds.north + latStep; lat += latStep) {
+    for (let offset = 0; offset <= spanLng + lngStep; offset += lngStep) {
+      const lng = ((bounds.west + Math.min(offset, spanLng) + 540) % 360) - 180;
+      hashes.add(encodeGeohash(Math.min(lat, bounds.north), lng, precision));
+    }
+  }
+  return [...hashes].sort().map(hash => [hash, `${hash}~`]);
+}
+
+export {
+  GEOHASH_PRECISION,
+  isValidPoint,
+  encodeGeohash,
+  decodeGeohash,
+  distanceKm,
+  inBounds,
+  boundsAround,
+  geohashRanges
+};
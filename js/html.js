@@ -0,0 +1,17 @@
+// js/html.js
+// ==============================
+// HTML helpers (no DOM, no Firebase)
+// - escapeHtml(): for every value interpolated into innerHTML templates,
+//   text and (double- or single-quoted) attributes alike
+// ==============================
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export { escapeHtml };
@@ -0,0 +1,166 @@
+// js/ical.js
+// ==============================
+// iCalendar helpers (no DOM, no Firebase)
+// - buildIcs(): an RFC 5545 VCALENDAR of all-day VEVENTs, one per range
+// - parseIcs(): VEVENTs from another platform's export, as half-open
+//   { start, end } date-key ranges (the same shape as availability ranges)
+// - Only what calendar sync needs: all-day or timed DTSTART/DTEND, DURATION
+//   in days/weeks, STATUS:CANCELLED; times are reduced to their date
+// ==============================
+
+import { addDays, dayMillis } from './availabilityService.js';
+
+const ICS_LIMITS = {
+  maxBytes: 1024 * 1024,
+  maxEvents: 500
+};
+
+const PRODUCT_ID = '-//Kejabase//Host Calendar//EN';
+
+// "YYYY-MM-DD" <-> "YYYYMMDD"
+const toIcsDate = (dateKey) => dateKey.replace(/-/g, '');
+
+function fromIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(String(value || '').trim());
+  if (!match) return null;
+  const key = `${match[1]}-${match[2]}-${match[3]}`;
+  // Date.parse rolls "20260230" over into March; a round trip catches it
+  const ms = dayMillis(key);
+  if (Number.isNaN(ms) || new Date(ms).toISOString().slice(0, 10) !== key) return null;
+  return key;
+}
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => String(value ?? '')
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([\\;,])/g, '$1');
+
+// Content lines are folded at 75 characters; continuation lines start with a space
+function foldLine(line) {
+  if (line.length <= 75) return line;
+  const parts = [line.slice(0, 75)];
+  for (let i = 75; i < line.length; i += 74) parts.push(line.slice(i, i + 74));
+  return parts.join('\r\n ');
+}
+
+const icsTimestamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * buildIcs({ name, events, now }) -> string
+ * events: [{ uid, start, end, summary, description }] with half-open date keys.
+ */
+function buildIcs({ name = '', events = [], now = new Date() } = {}) {
+  const stamp = icsTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${escapeText(event.uid)}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${toIcsDate(event.start)}`,
+      `DTEND;VALUE=DATE:${toIcsDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary || 'Unavailable')}`
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('TRANSP:OPAQUE', 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// "P3D", "P1W", "PT36H" -> whole days (rounded up), or null
+function durationDays(value) {
+  const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+  if (!match) return null;
+  const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match.map(v => Number(v) || 0);
+  const total = weeks * 7 + days + (hours * 3600 + minutes * 60 + seconds) / 86400;
+  return Math.ceil(total);
+}
+
+// "DTSTART;VALUE=DATE:20261020" -> { name: 'DTSTART', params: { VALUE: 'DATE' }, value: '20261020' }
+function parseLine(line) {
+  const colon = line.indexOf(':');
+  if (colon < 0) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  rawParams.forEach(param => {
+    const [key, value = ''] = param.split('=');
+    params[key.toUpperCase()] = value;
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * parseIcs(text, { today }) -> { events, errors, skipped }
+ * events: [{ uid, summary, start, end }] sorted by start; events that are
+ * cancelled or already over are counted in skipped. Invalid events are
+ * reported in errors instead of failing the whole file.
+ */
+function parseIcs(text, { today = null } = {}) {
+  const source = String(text || '');
+  if (source.length > ICS_LIMITS.maxBytes) throw new Error('That calendar file is too large.');
+  if (!/BEGIN:VCALENDAR/i.test(source)) throw new Error('That does not look like an iCal (.ics) calendar.');
+
+  const lines = source.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  const errors = [];
+  let skipped = 0;
+  let current = null;
+
+  lines.forEach(raw => {
+    const line = parseLine(raw.trim());
+    if (!line) return;
+
+    if (line.name === 'BEGIN' && line.value.toUpperCase() === 'VEVENT') {
+      current = {};
+    } else if (line.name === 'END' && line.value.toUpperCase() === 'VEVENT' && current) {
+      const label = current.summary || current.uid || `Event ${events.length + errors.length + skipped + 1}`;
+      const start = fromIcsDate(current.dtstart);
+      let end = fromIcsDate(current.dtend);
+      if (!end && start) {
+        const days = current.duration ? durationDays(current.duration) : (current.allDay ? 1 : 0);
+        end = days ? addDays(start, days) : null;
+      }
+      // a timed event that starts and ends on the same day still takes that night
+      if (start && end === start) end = addDays(start, 1);
+
+      if (String(current.status || '').toUpperCase() === 'CANCELLED') skipped++;
+      else if (!start) errors.push(`${label}: missing or invalid start date.`);
+      else if (!end || end < start) errors.push(`${label}: missing or invalid end date.`);
+      else if (today && end <= today) skipped++;
+      else events.push({ uid: current.uid || null, summary: current.summary || '', start, end });
+      current = null;
+    } else if (current) {
+      if (line.name === 'DTSTART') {
+        current.dtstart = line.value;
+        current.allDay = line.params.VALUE === 'DATE' || /^\d{8}$/.test(line.value.trim());
+      } else if (line.name === 'DTEND') current.dtend = line.value;
+      else if (line.name === 'DURATION') current.duration = line.value;
+      else if (line.name === 'UID') current.uid = unescapeText(line.value).trim();
+      else if (line.name === 'SUMMARY') current.summary = unescapeText(line.value).trim();
+      else if (line.name === 'STATUS') current.status = line.value.trim();
+    }
+  });
+
+  if (events.length > ICS_LIMITS.maxEvents) {
+    throw new Error(`That calendar has more than ${ICS_LIMITS.maxEvents} upcoming events.`);
+  }
+  events.sort((a, b) => a.start.localeCompare(b.start));
+  return { events, errors, skipped };
+}
+
+export { buildIcs, parseIcs, ICS_LIMITS };
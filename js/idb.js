@@ -0,0 +1,71 @@
+// js/idb.js
+// ==============================
+// IndexedDB helpers (no DOM, no Firebase)
+// - createDatabase(name, stores): a small handle over one database; stores
+//   maps each object store name to its createObjectStore options, and
+//   missing stores are created on first open
+// - withStore(store, mode, run): one transaction per call, resolving with the
+//   result of the request run() returns once the transaction has committed
+// - toStorable(value, omitKeys): plain data for structured clone (Firestore
+//   Timestamps become millis, omitted keys are dropped)
+// ==============================
+
+function isIndexedDbSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase(name, stores) {
+  return new Promise((resolve, reject) => {
+    if (!isIndexedDbSupported()) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => {
+      Object.entries(stores).forEach(([storeName, options]) => {
+        if (!request.result.objectStoreNames.contains(storeName)) request.result.createObjectStore(storeName, options);
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function createDatabase(name, stores = {}) {
+  return {
+    name,
+    isSupported: isIndexedDbSupported,
+    async withStore(storeName, mode, run) {
+      const db = await openDatabase(name, stores);
+      try {
+        return await new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, mode);
+          const request = run(tx.objectStore(storeName));
+          tx.oncomplete = () => resolve(request?.result);
+          tx.onerror = () => reject(tx.error);
+        });
+      } finally {
+        db.close();
+      }
+    }
+  };
+}
+
+// Timestamp.toJSON() runs before a JSON.stringify replacer sees the value, so
+// Timestamps are converted in a walk of their own before serializing
+function timestampsToMillis(value) {
+  if (!value || typeof value !== 'object') return value;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (Array.isArray(value)) return value.map(timestampsToMillis);
+  if (value instanceof Date) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, timestampsToMillis(item)]));
+}
+
+function toStorable(value, omitKeys = []) {
+  return JSON.parse(JSON.stringify(timestampsToMillis(value), (key, item) => {
+    if (omitKeys.includes(key)) return undefined;
+    return item;
+  }));
+}
+
+export { createDatabase, isIndexedDbSupported, toStorable };
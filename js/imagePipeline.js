@@ -0,0 +1,229 @@
+// js/imagePipeline.js
+// ==============================
+// Client-side Image Pipeline
+// - Resizes and re-encodes listing photos (WebP, JPEG fallback) in a canvas
+// - Re-encoding drops EXIF, so GPS/location metadata never leaves the device
+// - Produces full + thumb variants named by content hash (no file.name collisions)
+// - Organizer UI for reordering photos and picking the cover (first image)
+// ==============================
+
+const IMAGE_DEFAULTS = {
+  fullMaxSize: 1600,
+  thumbMaxSize: 480,
+  fullQuality: 0.82,
+  thumbQuality: 0.7,
+  placeholder: '/images/placeholder.jpg'
+};
+
+// ----------------------------
+// Helpers for reading listing.images
+// Older listings store plain URL strings; new ones store { full, thumb, width, height }
+// ----------------------------
+export function imageUrl(image, variant = 'full') {
+  if (!image) return null;
+  if (typeof image === 'string') return image;
+  return image[variant] || image.full || image.thumb || null;
+}
+
+// cachedThumb: object URL of the thumbnail kept for offline use (offlineStore.js)
+export function coverImage(listing, variant = 'thumb') {
+  if (listing?.cachedThumb) return listing.cachedThumb;
+  const first = Array.isArray(listing?.images) ? listing.images[0] : null;
+  return imageUrl(first, variant) || listing?.image || IMAGE_DEFAULTS.placeholder;
+}
+
+class ImagePipeline {
+  constructor(options = {}) {
+    this.options = { ...IMAGE_DEFAULTS, ...options };
+    this._webp = null;
+  }
+
+  // ----------------------------
+  // Encoding
+  // ----------------------------
+  supportsWebp() {
+    if (this._webp === null) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = 1;
+      this._webp = canvas.toDataURL('image/webp').startsWith('data:image/webp');
+    }
+    return this._webp;
+  }
+
+  outputFormat() {
+    return this.supportsWebp()
+      ? { type: 'image/webp', ext: 'webp' }
+      : { type: 'image/jpeg', ext: 'jpg' };
+  }
+
+  async hashFile(file) {
+    const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+    return Array.from(new Uint8Array(digest))
+      .map(b => b.toString(16).padStart(2, '0'))
+      .join('')
+      .slice(0, 20);
+  }
+
+  // Decodes with EXIF orientation applied so portrait phone shots stay upright
+  async decode(file) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        return await createImageBitmap(file, { imageOrientation: 'from-image' });
+      } catch (err) {
+        console.warn('[Images] createImageBitmap failed, falling back to <img>:', err);
+      }
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+      return img;
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  fitWithin(width, height, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(width, height));
+    return { width: Math.round(width * scale), height: Math.round(height * scale) };
+  }
+
+  encode(source, width, height, type, quality) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (type === 'image/jpeg') {
+      // JPEG has no alpha; avoid transparent PNG areas turning black
+      ctx.fillStyle = '#fff';
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(source, 0, 0, width, height);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
+    });
+  }
+
+  /**
+   * process(file)
+   * Returns { hash, width, height, variants: { full, thumb } } where each
+   * variant is { blob, name, width, height }.
+   */
+  async process(file) {
+    if (!file?.type?.startsWith('image/')) throw new Error(`${file?.name || 'File'} is not an image.`);
+
+    const [hash, source] = await Promise.all([this.hashFile(file), this.decode(file)]);
+    const { type, ext } = this.outputFormat();
+    const srcWidth = source.width || source.naturalWidth;
+    const srcHeight = source.height || source.naturalHeight;
+
+    const variants = {};
+    for (const [variant, maxSize, quality] of [
+      ['full', this.options.fullMaxSize, this.options.fullQuality],
+      ['thumb', this.options.thumbMaxSize, this.options.thumbQuality]
+    ]) {
+      const size = this.fitWithin(srcWidth, srcHeight, maxSize);
+      variants[variant] = {
+        ...size,
+        blob: await this.encode(source, size.width, size.height, type, quality),
+        name: `${hash}-${variant}.${ext}`
+      };
+    }
+    source.close?.();
+
+    return { hash, width: variants.full.width, height: variants.full.height, variants };
+  }
+
+  // ----------------------------
+  // Organizer UI (reorder, cover, remove)
+  // ----------------------------
+  /**
+   * createOrganizer(container, fileInput, { onChange })
+   * Keeps its own ordered file list; the first file is the cover.
+   * Returns { getFiles(), clear() }.
+   */
+  createOrganizer(container, fileInput, { onChange } = {}) {
+    let files = [];
+    let urls = [];
+
+    const render = () => {
+      urls.forEach(url => URL.revokeObjectURL(url));
+      urls = files.map(file => URL.createObjectURL(file));
+      const btn = 'bg-white rounded-full px-2 py-1 text-xs shadow-md hover:bg-gray-100';
+
+      container.innerHTML = files.map((file, i) => `
+        <div class="relative" data-photo="${i}">
+          <img src="${urls[i]}" alt="Photo ${i + 1}" class="w-full h-48 object-cover rounded-md ${i === 0 ? 'ring-2 ring-indigo-500' : ''}">
+          ${i === 0 ? '<span class="absolute top-2 left-2 bg-indigo-600 text-white text-xs px-2 py-1 rounded">Cover</span>' : ''}
+          <div class="absolute bottom-2 left-2 right-2 flex justify-between">
+            <div class="space-x-1">
+              <button type="button" class="${btn}" data-photo-action="left" aria-label="Move left" ${i === 0 ? 'disabled' : ''}>&larr;</button>
+              <button type="button" class="${btn}" data-photo-action="right" aria-label="Move right" ${i === files.length - 1 ? 'disabled' : ''}>&rarr;</button>
+            </div>
+            ${i === 0 ? '' : `<button type="button" class="${btn}" data-photo-action="cover">Make cover</button>`}
+          </div>
+          <button type="button" class="absolute top-2 right-2 bg-white rounded-full p-1 shadow-md" data-photo-action="remove" aria-label="Remove photo">
+            <svg class="h-5 w-5 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      `).join('');
+      onChange?.(files.slice());
+    };
+
+    const move = (from, to) => {
+      if (to < 0 || to >= files.length) return;
+      const [file] = files.splice(from, 1);
+      files.splice(to, 0, file);
+    };
+
+    fileInput.addEventListener('change', () => {
+      const picked = Array.from(fileInput.files || []).filter(f => f.type.startsWith('image/'));
+      files = files.concat(picked);
+      // the organizer owns the list, so the same file can be picked again later
+      fileInput.value = '';
+      render();
+    });
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-photo-action]');
+      if (!button) return;
+      const index = Number(button.closest('[data-photo]').dataset.photo);
+
+      switch (button.dataset.photoAction) {
+        case 'left': move(index, index - 1); break;
+        case 'right': move(index, index + 1); break;
+        case 'cover': move(index, 0); break;
+        case 'remove': files.splice(index, 1); break;
+      }
+      render();
+    });
+
+    return {
+      getFiles: () => files.slice(),
+      clear: () => {
+        files = [];
+        render();
+      }
+    };
+  }
+}
+
+// Factory
+export function createImagePipeline(options = {}) {
+  return new ImagePipeline(options);
+}
+
+// Default instance w/ window glue
+const defaultImagePipeline = new ImagePipeline();
+
+if (typeof window !== 'undefined') {
+  window.imagePipeline = defaultImagePipeline;
+}
+
+export default defaultImagePipeline;
+export { ImagePipeline, IMAGE_DEFAULTS };
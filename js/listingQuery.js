@@ -0,0 +1,379 @@
+// js/listingQuery.js
+// ==============================
+// Listing Query Builder (browse.html / bnb.html)
+// - Translates state.filters + sortBy into Firestore where/orderBy/limit/startAfter
+// - Firestore only allows range filters on the first orderBy field, so the sort
+//   decides which range runs server-side; the rest are matched in memory
+// - Pages across houses + bnbs with one cursor per collection
+// - Area / distance filters become geohash prefix ranges (see geo.js); those
+//   results are fetched once per search and paged in memory
+// - Text searches pick candidates by the searchTokens listing docs store
+//   (array-contains-any) and rank them with a SearchIndex; also paged in memory
+// - Offline (or when Firestore rejects a query, e.g. a missing composite index)
+//   it pages state.listings in memory instead, text searches ranked by the
+//   StateManager's search index
+// ==============================
+
+import { boundsAround, geohashRanges } from './geo.js';
+import { collectionForListing, toListing } from './listings.js';
+import { createSearchIndex, tokenize } from './searchIndex.js';
+
+const QUERY_DEFAULTS = {
+  pageSize: 12,
+  // how many extra reads a page may spend topping up after in-memory filtering
+  maxBatches: 5,
+  // cap per geohash range, so a zoomed-out map cannot pull whole collections
+  geoLimit: 500,
+  // text-search candidates per collection
+  textLimit: 200
+};
+
+// array-contains-any takes at most this many values
+const MAX_QUERY_TERMS = 10;
+
+// Firestore answered from its cache: the network is down
+class OfflineError extends Error {
+  constructor() {
+    super('Listings are only available from the offline snapshot');
+    this.name = 'OfflineError';
+  }
+}
+
+// sortBy -> orderBy; keys match the #sort <select> options.
+// Docs missing the field are skipped by Firestore, which is why new listings
+// are created with createdAt and zeroed rating fields.
+const SORT_FIELDS = {
+  newest: { field: 'createdAt', direction: 'desc' },
+  'price-low': { field: 'price', direction: 'asc' },
+  'price-high': { field: 'price', direction: 'desc' },
+  bedrooms: { field: 'bedrooms', direction: 'desc' },
+  rating: { field: 'ratingAverage', direction: 'desc' }
+};
+
+const LISTING_COLLECTIONS = ['houses', 'bnbs'];
+
+class ListingQueryService {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...QUERY_DEFAULTS, ...options };
+    this.geoResults = null;
+    this.textResults = null;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  // ----------------------------
+  // Query building
+  // ----------------------------
+  sortSpec(sortBy) {
+    return SORT_FIELDS[sortBy] || SORT_FIELDS.newest;
+  }
+
+  /**
+   * rangeFilters(filters) -> [{ field, op, value }]
+   * Every numeric bound the filters ask for, server-side or not.
+   */
+  rangeFilters(filters = {}) {
+    const ranges = [];
+    const [min, max] = filters.priceRange || [];
+    if (min > 0) ranges.push({ field: 'price', op: '>=', value: Number(min) });
+    if (Number.isFinite(max) && max > 0) ranges.push({ field: 'price', op: '<=', value: Number(max) });
+    if (filters.bedrooms > 0) ranges.push({ field: 'bedrooms', op: '>=', value: Number(filters.bedrooms) });
+    if (filters.bathrooms > 0) ranges.push({ field: 'bathrooms', op: '>=', value: Number(filters.bathrooms) });
+    return ranges;
+  }
+
+  /**
+   * buildConstraints(filters, sortBy, { publicOnly })
+   * Returns the Firestore constraints (without cursor/limit). Anything that
+   * cannot be expressed here is re-checked by stateManager.matchesFilters.
+   */
+  buildConstraints(filters = {}, sortBy = 'newest', { publicOnly = false } = {}) {
+    const { where, orderBy } = this.firebaseServices;
+    const sort = this.sortSpec(sortBy);
+    const constraints = this.equalityConstraints(filters, { publicOnly });
+
+    this.rangeFilters(filters)
+      .filter(range => range.field === sort.field)
+      .forEach(range => constraints.push(where(range.field, range.op, range.value)));
+
+    constraints.push(orderBy(sort.field, sort.direction));
+    return constraints;
+  }
+
+  equalityConstraints(filters = {}, { publicOnly = false } = {}) {
+    const { where } = this.firebaseServices;
+    const constraints = [];
+    if (publicOnly) constraints.push(where('public', '==', true));
+    if (filters.propertyTypes?.length) constraints.push(where('propertyType', 'in', filters.propertyTypes.slice(0, 30)));
+    // only one array-contains per query; extra amenities are matched in memory
+    if (filters.amenities?.length) constraints.push(where('amenities', 'array-contains', filters.amenities[0]));
+    return constraints;
+  }
+
+  // The box a geo search covers: the map area, or the distance circle's bounds
+  geoBounds(filters = {}) {
+    if (filters.bounds) return filters.bounds;
+    if (filters.near?.radiusKm) return boundsAround(filters.near, filters.near.radiusKm);
+    return null;
+  }
+
+  collectionsFor(filters = {}, scope = null) {
+    const type = scope || filters.type;
+    if (type === 'bnb') return ['bnbs'];
+    if (type === 'house') return ['houses'];
+    return LISTING_COLLECTIONS;
+  }
+
+  // ----------------------------
+  // Paging
+  // ----------------------------
+  /**
+   * fetchPage({ filters, sortBy, cursor, scope, pageSize })
+   * -> { listings, cursor, hasMore, source: 'firestore' | 'geo' | 'text' | 'memory' }
+   * Pass the returned cursor back to get the next page; null starts over.
+   */
+  async fetchPage({ filters = this.stateManager?.getState?.().filters || {}, sortBy = 'newest', cursor = null, scope = null, pageSize = this.options.pageSize } = {}) {
+    const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+    if (!this.isFirebaseReady() || offline || cursor?.offset !== undefined) {
+      if (offline && !this.stateManager?.isOfflineMode?.()) await this.stateManager?.restoreSnapshot?.();
+      return this.memoryPage({ filters, sortBy, cursor, scope, pageSize });
+    }
+
+    try {
+      let result;
+      if (filters.query?.trim()) result = await this._textPage({ filters, sortBy, cursor, scope, pageSize });
+      else if (this.geoBounds(filters)) result = await this._geoPage({ filters, sortBy, cursor, scope, pageSize });
+      else result = await this._firestorePage({ filters, sortBy, cursor, scope, pageSize });
+      // Firestore is reachable again after an offline stretch
+      if (this.stateManager?.isOfflineMode?.()) this.stateManager.setOfflineStatus(false);
+      this.stateManager?.rememberListings?.(result.listings);
+      return result;
+    } catch (err) {
+      if (err instanceof OfflineError || err?.code === 'unavailable' || /client is offline/i.test(err?.message || '')) {
+        if (!this.stateManager?.isOfflineMode?.()) await this.stateManager?.restoreSnapshot?.();
+      } else {
+        // usually a composite index that has not been created yet; the error links to it
+        console.error('[ListingQuery] Firestore query failed, paging in memory:', err);
+      }
+      return this.memoryPage({ filters, sortBy, cursor: null, scope, pageSize });
+    }
+  }
+
+  async _getDocs(q) {
+    const snapshot = await this.firebaseServices.getDocs(q);
+    if (snapshot.metadata?.fromCache) throw new OfflineError();
+    return snapshot;
+  }
+
+  // Unpublished listings are only paged for admins (their owners manage them
+  // from the dashboard)
+  isPublicOnly() {
+    return this.stateManager?.listingVisibility?.().publicOnly ?? true;
+  }
+
+  async _firestorePage({ filters, sortBy, cursor, scope, pageSize }) {
+    const publicOnly = this.isPublicOnly();
+    const base = this.buildConstraints(filters, sortBy, { publicOnly });
+    const names = this.collectionsFor(filters, scope);
+    const cursors = cursor?.collections || {};
+
+    const results = await Promise.all(names
+      .filter(name => cursors[name] !== false)
+      .map(name => this._fetchMatching(name, base, cursors[name] || null, pageSize, filters)));
+
+    // merge the per-collection runs in sort order and take one page
+    const owner = new Map();
+    results.forEach(result => result.items.forEach(item => owner.set(item.listing, item)));
+    const merged = this.stateManager.sortListings([...owner.keys()], sortBy);
+    const listings = merged.slice(0, pageSize);
+
+    const next = { ...cursors };
+    let hasMore = false;
+    results.forEach(result => {
+      const taken = listings.filter(l => owner.get(l).name === result.name);
+      if (taken.length) next[result.name] = owner.get(taken[taken.length - 1]).snap;
+      // nothing matched at all: skip past everything scanned
+      else if (!result.items.length) next[result.name] = result.scannedTo;
+
+      const drained = result.exhausted && taken.length === result.items.length;
+      if (drained) next[result.name] = false;
+      else hasMore = true;
+    });
+
+    return { listings, cursor: { collections: next }, hasMore, source: 'firestore' };
+  }
+
+  // One query per geohash range and collection; exact bounds/distance are
+  // re-checked by matchesFilters since geohash cells overhang the area
+  async _geoPage({ filters, sortBy, cursor, scope, pageSize }) {
+    if (!cursor || !this.geoResults) {
+      const { collections, query, orderBy, startAt, endAt, limit } = this.firebaseServices;
+      const publicOnly = this.isPublicOnly();
+      const equality = this.equalityConstraints(filters, { publicOnly });
+      const ranges = geohashRanges(this.geoBounds(filters));
+      const residual = { ...filters, type: '' };
+
+      const byId = new Map();
+      await Promise.all(this.collectionsFor(filters, scope).flatMap(name => ranges.map(async ([start, end]) => {
+        const snapshot = await this._getDocs(query(
+          collections[name], ...equality, orderBy('geohash'), startAt(start), endAt(end), limit(this.options.geoLimit)
+        ));
+        snapshot.docs.forEach(docSnap => byId.set(docSnap.id, toListing(docSnap, name)));
+      })));
+
+      const matching = [...byId.values()].filter(listing => this.stateManager.matchesFilters(listing, residual));
+      this.geoResults = this.stateManager.sortListings(matching, sortBy);
+    }
+
+    const offset = cursor?.geoOffset || 0;
+    const listings = this.geoResults.slice(offset, offset + pageSize);
+    return {
+      listings,
+      cursor: { geoOffset: offset + listings.length },
+      hasMore: offset + listings.length < this.geoResults.length,
+      total: this.geoResults.length,
+      source: 'geo'
+    };
+  }
+
+  // Candidates share at least one search token with the query; every other
+  // filter (and the other query words) is checked by the SearchIndex and
+  // matchesFilters. Listings saved before searchTokens existed are not found.
+  async _textPage({ filters, cursor, scope, pageSize }) {
+    if (!cursor || !this.textResults) {
+      const { collections, query, where, limit } = this.firebaseServices;
+      const terms = [...new Set(tokenize(filters.query))].slice(0, MAX_QUERY_TERMS);
+      const constraints = [];
+      if (this.isPublicOnly()) constraints.push(where('public', '==', true));
+      const residual = { ...filters, type: '' };
+
+      const index = createSearchIndex();
+      if (terms.length) {
+        await Promise.all(this.collectionsFor(filters, scope).map(async (name) => {
+          const snapshot = await this._getDocs(query(
+            collections[name], ...constraints, where('searchTokens', 'array-contains-any', terms), limit(this.options.textLimit)
+          ));
+          snapshot.docs.forEach(docSnap => index.add(toListing(docSnap, name)));
+        }));
+      }
+      this.textResults = index
+        .search(filters.query, { filter: listing => this.stateManager.matchesFilters(listing, residual) })
+        .map(result => result.listing);
+    }
+
+    const offset = cursor?.textOffset || 0;
+    const listings = this.textResults.slice(offset, offset + pageSize);
+    return {
+      listings,
+      cursor: { textOffset: offset + listings.length },
+      hasMore: offset + listings.length < this.textResults.length,
+      total: this.textResults.length,
+      source: 'text'
+    };
+  }
+
+  // Reads one collection until `count` docs pass the in-memory filters
+  async _fetchMatching(name, base, cursor, count, filters) {
+    const { collections, query, limit, startAfter } = this.firebaseServices;
+    const residual = { ...filters, type: '' };
+    const items = [];
+    let last = cursor;
+    let exhausted = false;
+
+    for (let batch = 0; batch < this.options.maxBatches && items.length < count; batch++) {
+      const constraints = [...base];
+      if (last) constraints.push(startAfter(last));
+      constraints.push(limit(count));
+
+      const snapshot = await this._getDocs(query(collections[name], ...constraints));
+      snapshot.docs.forEach(docSnap => {
+        const listing = toListing(docSnap, name);
+        if (this.stateManager.matchesFilters(listing, residual)) items.push({ name, listing, snap: docSnap });
+      });
+      last = snapshot.docs[snapshot.docs.length - 1] || last;
+      if (snapshot.docs.length < count) {
+        exhausted = true;
+        break;
+      }
+    }
+
+    return { name, items, exhausted, scannedTo: last };
+  }
+
+  /**
+   * memoryPage(...) — the offline fallback: filters, sorts (or
+   * ranks, when filters.query is set) and slices state.listings.
+   */
+  memoryPage({ filters = {}, sortBy = 'newest', cursor = null, scope = null, pageSize = this.options.pageSize } = {}) {
+    const names = this.collectionsFor(filters, scope);
+    const inScope = (listing) => names.includes(collectionForListing(listing));
+    const residual = { ...filters, type: '' };
+
+    const matching = filters.query?.trim()
+      ? this.stateManager.searchListings(filters.query, residual).filter(inScope)
+      : this.stateManager.sortListings(
+        (this.stateManager.getState().listings || []).filter(l => inScope(l) && this.stateManager.matchesFilters(l, residual)),
+        sortBy
+      );
+    const offset = cursor?.offset || 0;
+    const listings = matching.slice(offset, offset + pageSize);
+
+    return {
+      listings,
+      cursor: { offset: offset + listings.length },
+      hasMore: offset + listings.length < matching.length,
+      total: matching.length,
+      source: 'memory'
+    };
+  }
+}
+
+// Factory
+export function createListingQueryService(firebaseServices = null, stateManager = null, options = {}) {
+  return new ListingQueryService(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultListingQueryService = new ListingQueryService();
+
+if (typeof window !== 'undefined') {
+  const initializeListingQueryService = () => {
+    if (window.firebaseServices) defaultListingQueryService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultListingQueryService.setStateManager(window.state);
+    window.listingQuery = defaultListingQueryService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeListingQueryService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeListingQueryService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultListingQueryService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultListingQueryService;
+export { ListingQueryService, SORT_FIELDS, QUERY_DEFAULTS };
@@ -0,0 +1,298 @@
+// js/listingService.js
+// ==============================
+// Listing Creation Service (modular v9)
+// - Creates the Firestore doc, then uploads images with per-file progress
+// - Photos go through the image pipeline: full + thumb variants, content-hashed names
+// - Retries failed uploads with backoff
+// - Rolls back (uploaded files + Firestore doc) if images still fail
+// - Pinned coordinates get a geohash for area/distance queries
+// - Text fields are tokenized into searchTokens for online text search
+// - The host's phone/email go to listingContacts/{listingId}, which only the
+//   provider can read; a confirmed booking gets a copy (bookingWorkflow.js)
+// ==============================
+
+import imagePipeline from './imagePipeline.js';
+import { encodeGeohash, isValidPoint } from './geo.js';
+import { searchTokens } from './searchIndex.js';
+
+const UPLOAD_DEFAULTS = {
+  maxAttempts: 3,
+  retryDelayMs: 1000
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ListingService {
+  constructor(firebaseServices = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.options = { ...UPLOAD_DEFAULTS, ...options };
+    this.imagePipeline = options.imagePipeline || imagePipeline;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections &&
+              this.firebaseServices.storage);
+  }
+
+  // ----------------------------
+  // Uploads
+  // ----------------------------
+  /**
+   * uploadFile(path, file, onProgress)
+   * Resolves { path, url }; onProgress receives a 0-100 percentage.
+   * Names are content-hashed, so the objects can be cached indefinitely.
+   */
+  uploadFile(path, file, onProgress) {
+    const { storageRef, uploadBytesResumable, getDownloadURL } = this.firebaseServices;
+    const task = uploadBytesResumable(storageRef(path), file, {
+      contentType: file.type,
+      cacheControl: 'public, max-age=31536000, immutable'
+    });
+
+    return new Promise((resolve, reject) => {
+      task.on('state_changed',
+        (snap) => onProgress?.(snap.totalBytes ? Math.round((snap.bytesTransferred / snap.totalBytes) * 100) : 0),
+        reject,
+        async () => {
+          try {
+            resolve({ path, url: await getDownloadURL(task.snapshot.ref) });
+          } catch (err) {
+            reject(err);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * uploadWithRetry(uploads, index, handlers)
+   * uploads: [{ path, blob, weight }] sent as one unit; a failed attempt retries
+   * the whole set. Progress is reported as the weighted total for the photo.
+   * On final failure the error carries `paths` so callers can clean up.
+   */
+  async uploadWithRetry(uploads, index, handlers = {}) {
+    const { maxAttempts, retryDelayMs } = this.options;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        handlers.onStatus?.(index, attempt === 1 ? 'uploading' : `retrying (${attempt}/${maxAttempts})`);
+        const results = [];
+        let done = 0;
+        for (const { path, blob, weight } of uploads) {
+          results.push(await this.uploadFile(path, blob, (pct) => {
+            handlers.onProgress?.(index, Math.round(done + pct * weight));
+          }));
+          done += 100 * weight;
+        }
+        handlers.onStatus?.(index, 'done');
+        return results;
+      } catch (err) {
+        console.warn(`[Listing] Upload attempt ${attempt} failed for photo ${index + 1}:`, err);
+        if (attempt === maxAttempts) {
+          handlers.onStatus?.(index, 'failed');
+          err.paths = uploads.map(u => u.path);
+          throw err;
+        }
+        handlers.onProgress?.(index, 0);
+        await wait(retryDelayMs * attempt);
+      }
+    }
+  }
+
+  /**
+   * uploadImage(collectionName, listingId, file, index, handlers)
+   * Resizes/strips the photo, uploads both variants and resolves the
+   * structured image entry stored on the listing: { full, thumb, width, height }.
+   */
+  async uploadImage(collectionName, listingId, file, index, handlers = {}) {
+    handlers.onStatus?.(index, 'processing');
+    const { width, height, variants } = await this.imagePipeline.process(file);
+    const { full, thumb } = variants;
+
+    const [fullUpload, thumbUpload] = await this.uploadWithRetry([
+      { path: this.storagePathFor(collectionName, listingId, full.name), blob: full.blob, weight: 0.8 },
+      { path: this.storagePathFor(collectionName, listingId, thumb.name), blob: thumb.blob, weight: 0.2 }
+    ], index, handlers);
+
+    return {
+      image: { full: fullUpload.url, thumb: thumbUpload.url, width, height },
+      paths: [fullUpload.path, thumbUpload.path]
+    };
+  }
+
+  storagePathFor(collectionName, listingId, fileName) {
+    return `${collectionName}/${listingId}/${fileName}`;
+  }
+
+  // ----------------------------
+  // Create
+  // ----------------------------
+  // { coordinates, geohash } when a valid pin was dropped, else both null
+  geoFields(coordinates) {
+    if (!isValidPoint(coordinates)) return { coordinates: null, geohash: null };
+    const { lat, lng } = coordinates;
+    return { coordinates: { lat, lng }, geohash: encodeGeohash(lat, lng) };
+  }
+
+  /**
+   * createListing(collectionName, data, files, handlers)
+   * collectionName: 'houses' | 'bnbs'
+   * files: in display order; the first one becomes the cover image
+   * handlers: { onProgress(index, pct), onStatus(index, status) }
+   * data.contact ({ phone, email }) is stored apart from the public doc.
+   * Returns the new listing id. On image failure the doc and any uploaded
+   * files are removed and the error is re-thrown.
+   */
+  async createListing(collectionName, data, files = [], handlers = {}) {
+    if (!this.isFirebaseReady()) throw new Error('Listing service not available');
+
+    const fs = this.firebaseServices;
+    const colRef = fs.collections[collectionName];
+    if (!colRef) throw new Error(`Unknown listing collection: ${collectionName}`);
+
+    const { contact = null, ...listing } = data;
+    const listingRef = await fs.addDoc(colRef, {
+      // zeroed so the rating sort (orderBy ratingAverage) includes unreviewed listings
+      ratingCount: 0,
+      ratingSum: 0,
+      ratingAverage: 0,
+      ...listing,
+      ...this.geoFields(listing.coordinates),
+      searchTokens: searchTokens(listing),
+      images: [],
+      createdAt: fs.serverTimestamp(),
+      updatedAt: fs.serverTimestamp()
+    });
+
+    try {
+      await this.saveContact(listingRef, collectionName, listing, contact);
+    } catch (err) {
+      await this.rollback(listingRef);
+      throw err;
+    }
+
+    const fileList = Array.from(files);
+    const results = await Promise.allSettled(fileList.map((file, i) =>
+      this.uploadImage(collectionName, listingRef.id, file, i, handlers).catch((err) => {
+        handlers.onStatus?.(i, 'failed');
+        throw err;
+      })
+    ));
+
+    const failed = results.filter(r => r.status === 'rejected');
+    if (failed.length) {
+      const uploaded = results.flatMap(r => (r.status === 'fulfilled' ? r.value.paths : (r.reason?.paths || [])));
+      await this.rollback(listingRef, uploaded);
+      const error = new Error(`${failed.length} image(s) failed to upload. Your listing was not saved; please try again.`);
+      error.cause = failed[0].reason;
+      throw error;
+    }
+
+    await fs.updateDoc(listingRef, {
+      images: results.map(r => r.value.image),
+      updatedAt: fs.serverTimestamp()
+    });
+    return listingRef.id;
+  }
+
+  async saveContact(listingRef, collectionName, listing, contact) {
+    const fs = this.firebaseServices;
+    await fs.setDoc(fs.doc(fs.collections.listingContacts, listingRef.id), {
+      listingId: listingRef.id,
+      collectionName,
+      providerId: listing.providerId,
+      name: listing.contactName || null,
+      phone: contact?.phone || null,
+      email: contact?.email || null,
+      updatedAt: fs.serverTimestamp()
+    });
+  }
+
+  async rollback(listingRef, uploadedPaths = []) {
+    const { storageRef, deleteObject, deleteDoc, doc, collections } = this.firebaseServices;
+    await Promise.allSettled([
+      ...uploadedPaths.map(path => deleteObject(storageRef(path))),
+      deleteDoc(doc(collections.listingContacts, listingRef.id))
+    ]);
+    try {
+      await deleteDoc(listingRef);
+    } catch (err) {
+      console.error('[Listing] Rollback failed to delete listing doc:', err);
+    }
+  }
+
+  // ----------------------------
+  // Progress UI helper
+  // ----------------------------
+  /**
+   * createProgressView(container, files)
+   * Renders one bar per file and returns handlers for createListing().
+   */
+  createProgressView(container, files) {
+    if (!container) return {};
+    container.innerHTML = Array.from(files).map((file, i) => `
+      <div data-upload="${i}" class="text-sm">
+        <div class="flex justify-between mb-1">
+          <span class="text-gray-700 truncate">${file.name}</span>
+          <span data-upload-status class="text-gray-500">queued</span>
+        </div>
+        <div class="w-full h-2 bg-gray-200 rounded">
+          <div data-upload-bar class="h-2 bg-indigo-600 rounded" style="width: 0%"></div>
+        </div>
+      </div>
+    `).join('');
+    container.classList.remove('hidden');
+
+    const row = (i) => container.querySelector(`[data-upload="${i}"]`);
+    return {
+      onProgress: (i, pct) => {
+        const bar = row(i)?.querySelector('[data-upload-bar]');
+        if (bar) bar.style.width = `${pct}%`;
+      },
+      onStatus: (i, status) => {
+        const el = row(i)?.querySelector('[data-upload-status]');
+        if (el) {
+          el.textContent = status;
+          el.className = status === 'failed' ? 'text-red-600' : status === 'done' ? 'text-green-600' : 'text-gray-500';
+        }
+        const bar = row(i)?.querySelector('[data-upload-bar]');
+        if (bar && status === 'failed') bar.classList.replace('bg-indigo-600', 'bg-red-500');
+      }
+    };
+  }
+}
+
+// Factory
+export function createListingService(firebaseServices = null, options = {}) {
+  return new ListingService(firebaseServices, options);
+}
+
+// Default instance w/ window glue
+const defaultListingService = new ListingService();
+
+if (typeof window !== 'undefined') {
+  const initializeListingService = () => {
+    if (window.firebaseServices) defaultListingService.setFirebaseServices(window.firebaseServices);
+    window.listingService = defaultListingService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeListingService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeListingService, 50);
+    }, { once: true });
+  }
+}
+
+export default defaultListingService;
+export { ListingService };
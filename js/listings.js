@@ -0,0 +1,39 @@
+// js/listings.js
+// ==============================
+// Listing document helpers (no DOM, no Firebase)
+// - toListing(): the in-app listing object for a houses/bnbs document. `type`
+//   ('house' | 'bnb') and `collectionName` always come from the collection it
+//   was read from; the space/property type lives in `propertyType`. Phone and
+//   email left on listings saved before listingContacts existed are dropped
+// ==============================
+
+const LISTING_TYPES = {
+  houses: 'house',
+  bnbs: 'bnb'
+};
+
+function collectionForListing(listing) {
+  if (listing?.collectionName) return listing.collectionName;
+  return listing?.type === 'bnb' ? 'bnbs' : 'houses';
+}
+
+function isBnb(listing) {
+  return collectionForListing(listing) === 'bnbs';
+}
+
+function toListing(docSnap, collectionName) {
+  const data = { ...docSnap.data() };
+  delete data.contactPhone;
+  delete data.contactEmail;
+  // listings created before propertyType existed kept it in `type`
+  const legacyPropertyType = Object.values(LISTING_TYPES).includes(data.type) ? null : data.type;
+  return {
+    id: docSnap.id,
+    ...data,
+    type: LISTING_TYPES[collectionName],
+    collectionName,
+    propertyType: data.propertyType || legacyPropertyType || null
+  };
+}
+
+export { LISTING_TYPES, collectionForListing, isBnb, toListing };
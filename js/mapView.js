@@ -0,0 +1,259 @@
+// js/mapView.js
+// ==============================
+// Maps (Leaflet, loaded on first use)
+// - ListingMap: markers for the visible listings, a "Search this area" button
+//   once the user pans/zooms, and a pick-a-point mode for the distance filter
+// - PinPicker: one draggable pin for add-house/add-bnb coordinates
+// - Tiles come from a swappable provider: define window.tileProvider
+//   ({ url, attribution, maxZoom }) before app.js loads, or call
+//   setTileProvider(), e.g. to serve local tiles in tests
+// ==============================
+
+import { coverImage } from './imagePipeline.js';
+import { escapeHtml } from './html.js';
+
+const LEAFLET_VERSION = '1.9.4';
+const LEAFLET_JS = `https://unpkg.com/leaflet@${LEAFLET_VERSION}/dist/leaflet-src.esm.js`;
+const LEAFLET_CSS = `https://unpkg.com/leaflet@${LEAFLET_VERSION}/dist/leaflet.css`;
+
+const DEFAULT_TILE_PROVIDER = {
+  url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+  attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+  maxZoom: 19
+};
+
+// Nairobi CBD; used until the user or the listings give a better centre
+const DEFAULT_VIEW = { center: { lat: -1.2864, lng: 36.8172 }, zoom: 12 };
+
+let tileProviderOverride = null;
+let leafletPromise = null;
+
+function setTileProvider(provider) {
+  tileProviderOverride = provider ? { ...DEFAULT_TILE_PROVIDER, ...provider } : null;
+}
+
+function getTileProvider() {
+  if (tileProviderOverride) return tileProviderOverride;
+  if (typeof window !== 'undefined' && window.tileProvider) return { ...DEFAULT_TILE_PROVIDER, ...window.tileProvider };
+  return DEFAULT_TILE_PROVIDER;
+}
+
+function loadLeaflet() {
+  if (!leafletPromise) {
+    if (!document.querySelector(`link[href="${LEAFLET_CSS}"]`)) {
+      const link = document.createElement('link');
+      link.rel = 'stylesheet';
+      link.href = LEAFLET_CSS;
+      document.head.appendChild(link);
+    }
+    leafletPromise = import(LEAFLET_JS).catch(err => {
+      leafletPromise = null;
+      throw err;
+    });
+  }
+  return leafletPromise;
+}
+
+function addTiles(L, map) {
+  const { url, attribution, maxZoom, ...rest } = getTileProvider();
+  L.tileLayer(url, { attribution, maxZoom, ...rest }).addTo(map);
+}
+
+const toPoint = (latLng) => ({ lat: latLng.lat, lng: latLng.lng });
+
+class ListingMap {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onSearchArea = options.onSearchArea || null;
+    this.L = null;
+    this.map = null;
+    this.markers = null;
+    this.origin = null;
+    this.searchButton = null;
+    this.pickCallback = null;
+    this.programmaticMove = false;
+  }
+
+  async init(view = DEFAULT_VIEW) {
+    if (this.map) return this;
+    this.L = await loadLeaflet();
+    const L = this.L;
+
+    this.map = L.map(this.container).setView([view.center.lat, view.center.lng], view.zoom);
+    addTiles(L, this.map);
+    this.markers = L.layerGroup().addTo(this.map);
+
+    this.searchButton = document.createElement('button');
+    this.searchButton.type = 'button';
+    this.searchButton.className = 'hidden absolute px-4 py-2 rounded-full bg-white shadow-md text-sm font-medium text-gray-900 hover:bg-gray-50';
+    // above Leaflet's panes (z-index 400-700); the prebuilt CSS has no centering utilities
+    this.searchButton.style.cssText = 'top: 12px; left: 50%; transform: translateX(-50%); z-index: 1000;';
+    this.searchButton.textContent = 'Search this area';
+    this.searchButton.addEventListener('click', () => {
+      this.searchButton.classList.add('hidden');
+      this.onSearchArea?.(this.getBounds());
+    });
+    this.container.appendChild(this.searchButton);
+
+    this.map.on('moveend', () => {
+      if (this.programmaticMove) this.programmaticMove = false;
+      else if (this.onSearchArea) this.searchButton.classList.remove('hidden');
+    });
+    this.map.on('click', (e) => {
+      if (!this.pickCallback) return;
+      const callback = this.pickCallback;
+      this.pickCallback = null;
+      this.container.style.cursor = '';
+      callback(toPoint(e.latlng));
+    });
+    return this;
+  }
+
+  getBounds() {
+    const b = this.map.getBounds();
+    return { south: b.getSouth(), west: b.getWest(), north: b.getNorth(), east: b.getEast() };
+  }
+
+  // Markers for listings that have coordinates; returns how many were placed
+  setListings(listings, { fit = false } = {}) {
+    if (!this.map) return 0;
+    const L = this.L;
+    this.markers.clearLayers();
+
+    const placed = listings.filter(l => Number.isFinite(l.coordinates?.lat) && Number.isFinite(l.coordinates?.lng));
+    placed.forEach(listing => {
+      L.marker([listing.coordinates.lat, listing.coordinates.lng], { title: listing.title || 'Listing' })
+        .bindPopup(`
+          <a href="/house-detail.html?id=${encodeURIComponent(listing.id)}" class="block" style="width: 10rem">
+            <img src="${coverImage(listing)}" alt="" class="w-full object-cover rounded" style="height: 5rem">
+            <span class="block mt-1 font-medium text-gray-900">${escapeHtml(listing.title || 'Listing')}</span>
+            <span class="block text-gray-600">${listing.price ? `$${Number(listing.price).toLocaleString()}` : ''}</span>
+          </a>`)
+        .addTo(this.markers);
+    });
+
+    if (fit && placed.length) {
+      this.programmaticMove = true;
+      this.map.fitBounds(L.latLngBounds(placed.map(l => [l.coordinates.lat, l.coordinates.lng])), { padding: [24, 24], maxZoom: 15 });
+    }
+    return placed.length;
+  }
+
+  // Distance filter origin: a pin plus the radius circle
+  setOrigin(point, radiusKm = 0) {
+    if (!this.map) return;
+    const L = this.L;
+    if (this.origin) this.origin.remove();
+    this.origin = null;
+    if (!point) return;
+
+    this.origin = L.layerGroup([
+      L.circleMarker([point.lat, point.lng], { radius: 6, color: '#4f46e5', fillOpacity: 1 }),
+      ...(radiusKm ? [L.circle([point.lat, point.lng], { radius: radiusKm * 1000, color: '#4f46e5', weight: 1, fillOpacity: 0.08 })] : [])
+    ]).addTo(this.map);
+  }
+
+  // The next map click resolves the promise with { lat, lng }
+  pickPoint() {
+    this.container.style.cursor = 'crosshair';
+    return new Promise(resolve => { this.pickCallback = resolve; });
+  }
+
+  refreshSize() {
+    this.map?.invalidateSize();
+  }
+
+  destroy() {
+    this.map?.remove();
+    this.map = null;
+  }
+}
+
+class PinPicker {
+  constructor(container, options = {}) {
+    this.container = container;
+    this.onChange = options.onChange || null;
+    this.position = options.position || null;
+    this.map = null;
+    this.marker = null;
+  }
+
+  async init() {
+    if (this.map) return this;
+    const L = await loadLeaflet();
+    const start = this.position || DEFAULT_VIEW.center;
+
+    this.map = L.map(this.container).setView([start.lat, start.lng], this.position ? 16 : DEFAULT_VIEW.zoom);
+    addTiles(L, this.map);
+    this.marker = L.marker([start.lat, start.lng], { draggable: true, autoPan: true }).addTo(this.map);
+
+    this.marker.on('dragend', () => this._set(toPoint(this.marker.getLatLng())));
+    this.map.on('click', (e) => {
+      this.marker.setLatLng(e.latlng);
+      this._set(toPoint(e.latlng));
+    });
+    return this;
+  }
+
+  _set(point) {
+    this.position = point;
+    this.onChange?.(point);
+  }
+
+  setPosition(point, { zoom = 16 } = {}) {
+    if (!point) return;
+    this.position = point;
+    if (this.map) {
+      this.marker.setLatLng([point.lat, point.lng]);
+      this.map.setView([point.lat, point.lng], zoom);
+    }
+  }
+
+  getPosition() {
+    return this.position;
+  }
+}
+
+/**
+ * bindPinPicker(container, { latInput, lngInput, statusEl })
+ * Listing forms: keeps hidden lat/lng inputs in sync with a PinPicker.
+ * show() creates the map (call it once the container is visible); missing()
+ * is only true once the map loaded, so an offline form can still be saved.
+ */
+function bindPinPicker(container, { latInput, lngInput, statusEl }) {
+  const picker = new PinPicker(container, {
+    onChange: ({ lat, lng }) => {
+      latInput.value = lat.toFixed(6);
+      lngInput.value = lng.toFixed(6);
+      if (statusEl) statusEl.textContent = `Pinned at ${latInput.value}, ${lngInput.value}`;
+    }
+  });
+  let ready = false;
+
+  return {
+    picker,
+    async show() {
+      try {
+        await picker.init();
+        ready = true;
+        picker.map.invalidateSize();
+      } catch (err) {
+        console.error('[Map] Failed to load the map:', err);
+        if (statusEl) statusEl.textContent = 'The map could not be loaded; the listing will be saved without a pin.';
+      }
+    },
+    missing: () => ready && !latInput.value,
+    coordinates: () => (latInput.value ? { lat: Number(latInput.value), lng: Number(lngInput.value) } : null)
+  };
+}
+
+// Factories
+export function createListingMap(container, options = {}) {
+  return new ListingMap(container, options);
+}
+
+export function createPinPicker(container, options = {}) {
+  return new PinPicker(container, options);
+}
+
+export { ListingMap, PinPicker, bindPinPicker, setTileProvider, getTileProvider, DEFAULT_TILE_PROVIDER, DEFAULT_VIEW };
@@ -0,0 +1,303 @@
+// js/messagingService.js
+// ==============================
+// Host Messaging (threads collection)
+// - One thread per listing + hunter: threads/{listingId}_{hunterId}
+// - Messages live in threads/{id}/messages; the thread doc carries the
+//   last-message preview and per-participant unread counters
+// - Real-time thread/message lists via onSnapshot (callers keep the unsubscribe)
+// - Host contact details are only revealed once the hunter has a confirmed
+//   booking: they come from the copy confirming wrote onto the booking
+//   (bookingWorkflow.js), never from the public listing doc
+// ==============================
+
+import { escapeHtml } from './html.js';
+import { CONTACT_STATUSES } from './bookingWorkflow.js';
+
+const MESSAGING_DEFAULTS = {
+  maxLength: 2000,
+  messageLimit: 200
+};
+
+const millis = (ts) => ts?.toMillis?.() || 0;
+
+class MessagingService {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...MESSAGING_DEFAULTS, ...options };
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  _requireUser() {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+    return user;
+  }
+
+  threadId(listingId, hunterId) {
+    return `${listingId}_${hunterId}`;
+  }
+
+  _threadRef(threadId) {
+    const { doc, collections } = this.firebaseServices;
+    return doc(collections.threads, threadId);
+  }
+
+  _messagesRef(threadId) {
+    return this.firebaseServices.subcollection(this._threadRef(threadId), 'messages');
+  }
+
+  otherParticipant(thread, uid) {
+    return thread.hunterId === uid ? thread.providerId : thread.hunterId;
+  }
+
+  // ----------------------------
+  // Threads
+  // ----------------------------
+  /**
+   * openThread(listing)
+   * Returns the thread id for the signed-in hunter and this listing,
+   * creating the thread on first contact.
+   */
+  async openThread(listing) {
+    if (!this.isFirebaseReady()) throw new Error('Messaging not available');
+    const user = this._requireUser();
+    if (!listing?.providerId) throw new Error('This listing has no host to message.');
+    if (listing.providerId === user.uid) throw new Error('You cannot message yourself.');
+
+    const fs = this.firebaseServices;
+    const id = this.threadId(listing.id, user.uid);
+    const ref = this._threadRef(id);
+    const snap = await fs.getDoc(ref);
+    if (!snap.exists()) {
+      await fs.setDoc(ref, {
+        listingId: listing.id,
+        listingTitle: listing.title || '',
+        hunterId: user.uid,
+        hunterName: user.name || 'Guest',
+        providerId: listing.providerId,
+        providerName: listing.contactName || 'Host',
+        participants: [user.uid, listing.providerId],
+        lastMessage: '',
+        lastMessageAt: null,
+        lastSenderId: null,
+        unread: { [user.uid]: 0, [listing.providerId]: 0 },
+        createdAt: fs.serverTimestamp(),
+        updatedAt: fs.serverTimestamp()
+      });
+    }
+    return id;
+  }
+
+  /**
+   * subscribeThreads(callback)
+   * callback(threads) fires on every change, newest activity first.
+   * Returns the unsubscribe function.
+   */
+  subscribeThreads(callback) {
+    if (!this.isFirebaseReady()) return () => {};
+    const user = this._requireUser();
+    const { collections, query, where, onSnapshot } = this.firebaseServices;
+
+    return onSnapshot(
+      query(collections.threads, where('participants', 'array-contains', user.uid)),
+      (snapshot) => {
+        const threads = snapshot.docs
+          .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+          .sort((a, b) => (millis(b.lastMessageAt) || millis(b.createdAt)) - (millis(a.lastMessageAt) || millis(a.createdAt)));
+        callback(threads);
+      },
+      (err) => console.error('[Messaging] thread listener failed:', err)
+    );
+  }
+
+  subscribeMessages(threadId, callback) {
+    if (!this.isFirebaseReady()) return () => {};
+    const { query, orderBy, limit, onSnapshot } = this.firebaseServices;
+
+    return onSnapshot(
+      query(this._messagesRef(threadId), orderBy('createdAt', 'asc'), limit(this.options.messageLimit)),
+      (snapshot) => callback(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))),
+      (err) => console.error('[Messaging] message listener failed:', err)
+    );
+  }
+
+  unreadCount(threads, uid = this.stateManager?.getCurrentUser?.()?.uid) {
+    return (threads || []).reduce((sum, t) => sum + (t.unread?.[uid] || 0), 0);
+  }
+
+  // ----------------------------
+  // Messages
+  // ----------------------------
+  /**
+   * sendMessage(threadId, text)
+   * Adds the message and bumps the other participant's unread counter in one transaction.
+   */
+  async sendMessage(threadId, text) {
+    if (!this.isFirebaseReady()) throw new Error('Messaging not available');
+    const user = this._requireUser();
+
+    const body = (text || '').trim();
+    if (!body) throw new Error('Message cannot be empty.');
+    if (body.length > this.options.maxLength) throw new Error(`Messages are limited to ${this.options.maxLength} characters.`);
+
+    const fs = this.firebaseServices;
+    const threadRef = this._threadRef(threadId);
+    const messageRef = fs.doc(this._messagesRef(threadId));
+
+    await fs.runTransaction(async (tx) => {
+      const snap = await tx.get(threadRef);
+      if (!snap.exists()) throw new Error('Conversation not found.');
+      const thread = snap.data();
+      if (!thread.participants?.includes(user.uid)) throw new Error('You are not part of this conversation.');
+
+      tx.set(messageRef, { senderId: user.uid, text: body, createdAt: fs.serverTimestamp() });
+      tx.update(threadRef, {
+        lastMessage: body.slice(0, 140),
+        lastMessageAt: fs.serverTimestamp(),
+        lastSenderId: user.uid,
+        [`unread.${this.otherParticipant(thread, user.uid)}`]: fs.increment(1),
+        updatedAt: fs.serverTimestamp()
+      });
+    });
+    return messageRef.id;
+  }
+
+  async markRead(threadId) {
+    if (!this.isFirebaseReady()) return;
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) return;
+    try {
+      await this.firebaseServices.updateDoc(this._threadRef(threadId), { [`unread.${user.uid}`]: 0 });
+    } catch (err) {
+      console.error('[Messaging] markRead failed:', err);
+    }
+  }
+
+  // ----------------------------
+  // Contact reveal
+  // ----------------------------
+  /**
+   * getHostContact(thread)
+   * Resolves { name, phone, email } for the hunter once they hold a
+   * confirmed (or later) booking on the thread's listing; otherwise null.
+   */
+  async getHostContact(thread) {
+    if (!this.isFirebaseReady() || !thread) return null;
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user || user.uid !== thread.hunterId) return null;
+
+    const { collections, query, where, getDocs } = this.firebaseServices;
+    try {
+      const bookings = await getDocs(query(
+        collections.bookings,
+        where('userId', '==', user.uid),
+        where('listingId', '==', thread.listingId)
+      ));
+      const confirmed = bookings.docs
+        .map(d => d.data())
+        .find(b => CONTACT_STATUSES.includes(b.status) && b.hostContact);
+      if (confirmed) {
+        const { name, phone, email } = confirmed.hostContact;
+        return { name: name || thread.providerName, phone: phone || null, email: email || null };
+      }
+    } catch (err) {
+      console.error('[Messaging] getHostContact failed:', err);
+    }
+    return null;
+  }
+
+  // ----------------------------
+  // Rendering helpers
+  // ----------------------------
+  renderThreadItem(thread, { uid, active = false } = {}) {
+    const unread = thread.unread?.[uid] || 0;
+    const counterpart = thread.hunterId === uid ? thread.providerName : thread.hunterName;
+    return `
+      <li>
+        <button type="button" data-thread="${thread.id}" class="w-full text-left px-3 py-2 hover:bg-gray-50 ${active ? 'bg-indigo-50' : ''}">
+          <div class="flex justify-between items-center">
+            <span class="font-medium text-gray-900 truncate">${escapeHtml(thread.listingTitle || 'Listing')}</span>
+            ${unread ? `<span class="ml-2 px-2 py-0.5 rounded-full text-xs bg-red-600 text-white">${unread}</span>` : ''}
+          </div>
+          <p class="text-xs text-gray-500 truncate">${escapeHtml(counterpart || '')}${thread.lastMessage ? ` · ${escapeHtml(thread.lastMessage)}` : ''}</p>
+        </button>
+      </li>`;
+  }
+
+  renderMessages(messages, uid) {
+    if (!messages.length) return '<p class="m-auto text-gray-500 text-sm">No messages yet. Say hello!</p>';
+    return messages.map(m => {
+      const mine = m.senderId === uid;
+      const time = m.createdAt?.toDate?.().toLocaleString() || 'sending…';
+      return `
+        <div class="flex ${mine ? 'justify-end' : 'justify-start'}">
+          <div class="max-w-xs md:max-w-md px-3 py-2 rounded-lg text-sm ${mine ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-900'}">
+            <p class="whitespace-pre-line">${escapeHtml(m.text)}</p>
+            <p class="mt-1 text-xs ${mine ? 'text-indigo-200' : 'text-gray-500'}">${time}</p>
+          </div>
+        </div>`;
+    }).join('');
+  }
+
+  renderContact(contact) {
+    if (!contact) {
+      return '<p class="text-xs text-gray-500">Host contact details are shared once your booking is confirmed.</p>';
+    }
+    return `
+      <p class="text-xs text-gray-700">
+        ${escapeHtml(contact.name || 'Host')}
+        ${contact.phone ? ` · <a href="tel:${escapeHtml(contact.phone)}" class="text-indigo-600">${escapeHtml(contact.phone)}</a>` : ''}
+        ${contact.email ? ` · <a href="mailto:${escapeHtml(contact.email)}" class="text-indigo-600">${escapeHtml(contact.email)}</a>` : ''}
+      </p>`;
+  }
+}
+
+// Factory
+export function createMessagingService(firebaseServices = null, stateManager = null, options = {}) {
+  return new MessagingService(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultMessagingService = new MessagingService();
+
+if (typeof window !== 'undefined') {
+  const initializeMessagingService = () => {
+    if (window.firebaseServices) defaultMessagingService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultMessagingService.setStateManager(window.state);
+    window.messagingService = defaultMessagingService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeMessagingService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeMessagingService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultMessagingService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultMessagingService;
+export { MessagingService, CONTACT_STATUSES };
@@ -0,0 +1,280 @@
+// js/offlineStore.js
+// ==============================
+// Offline Listing Snapshot (IndexedDB, no Firebase)
+// - saveSnapshot(): the listings loaded from Firestore (merged into the ones
+//   earlier pages and sessions saved, newest first) plus the signed-in user's
+//   favorites, stamped with savedAt ("last synced")
+// - saveViewed(): every listing opened on house-detail, so its page still
+//   works offline even if it drops out of the snapshot
+// - Cover thumbnails are stored as blobs and come back as object URLs in
+//   listing.cachedThumb (coverImage() prefers it); images whose host does not
+//   allow CORS are skipped and show the placeholder offline
+// - A snapshot taken while signed in keeps non-public listings and favorites
+//   for that user only; anyone else gets the public listings, and signing out
+//   scrubs them (forgetUser)
+// ==============================
+
+import { coverImage, IMAGE_DEFAULTS } from './imagePipeline.js';
+import { createDatabase, isIndexedDbSupported, toStorable } from './idb.js';
+
+const OFFLINE_DEFAULTS = {
+  dbName: 'kejabase-offline',
+  maxListings: 500,
+  maxViewed: 50,
+  maxThumbs: 150,
+  maxThumbBytes: 300 * 1024
+};
+
+// bump when the stored shape changes; older snapshots are ignored
+const SNAPSHOT_VERSION = 1;
+
+const STORES = {
+  snapshot: 'snapshot',
+  viewed: 'viewed',
+  thumbs: 'thumbs'
+};
+
+const SNAPSHOT_KEY = 'listings';
+
+class OfflineStore {
+  constructor(options = {}) {
+    this.options = { ...OFFLINE_DEFAULTS, ...options };
+    this.db = createDatabase(this.options.dbName, Object.fromEntries(Object.values(STORES).map(name => [name, {}])));
+    this.objectUrls = new Map();
+  }
+
+  isSupported() {
+    return isIndexedDbSupported();
+  }
+
+  // ----------------------------
+  // IndexedDB plumbing
+  // ----------------------------
+  _withStore(storeName, mode, run) {
+    return this.db.withStore(storeName, mode, run);
+  }
+
+  _getAll(storeName) {
+    return this._withStore(storeName, 'readonly', store => store.getAll());
+  }
+
+  // Object URLs die with the page, so cachedThumb is never stored
+  _serializable(listing) {
+    return toStorable(listing, ['cachedThumb']);
+  }
+
+  // ----------------------------
+  // Snapshot
+  // ----------------------------
+  /**
+   * saveSnapshot({ listings, favorites, userId, removedIds })
+   * Merges the listings into the stored snapshot (up to maxListings; removedIds
+   * are dropped), then refreshes cover thumbnails in the background. Another
+   * user's non-public listings are not kept.
+   */
+  async saveSnapshot({ listings = [], favorites = [], userId = null, removedIds = [] } = {}) {
+    const real = listings.filter(l => l?.id);
+    try {
+      const previous = await this._readSnapshot();
+      const fresh = new Set([...real.map(l => l.id), ...removedIds]);
+      const kept = (previous?.listings || [])
+        .filter(l => !fresh.has(l.id) && (previous.userId === userId || l.public === true));
+      const merged = [...real.map(listing => this._serializable(listing)), ...kept].slice(0, this.options.maxListings);
+      if (!merged.length) return false;
+
+      const snapshot = {
+        version: SNAPSHOT_VERSION,
+        savedAt: Date.now(),
+        userId,
+        favorites: [...favorites],
+        listings: merged
+      };
+      await this._withStore(STORES.snapshot, 'readwrite', store => store.put(snapshot, SNAPSHOT_KEY));
+      await this._pruneThumbs(merged.map(l => l.id));
+      this.cacheThumbnails(real);
+      return true;
+    } catch (err) {
+      console.error('[Offline] Failed to save the listing snapshot:', err);
+      return false;
+    }
+  }
+
+  /**
+   * loadSnapshot({ userId, asOwner }) -> { listings, favorites, savedAt } or null
+   * Listings come back with cachedThumb set where a thumbnail was stored.
+   * asOwner skips the user check, for pages that cannot ask Firebase Auth
+   * (offline.html); forgetUser() keeps that safe after a sign-out.
+   */
+  async loadSnapshot({ userId = null, asOwner = false } = {}) {
+    try {
+      const snapshot = await this._readSnapshot();
+      if (!snapshot) return null;
+
+      const sameUser = asOwner || (!!userId && snapshot.userId === userId);
+      const listings = sameUser ? snapshot.listings : snapshot.listings.filter(l => l.public === true);
+      return {
+        listings: await this._withThumbs(listings),
+        favorites: sameUser ? snapshot.favorites : [],
+        savedAt: snapshot.savedAt
+      };
+    } catch (err) {
+      console.error('[Offline] Failed to load the listing snapshot:', err);
+      return null;
+    }
+  }
+
+  async _readSnapshot() {
+    const snapshot = await this._withStore(STORES.snapshot, 'readonly', store => store.get(SNAPSHOT_KEY));
+    return snapshot?.version === SNAPSHOT_VERSION ? snapshot : null;
+  }
+
+  // Sign-out: keep only what a guest could see
+  async forgetUser() {
+    try {
+      const snapshot = await this._readSnapshot();
+      if (snapshot?.userId) {
+        const scrubbed = { ...snapshot, userId: null, favorites: [], listings: snapshot.listings.filter(l => l.public === true) };
+        await this._withStore(STORES.snapshot, 'readwrite', store => store.put(scrubbed, SNAPSHOT_KEY));
+      }
+      const privateViewed = (await this._getAll(STORES.viewed))
+        .filter(entry => entry.listing?.public !== true)
+        .map(entry => entry.id);
+      if (privateViewed.length) {
+        await this._withStore(STORES.viewed, 'readwrite', store => {
+          privateViewed.forEach(id => store.delete(id));
+          return null;
+        });
+      }
+    } catch (err) {
+      console.error('[Offline] Failed to clear the signed-in snapshot:', err);
+    }
+  }
+
+  // ----------------------------
+  // Viewed listings (house-detail)
+  // ----------------------------
+  async saveViewed(listing) {
+    if (!listing?.id) return false;
+    try {
+      await this._withStore(STORES.viewed, 'readwrite', store => store.put(
+        { id: listing.id, listing: this._serializable(listing), viewedAt: Date.now() },
+        listing.id
+      ));
+      this.cacheThumbnails([listing]);
+      this._pruneViewed();
+      return true;
+    } catch (err) {
+      console.error('[Offline] Failed to save the viewed listing:', err);
+      return false;
+    }
+  }
+
+  /**
+   * getListing(id, { userId }) -> listing or null
+   * The last copy seen on house-detail, else the snapshot's.
+   */
+  async getListing(id, { userId = null } = {}) {
+    try {
+      const viewed = await this._withStore(STORES.viewed, 'readonly', store => store.get(id));
+      if (viewed?.listing) return (await this._withThumbs([viewed.listing]))[0];
+      const snapshot = await this.loadSnapshot({ userId });
+      return snapshot?.listings.find(l => l.id === id) || null;
+    } catch (err) {
+      console.error('[Offline] Failed to read the listing:', err);
+      return null;
+    }
+  }
+
+  async _pruneViewed() {
+    try {
+      const stale = (await this._getAll(STORES.viewed))
+        .sort((a, b) => b.viewedAt - a.viewedAt)
+        .slice(this.options.maxViewed)
+        .map(entry => entry.id);
+      if (stale.length) {
+        await this._withStore(STORES.viewed, 'readwrite', store => {
+          stale.forEach(id => store.delete(id));
+          return null;
+        });
+      }
+    } catch (err) {
+      console.error('[Offline] Failed to prune viewed listings:', err);
+    }
+  }
+
+  // ----------------------------
+  // Thumbnails
+  // ----------------------------
+  /**
+   * cacheThumbnails(listings)
+   * Stores each listing's cover thumbnail (up to maxThumbs). Thumbnails whose
+   * URL did not change are not downloaded again.
+   */
+  async cacheThumbnails(listings) {
+    if (typeof fetch === 'undefined' || (typeof navigator !== 'undefined' && navigator.onLine === false)) return;
+    try {
+      const stored = new Map((await this._getAll(STORES.thumbs)).map(thumb => [thumb.id, thumb.url]));
+      const wanted = listings
+        .slice(0, this.options.maxThumbs)
+        .filter(listing => !listing.cachedThumb)
+        .map(listing => ({ id: listing.id, url: coverImage(listing) }))
+        .filter(({ id, url }) => url && url !== IMAGE_DEFAULTS.placeholder && stored.get(id) !== url);
+
+      for (const { id, url } of wanted) {
+        try {
+          const response = await fetch(url, { mode: 'cors' });
+          if (!response.ok) continue;
+          const blob = await response.blob();
+          if (blob.size > this.options.maxThumbBytes) continue;
+          await this._withStore(STORES.thumbs, 'readwrite', store => store.put({ id, url, blob }, id));
+        } catch {
+          // cross-origin host without CORS, or offline midway: keep the placeholder
+        }
+      }
+    } catch (err) {
+      console.error('[Offline] Failed to cache thumbnails:', err);
+    }
+  }
+
+  // Drops thumbnails of listings that are neither in the snapshot nor viewed
+  async _pruneThumbs(snapshotIds) {
+    const keep = new Set([...snapshotIds, ...(await this._getAll(STORES.viewed)).map(entry => entry.id)]);
+    const stale = (await this._getAll(STORES.thumbs)).map(thumb => thumb.id).filter(id => !keep.has(id));
+    if (!stale.length) return;
+    await this._withStore(STORES.thumbs, 'readwrite', store => {
+      stale.forEach(id => store.delete(id));
+      return null;
+    });
+  }
+
+  async _withThumbs(listings) {
+    let thumbs = [];
+    try {
+      thumbs = await this._getAll(STORES.thumbs);
+    } catch (err) {
+      console.error('[Offline] Failed to read thumbnails:', err);
+    }
+    const byId = new Map(thumbs.map(thumb => [thumb.id, thumb]));
+    return listings.map(listing => {
+      const thumb = byId.get(listing.id);
+      if (!thumb?.blob || typeof URL === 'undefined') return listing;
+      if (!this.objectUrls.has(listing.id)) this.objectUrls.set(listing.id, URL.createObjectURL(thumb.blob));
+      return { ...listing, cachedThumb: this.objectUrls.get(listing.id) };
+    });
+  }
+}
+
+// Factory
+export function createOfflineStore(options = {}) {
+  return new OfflineStore(options);
+}
+
+// Default instance
+const defaultOfflineStore = new OfflineStore();
+
+if (typeof window !== 'undefined') {
+  window.offlineStore = defaultOfflineStore;
+}
+
+export default defaultOfflineStore;
+export { OfflineStore, OFFLINE_DEFAULTS };
@@ -0,0 +1,342 @@
+// js/outbox.js
+// ==============================
+// Offline Write Queue (IndexedDB outbox)
+// - enqueue(): keeps a write made offline (favorite toggle, booking request,
+//   message, report) until it can be sent; entries belong to the user who
+//   made them and only replay while that user is signed in
+// - flush(): replays queued entries in order through the handler registered
+//   for their type. A network error leaves the entry queued and stops the run;
+//   anything else (dates taken, listing gone, validation) marks it failed so
+//   the user can retry or discard it
+// - Replays are triggered by Background Sync (the service worker asks an open
+//   tab to flush, since only the page has a Firebase session), by the
+//   `online` event, and by a foreground retry timer where sync is missing
+// - Web Locks keep two open tabs from sending the same entry twice
+// ==============================
+
+import { escapeHtml } from './html.js';
+import { createDatabase, isIndexedDbSupported } from './idb.js';
+
+const OUTBOX_DEFAULTS = {
+  dbName: 'kejabase-outbox',
+  retryDelay: 30 * 1000,
+  maxEntries: 200
+};
+
+const SYNC_TAG = 'kejabase-outbox';
+
+const STORE = 'entries';
+
+// Firestore / Storage codes worth retrying; every other error is final
+const TRANSIENT_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'storage/retry-limit-exceeded'];
+
+class Outbox {
+  constructor(options = {}) {
+    this.options = { ...OUTBOX_DEFAULTS, ...options };
+    this.db = createDatabase(this.options.dbName, { [STORE]: { keyPath: 'id' } });
+    this.stateManager = null;
+    this.handlers = new Map();
+    this.listeners = new Set();
+    this.sending = new Set();
+    this.flushing = null;
+    this.retryTimer = null;
+    this.listening = false;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isSupported() {
+    return isIndexedDbSupported();
+  }
+
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * isTransient(err) -> true when the write should simply be tried again later
+   */
+  isTransient(err) {
+    if (this.isOffline()) return true;
+    if (TRANSIENT_CODES.includes(err?.code)) return true;
+    // fetch() rejects with a TypeError when the network drops mid-request
+    if (err instanceof TypeError && /fetch|network/i.test(err.message || '')) return true;
+    return /client is offline/i.test(err?.message || '');
+  }
+
+  /**
+   * register(type, handler)
+   * handler(entry) performs the write and throws on failure.
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+    return this;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  _notify(result = null) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(result);
+      } catch (err) {
+        console.error('[Outbox] listener failed:', err);
+      }
+    });
+  }
+
+  _currentUserId() {
+    return this.stateManager?.getCurrentUser?.()?.uid || null;
+  }
+
+  // ----------------------------
+  // IndexedDB plumbing
+  // ----------------------------
+  _withStore(mode, run) {
+    return this.db.withStore(STORE, mode, run);
+  }
+
+  _put(entry) {
+    return this._withStore('readwrite', store => store.put(entry));
+  }
+
+  _delete(id) {
+    return this._withStore('readwrite', store => store.delete(id));
+  }
+
+  // ----------------------------
+  // Queue
+  // ----------------------------
+  /**
+   * enqueue(type, payload, { userId, label, link, key }) -> entry
+   * label describes the write in the outbox list; link points at the page
+   * where a failed entry can be fixed. Entries sharing a key replace each
+   * other (a favorite toggled twice offline is sent once, with the last value).
+   * payload must be structured-cloneable: plain data, Files and Blobs.
+   */
+  async enqueue(type, payload, { userId = this._currentUserId(), label = '', link = null, key = null } = {}) {
+    if (!this.handlers.has(type)) throw new Error(`Unknown outbox entry type: ${type}`);
+    if (!userId) throw new Error('Please sign in first.');
+
+    const entries = await this.list();
+    if (entries.length >= this.options.maxEntries) throw new Error('Too many changes are waiting to be sent. Reconnect and try again.');
+
+    const now = Date.now();
+    const entry = {
+      id: key || `${type}-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      userId,
+      payload,
+      label,
+      link,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      createdAt: entries.find(e => e.id === key)?.createdAt || now,
+      updatedAt: now
+    };
+    await this._put(entry);
+    this._notify();
+    this.requestSync();
+    return entry;
+  }
+
+  /**
+   * list({ userId, type, status }) -> entries, oldest first
+   */
+  async list({ userId = null, type = null, status = null } = {}) {
+    try {
+      const entries = await this._withStore('readonly', store => store.getAll());
+      return (entries || [])
+        .filter(e => (!userId || e.userId === userId) && (!type || e.type === type) && (!status || e.status === status))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    } catch (err) {
+      console.error('[Outbox] Failed to read the outbox:', err);
+      return [];
+    }
+  }
+
+  async retry(id) {
+    const entry = (await this.list()).find(e => e.id === id);
+    if (!entry) return null;
+    await this._put({ ...entry, status: 'queued', error: null, updatedAt: Date.now() });
+    this._notify();
+    return this.flush();
+  }
+
+  // -> the removed entry, so the caller can undo its optimistic UI
+  async discard(id) {
+    const entry = (await this.list()).find(e => e.id === id) || null;
+    await this._delete(id);
+    this._notify();
+    return entry;
+  }
+
+  // ----------------------------
+  // Replay
+  // ----------------------------
+  /**
+   * flush() -> { sent, failed, remaining } for the signed-in user, or null
+   * when nobody is signed in. Concurrent calls share one run.
+   */
+  flush() {
+    if (!this.flushing) {
+      this.flushing = this._lockedFlush().finally(() => { this.flushing = null; });
+    }
+    return this.flushing;
+  }
+
+  _lockedFlush() {
+    if (typeof navigator !== 'undefined' && navigator.locks?.request) {
+      return navigator.locks.request(SYNC_TAG, () => this._flush());
+    }
+    return this._flush();
+  }
+
+  async _flush() {
+    const userId = this._currentUserId();
+    if (!userId) return null;
+
+    const result = { sent: 0, failed: 0, remaining: 0 };
+    const queued = await this.list({ userId, status: 'queued' });
+    for (const [index, entry] of queued.entries()) {
+      if (this.isOffline()) {
+        result.remaining = queued.length - index;
+        break;
+      }
+      const handler = this.handlers.get(entry.type);
+      if (!handler) continue; // registered by a page that is not open
+
+      this.sending.add(entry.id);
+      this._notify();
+      try {
+        await handler(entry);
+        await this._delete(entry.id);
+        result.sent++;
+      } catch (err) {
+        const transient = this.isTransient(err);
+        if (!transient) console.error(`[Outbox] ${entry.type} could not be sent:`, err);
+        await this._put({
+          ...entry,
+          status: transient ? 'queued' : 'failed',
+          attempts: entry.attempts + 1,
+          error: transient ? null : (err?.message || 'Could not be sent.'),
+          updatedAt: Date.now()
+        });
+        if (transient) {
+          // the network is down again; keep the rest in order for the next run
+          result.remaining = queued.length - index;
+          break;
+        }
+        result.failed++;
+      } finally {
+        this.sending.delete(entry.id);
+      }
+    }
+
+    this._scheduleRetry(result.remaining);
+    this._notify(result);
+    return result;
+  }
+
+  // Foreground fallback while entries are still waiting
+  _scheduleRetry(remaining) {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    if (!remaining || typeof window === 'undefined') return;
+    this.retryTimer = setTimeout(() => this.flush(), this.options.retryDelay);
+  }
+
+  /**
+   * requestSync()
+   * Asks the service worker for a Background Sync; browsers without it rely
+   * on the online event and the retry timer.
+   */
+  async requestSync() {
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration?.();
+      if (registration?.sync) {
+        await registration.sync.register(SYNC_TAG);
+        return true;
+      }
+    } catch (err) {
+      console.error('[Outbox] Background sync registration failed:', err);
+    }
+    if (!this.isOffline()) this.flush();
+    return false;
+  }
+
+  /**
+   * listen()
+   * Flushes when the browser comes back online and when the service worker
+   * relays a sync event; the reply tells it whether to try again.
+   */
+  listen() {
+    if (this.listening || typeof window === 'undefined') return this;
+    this.listening = true;
+
+    window.addEventListener('online', () => this.flush());
+    navigator.serviceWorker?.addEventListener('message', async (event) => {
+      if (event.data?.type !== 'outbox-sync') return;
+      const result = await this.flush();
+      event.ports?.[0]?.postMessage(result ? { remaining: result.remaining } : null);
+    });
+    return this;
+  }
+
+  // ----------------------------
+  // Rendering
+  // ----------------------------
+  describe(entries) {
+    const failed = entries.filter(e => e.status === 'failed').length;
+    const queued = entries.length - failed;
+    const parts = [];
+    if (queued) parts.push(`${queued} ${queued === 1 ? 'change' : 'changes'} waiting to sync`);
+    if (failed) parts.push(`${failed} could not be sent`);
+    return parts.join(' · ');
+  }
+
+  renderEntry(entry) {
+    const status = this.sending.has(entry.id)
+      ? '<span class="text-xs text-indigo-600">Sending…</span>'
+      : entry.status === 'failed'
+        ? `<span class="text-xs text-red-600">${escapeHtml(entry.error || 'Could not be sent.')}</span>`
+        : '<span class="text-xs text-gray-500">Waiting for a connection</span>';
+    const actions = entry.status === 'failed'
+      ? `${entry.link ? `<a href="${escapeHtml(entry.link)}" class="text-xs text-indigo-600 underline">Review</a>` : ''}
+         <button type="button" data-outbox-retry="${escapeHtml(entry.id)}" class="text-xs text-indigo-600 underline">Retry</button>`
+      : '';
+    return `
+      <li class="px-4 py-2">
+        <p class="text-gray-900">${escapeHtml(entry.label || entry.type)}</p>
+        <div class="flex items-center justify-between space-x-2">
+          ${status}
+          <span class="space-x-2">
+            ${actions}
+            <button type="button" data-outbox-discard="${escapeHtml(entry.id)}" class="text-xs text-gray-500 underline">Discard</button>
+          </span>
+        </div>
+      </li>`;
+  }
+}
+
+// Factory
+export function createOutbox(options = {}) {
+  return new Outbox(options);
+}
+
+// Default instance
+const defaultOutbox = new Outbox();
+
+if (typeof window !== 'undefined') {
+  window.outbox = defaultOutbox;
+}
+
+export default defaultOutbox;
+export { Outbox, OUTBOX_DEFAULTS, SYNC_TAG };
@@ -0,0 +1,260 @@
+// js/pricingService.js
+// ==============================
+// Pricing & Receipts
+// - Itemized quotes from listing price, nights, guests, fees and taxes
+// - Nightly rates follow the host's calendar rules (listing.pricingRules):
+//   date overrides, then seasons, then the weekend rate, then the base price
+// - Receipt rendering (standalone HTML, print-to-PDF ready)
+// ==============================
+
+import { isBnb } from './listings.js';
+import { MS_PER_DAY, addDays, dayMillis } from './availabilityService.js';
+import { escapeHtml } from './html.js';
+
+const PRICING_DEFAULTS = {
+  currency: 'USD',
+  currencySymbol: '$',
+  serviceFeeRate: 0.1,    // platform fee on the stay subtotal
+  taxRate: 0.16,          // VAT on stay + fees
+  cleaningFee: 0,         // used when the listing does not set its own
+  includedGuests: 2,      // guests covered by the base rate
+  extraGuestFee: 0,       // per extra guest, per night (listing may override)
+  daysPerMonth: 30        // houses are priced monthly; nightly rate = price / daysPerMonth
+};
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+// Friday and Saturday nights
+const isWeekendNight = (dateKey) => [5, 6].includes(new Date(dayMillis(dateKey)).getUTCDay());
+
+class PricingService {
+  constructor(config = {}) {
+    this.config = { ...PRICING_DEFAULTS, ...config };
+  }
+
+  setConfig(config) {
+    this.config = { ...this.config, ...config };
+    return this;
+  }
+
+  // ----------------------------
+  // Helpers
+  // ----------------------------
+  countNights(startDate, endDate) {
+    if (!startDate || !endDate) return 0;
+    const start = dayMillis(startDate);
+    const end = dayMillis(endDate);
+    if (Number.isNaN(start) || Number.isNaN(end)) return 0;
+    return Math.max(0, Math.round((end - start) / MS_PER_DAY));
+  }
+
+  getNightlyRate(listing) {
+    const price = Number(listing?.price) || 0;
+    return isBnb(listing) ? price : roundMoney(price / this.config.daysPerMonth);
+  }
+
+  /**
+   * nightlyRateOn(listing, dateKey)
+   * The price of the night starting on dateKey, from listing.pricingRules:
+   * { overrides: { 'YYYY-MM-DD': price }, seasons: [{ label, start, end, price }], weekendPrice }.
+   * Season start/end are inclusive night dates.
+   */
+  nightlyRateOn(listing, dateKey) {
+    const rules = listing?.pricingRules || {};
+    const override = Number(rules.overrides?.[dateKey]);
+    if (override > 0) return roundMoney(override);
+
+    const season = (rules.seasons || []).find(s => s.start <= dateKey && dateKey <= s.end && Number(s.price) > 0);
+    if (season) return roundMoney(season.price);
+
+    const weekendPrice = Number(rules.weekendPrice);
+    if (weekendPrice > 0 && isWeekendNight(dateKey)) return roundMoney(weekendPrice);
+
+    return this.getNightlyRate(listing);
+  }
+
+  // [{ date, rate }] for each night of the stay
+  nightlyRates(listing, startDate, endDate) {
+    const nights = this.countNights(startDate, endDate);
+    return Array.from({ length: nights }, (_, i) => {
+      const date = addDays(startDate, i);
+      return { date, rate: this.nightlyRateOn(listing, date) };
+    });
+  }
+
+  formatMoney(amount, currencySymbol = this.config.currencySymbol) {
+    const value = roundMoney(amount).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${currencySymbol}${value}`;
+  }
+
+  // ----------------------------
+  // Quotes
+  // ----------------------------
+  /**
+   * quote(listing, { startDate, endDate, guests })
+   * Returns { nights, nightlyRate, guests, lineItems, subtotal, taxes, total, currency }.
+   * When the calendar prices nights differently, nightlyRate is the average.
+   * Every line item is { code, label, amount } so receipts can be re-rendered from stored data.
+   */
+  quote(listing, { startDate, endDate, guests = 1 } = {}) {
+    const cfg = this.config;
+    const nights = this.countNights(startDate, endDate);
+    const rates = this.nightlyRates(listing, startDate, endDate);
+    const varies = rates.some(night => night.rate !== rates[0].rate);
+    const stay = roundMoney(rates.reduce((acc, night) => acc + night.rate, 0));
+    const nightlyRate = !nights ? this.getNightlyRate(listing) : (varies ? roundMoney(stay / nights) : rates[0].rate);
+    const guestCount = Math.max(1, Number(guests) || 1);
+
+    const lineItems = [];
+    lineItems.push({
+      code: 'stay',
+      label: varies
+        ? `${nights} nights (avg. ${this.formatMoney(nightlyRate)})`
+        : `${this.formatMoney(nightlyRate)} x ${nights} night${nights === 1 ? '' : 's'}`,
+      amount: stay
+    });
+
+    const includedGuests = Number(listing?.includedGuests ?? cfg.includedGuests);
+    const extraGuestFee = Number(listing?.extraGuestFee ?? cfg.extraGuestFee);
+    const extraGuests = Math.max(0, guestCount - includedGuests);
+    if (extraGuests && extraGuestFee) {
+      lineItems.push({
+        code: 'extra-guests',
+        label: `Extra guests (${extraGuests} x ${nights} night${nights === 1 ? '' : 's'})`,
+        amount: roundMoney(extraGuests * extraGuestFee * nights)
+      });
+    }
+
+    const cleaningFee = roundMoney(listing?.cleaningFee ?? cfg.cleaningFee);
+    if (cleaningFee && nights) {
+      lineItems.push({ code: 'cleaning', label: 'Cleaning fee', amount: cleaningFee });
+    }
+
+    const staySubtotal = lineItems.reduce((acc, item) => acc + item.amount, 0);
+    lineItems.push({ code: 'service', label: 'Service fee', amount: roundMoney(staySubtotal * cfg.serviceFeeRate) });
+
+    const subtotal = roundMoney(lineItems.reduce((acc, item) => acc + item.amount, 0));
+    const taxes = roundMoney(subtotal * cfg.taxRate);
+    lineItems.push({ code: 'tax', label: `Taxes (${Math.round(cfg.taxRate * 100)}% VAT)`, amount: taxes });
+
+    return {
+      nights,
+      nightlyRate,
+      guests: guestCount,
+      lineItems,
+      subtotal,
+      taxes,
+      total: roundMoney(subtotal + taxes),
+      currency: cfg.currency
+    };
+  }
+
+  // Fields persisted on the booking document
+  toBookingFields(quote) {
+    return {
+      amount: quote.total,
+      currency: quote.currency,
+      nights: quote.nights,
+      priceBreakdown: {
+        nightlyRate: quote.nightlyRate,
+        lineItems: quote.lineItems,
+        subtotal: quote.subtotal,
+        taxes: quote.taxes,
+        total: quote.total
+      }
+    };
+  }
+
+  // ----------------------------
+  // Receipts
+  // ----------------------------
+  renderQuoteRows(quote) {
+    return quote.lineItems.map(item => `
+      <div class="flex justify-between">
+        <span class="text-gray-600">${escapeHtml(item.label)}</span>
+        <span>${this.formatMoney(item.amount)}</span>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * renderReceiptHtml(booking, listing)
+   * Standalone HTML document; print styles keep it on one A4 page for "Save as PDF".
+   */
+  renderReceiptHtml(booking, listing = {}) {
+    const breakdown = booking.priceBreakdown || {};
+    const items = breakdown.lineItems || [];
+    const issued = booking.createdAt?.toDate?.() || new Date();
+    const rows = items.map(item => `
+        <tr><td>${escapeHtml(item.label)}</td><td class="amount">${this.formatMoney(item.amount)}</td></tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Receipt ${escapeHtml(booking.id)} | Kejabase</title>
+  <style>
+    body { font-family: system-ui, sans-serif; color: #111827; max-width: 640px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { color: #4f46e5; margin-bottom: 0; }
+    .muted { color: #6b7280; }
+    table { width: 100%; border-collapse: collapse; margin-top: 1.5rem; }
+    td { padding: 0.5rem 0; border-bottom: 1px solid #e5e7eb; }
+    .amount { text-align: right; }
+    .total td { font-weight: 700; font-size: 1.125rem; border-bottom: none; }
+    @media print { @page { size: A4; margin: 20mm; } body { margin: 0; } .no-print { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>Kejabase</h1>
+  <p class="muted">Booking receipt</p>
+  <p><strong>Receipt #:</strong> ${escapeHtml(booking.id)}<br>
+     <strong>Issued:</strong> ${escapeHtml(issued.toLocaleDateString())}<br>
+     <strong>Status:</strong> ${escapeHtml(booking.status)}</p>
+  <p><strong>${escapeHtml(listing.title || listing.name || 'Listing')}</strong><br>
+     <span class="muted">${escapeHtml([listing.address, listing.city, listing.state].filter(Boolean).join(', '))}</span></p>
+  <p>${escapeHtml(booking.startDate)} → ${escapeHtml(booking.endDate)} · ${escapeHtml(booking.nights ?? '')} night(s) · ${escapeHtml(booking.guests)} guest(s)</p>
+  <table>
+    <tbody>${rows}
+      <tr class="total"><td>Total (${escapeHtml(booking.currency || this.config.currency)})</td><td class="amount">${this.formatMoney(booking.amount)}</td></tr>
+    </tbody>
+  </table>
+  <p class="no-print"><button onclick="window.print()">Print / Save as PDF</button></p>
+</body>
+</html>`;
+  }
+
+  openReceipt(booking, listing) {
+    const win = window.open('', '_blank');
+    if (!win) throw new Error('Please allow pop-ups to view your receipt.');
+    win.document.write(this.renderReceiptHtml(booking, listing));
+    win.document.close();
+    return win;
+  }
+
+  downloadReceipt(booking, listing) {
+    const blob = new Blob([this.renderReceiptHtml(booking, listing)], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `kejabase-receipt-${booking.id}.html`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// Factory
+export function createPricingService(config = {}) {
+  return new PricingService(config);
+}
+
+// Default instance
+const defaultPricingService = new PricingService();
+
+if (typeof window !== 'undefined') {
+  window.pricingService = defaultPricingService;
+}
+
+export default defaultPricingService;
+export { PricingService, PRICING_DEFAULTS, isWeekendNight };
@@ -0,0 +1,433 @@
+// js/pushService.js
+// ==============================
+// Push notifications for booking and message events
+// - Opt-in per device: enable() asks for permission, subscribes with the
+//   Push API when a VAPID key is configured and stores the device under
+//   users/{uid}.pushSubscriptions.{deviceId}; disable() removes it
+// - What to be told about lives in users/{uid}.notificationPrefs
+// - service-worker.js shows every payload ({ title, body, url, tag }) from
+//   its `push` handler and deep-links to `url` on click
+// - Until a server sends Web Push to the stored subscriptions, the local
+//   sender stands in: while one tab of an opted-in user is open it turns the
+//   real-time bookings and threads feeds into the same payloads and hands
+//   them to the service worker ({ type: 'local-push' }), which shows them
+//   through the push code path. Set localSender: false once a server does it.
+// ==============================
+
+const PUSH_DEFAULTS = {
+  vapidPublicKey: '',        // base64url application server key; empty = local sender only
+  localSender: true,
+  deviceKey: 'kejabase-push-device'
+};
+
+// Preference keys on users/{uid}.notificationPrefs (all on by default)
+const PUSH_PREFERENCES = [
+  { key: 'bookingRequests', label: 'New booking requests', hint: 'When a guest asks to book one of your listings.' },
+  { key: 'bookingUpdates', label: 'Booking updates', hint: 'Confirmations, declines and cancellations.' },
+  { key: 'messages', label: 'New messages', hint: 'When a host or guest writes to you.' }
+];
+
+const DASHBOARDS = {
+  admin: '/dashboard-admin.html',
+  bnb: '/dashboard-bnb.html',
+  provider: '/dashboard-provider.html',
+  hunter: '/dashboard-hunter.html'
+};
+
+// Where each dashboard lists bookings
+const BOOKING_ANCHORS = {
+  bnb: 'guest-bookings',
+  provider: 'manage-bookings',
+  hunter: 'my-bookings'
+};
+
+// Status changes worth a notification, and who gets it
+const BOOKING_UPDATES = {
+  confirmed: { to: 'guest', title: 'Booking confirmed' },
+  declined: { to: 'guest', title: 'Booking declined' },
+  'cancelled-by-host': { to: 'guest', title: 'Booking cancelled by the host' },
+  'cancelled-by-guest': { to: 'host', title: 'Booking cancelled by the guest' }
+};
+
+// only one tab per browser runs the local sender
+const SENDER_LOCK = 'kejabase-push-sender';
+
+const millis = (ts) => ts?.toMillis?.() || (typeof ts === 'number' ? ts : 0);
+
+// "BEl62iUYgU..." (base64url) -> Uint8Array, as pushManager.subscribe wants
+function keyToBytes(base64url) {
+  const padded = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+/**
+ * buildPushPayload(kind, record, { role }) -> { title, body, url, tag }
+ * kind: 'booking-request' | 'booking-update' | 'message' | 'saved-search';
+ * record is the booking, thread or saved-search notification doc; role is
+ * the recipient's. A server sender should send exactly this shape.
+ */
+function buildPushPayload(kind, record, { role = 'hunter' } = {}) {
+  const dashboard = DASHBOARDS[role] || DASHBOARDS.hunter;
+  const listing = record.listingTitle || 'your listing';
+
+  if (kind === 'saved-search') {
+    return {
+      title: `New match for "${record.searchName || 'your saved search'}"`,
+      body: record.listingTitle || 'A new listing matches your saved search.',
+      url: `/house-detail.html?id=${encodeURIComponent(record.listingId)}`,
+      tag: `saved-search-${record.searchId}-${record.listingId}`
+    };
+  }
+
+  if (kind === 'message') {
+    return {
+      title: `New message · ${record.listingTitle || 'Kejabase'}`,
+      body: record.lastMessage || 'You have a new message.',
+      url: `${dashboard}?thread=${encodeURIComponent(record.id)}#messages`,
+      tag: `thread-${record.id}`
+    };
+  }
+
+  const url = `${dashboard}?booking=${encodeURIComponent(record.id)}#${BOOKING_ANCHORS[role] || 'my-bookings'}`;
+  const dates = `${record.startDate} → ${record.endDate}`;
+  if (kind === 'booking-request') {
+    return {
+      title: 'New booking request',
+      body: `${record.guestName || 'A guest'} · ${listing}, ${dates}`,
+      url,
+      tag: `booking-${record.id}`
+    };
+  }
+  return {
+    title: BOOKING_UPDATES[record.status]?.title || 'Booking updated',
+    body: `${listing}, ${dates}`,
+    url,
+    tag: `booking-${record.id}`
+  };
+}
+
+class PushService {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...PUSH_DEFAULTS, ...options };
+    this.prefs = null;           // notificationPrefs the local sender checks
+    this.watchers = [];
+    this.senderAbort = null;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  _requireUser() {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+    return user;
+  }
+
+  _userRef(uid) {
+    const { doc, collections } = this.firebaseServices;
+    return doc(collections.users, uid);
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' &&
+           'Notification' in window &&
+           'serviceWorker' in navigator;
+  }
+
+  permission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  // Stable per-browser id, so each device has one entry on the user doc
+  deviceId() {
+    let id = localStorage.getItem(this.options.deviceKey);
+    if (!id) {
+      id = `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+      localStorage.setItem(this.options.deviceKey, id);
+    }
+    return id;
+  }
+
+  async _registration() {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) throw new Error('Notifications need the app to be installed first. Reload the page and try again.');
+    return registration;
+  }
+
+  // ----------------------------
+  // Settings
+  // ----------------------------
+  /**
+   * getSettings() -> { prefs, devices, enabledHere, permission }
+   */
+  async getSettings() {
+    if (!this.isFirebaseReady()) throw new Error('Notifications not available');
+    const user = this._requireUser();
+    const snap = await this.firebaseServices.getDoc(this._userRef(user.uid));
+    const data = snap.exists() ? snap.data() : {};
+    const devices = data.pushSubscriptions || {};
+    return {
+      prefs: this.normalizePrefs(data.notificationPrefs),
+      devices,
+      enabledHere: !!devices[this.deviceId()] && this.permission() === 'granted',
+      permission: this.permission()
+    };
+  }
+
+  normalizePrefs(prefs = {}) {
+    return Object.fromEntries(PUSH_PREFERENCES.map(({ key }) => [key, prefs?.[key] !== false]));
+  }
+
+  async savePreferences(prefs) {
+    if (!this.isFirebaseReady()) throw new Error('Notifications not available');
+    const user = this._requireUser();
+    const notificationPrefs = this.normalizePrefs(prefs);
+    await this.firebaseServices.updateDoc(this._userRef(user.uid), {
+      notificationPrefs,
+      updatedAt: this.firebaseServices.serverTimestamp()
+    });
+    this.prefs = notificationPrefs;
+    return notificationPrefs;
+  }
+
+  /**
+   * enable() -> the stored device entry
+   * Asks for permission and registers this browser. Without a VAPID key (or
+   * Push API) the device is stored as local-only and the local sender delivers.
+   */
+  async enable() {
+    if (!this.isSupported()) throw new Error('This browser does not support notifications.');
+    if (!this.isFirebaseReady()) throw new Error('Notifications not available');
+    const user = this._requireUser();
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error('Notifications are blocked for this site. Allow them in your browser settings and try again.');
+    }
+
+    const registration = await this._registration();
+    let subscription = null;
+    if (this.options.vapidPublicKey && registration.pushManager) {
+      subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: keyToBytes(this.options.vapidPublicKey)
+        });
+    }
+
+    const json = subscription?.toJSON?.() || {};
+    const device = {
+      endpoint: json.endpoint || null,
+      keys: json.keys || null,
+      local: !subscription,
+      userAgent: navigator.userAgent.slice(0, 200),
+      createdAt: this.firebaseServices.serverTimestamp()
+    };
+    await this.firebaseServices.updateDoc(this._userRef(user.uid), {
+      [`pushSubscriptions.${this.deviceId()}`]: device
+    });
+    this.startWatching();
+    return device;
+  }
+
+  async disable() {
+    if (!this.isFirebaseReady()) throw new Error('Notifications not available');
+    const user = this._requireUser();
+    try {
+      const registration = await navigator.serviceWorker.getRegistration();
+      const subscription = await registration?.pushManager?.getSubscription();
+      await subscription?.unsubscribe();
+    } catch (err) {
+      console.error('[Push] Failed to unsubscribe:', err);
+    }
+    await this.firebaseServices.updateDoc(this._userRef(user.uid), {
+      [`pushSubscriptions.${this.deviceId()}`]: this.firebaseServices.deleteField()
+    });
+    this.stopWatching();
+  }
+
+  // ----------------------------
+  // Delivery
+  // ----------------------------
+  /**
+   * deliverLocally(payload)
+   * Hands a payload to the service worker, which shows it exactly as it
+   * would a push message. Used by the local sender and the test button.
+   */
+  async deliverLocally(payload) {
+    const registration = await this._registration();
+    const worker = registration.active || navigator.serviceWorker.controller;
+    if (!worker) throw new Error('The app is still installing. Try again in a moment.');
+    worker.postMessage({ type: 'local-push', payload });
+  }
+
+  sendTest() {
+    return this.deliverLocally({
+      title: 'Notifications are on',
+      body: "You'll hear about bookings and messages here.",
+      url: '/notifications.html',
+      tag: 'push-test'
+    });
+  }
+
+  // ----------------------------
+  // Local sender (stand-in for a push server)
+  // ----------------------------
+  /**
+   * startWatching()
+   * Runs the local sender when this device is opted in. Web Locks keep it
+   * to one tab; another tab takes over when that one closes.
+   */
+  async startWatching() {
+    this.stopWatching();
+    if (!this.options.localSender || !this.isFirebaseReady() || this.permission() !== 'granted') return;
+
+    let settings;
+    try {
+      settings = await this.getSettings();
+    } catch (err) {
+      console.error('[Push] Failed to load notification settings:', err);
+      return;
+    }
+    if (!settings.enabledHere) return;
+    this.prefs = settings.prefs;
+
+    if (!navigator.locks?.request) {
+      this._watch();
+      return;
+    }
+    const abort = new AbortController();
+    this.senderAbort = abort;
+    navigator.locks.request(SENDER_LOCK, { signal: abort.signal }, () => new Promise(release => {
+      abort.signal.addEventListener('abort', release);
+      this._watch();
+    })).catch(err => {
+      if (err?.name !== 'AbortError') console.error('[Push] Local sender lock failed:', err);
+    });
+  }
+
+  stopWatching() {
+    this.senderAbort?.abort();
+    this.senderAbort = null;
+    this.watchers.forEach(stop => stop());
+    this.watchers = [];
+  }
+
+  _watch() {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) return;
+    const startedAt = Date.now();
+
+    // bookings: the StateManager's real-time feed (hosts get their listings' bookings)
+    const statuses = new Map((this.stateManager.getState().bookings || []).map(b => [b.id, b.status]));
+    this.watchers.push(this.stateManager.subscribe((state, changes) => {
+      if (changes?.source !== 'bookings') return;
+      [...changes.added, ...changes.modified].forEach(booking => {
+        const previous = statuses.get(booking.id);
+        statuses.set(booking.id, booking.status);
+        if (previous === undefined) {
+          // the first snapshot reports every booking as added; only new requests count
+          if (booking.providerId === user.uid && booking.status === 'pending' && millis(booking.createdAt) >= startedAt) {
+            this._notify('bookingRequests', buildPushPayload('booking-request', booking, user));
+          }
+          return;
+        }
+        const update = previous !== booking.status && BOOKING_UPDATES[booking.status];
+        if (!update) return;
+        const recipient = update.to === 'guest' ? booking.userId : booking.providerId;
+        if (recipient === user.uid) this._notify('bookingUpdates', buildPushPayload('booking-update', booking, user));
+      });
+    }));
+
+    // messages: thread activity written by the other participant
+    const { collections, query, where, onSnapshot } = this.firebaseServices;
+    const seen = new Map();
+    let seeded = false;
+    this.watchers.push(onSnapshot(
+      query(collections.threads, where('participants', 'array-contains', user.uid)),
+      (snapshot) => {
+        snapshot.docs.forEach(docSnap => {
+          const thread = { id: docSnap.id, ...docSnap.data() };
+          const at = millis(thread.lastMessageAt);
+          const last = seen.get(thread.id) ?? startedAt;
+          seen.set(thread.id, at);
+          if (seeded && at > last && thread.lastSenderId && thread.lastSenderId !== user.uid) {
+            this._notify('messages', buildPushPayload('message', thread, user));
+          }
+        });
+        seeded = true;
+      },
+      (err) => console.error('[Push] thread listener failed:', err)
+    ));
+  }
+
+  _notify(pref, payload) {
+    if (this.prefs?.[pref] === false) return;
+    // the open, focused page already shows the change
+    if (document.visibilityState === 'visible' && document.hasFocus()) return;
+    this.deliverLocally(payload).catch(err => console.error('[Push] Local delivery failed:', err));
+  }
+
+  // ----------------------------
+  // Rendering
+  // ----------------------------
+  renderPreferences(prefs) {
+    return PUSH_PREFERENCES.map(({ key, label, hint }) => `
+      <label class="flex items-start space-x-3 py-3">
+        <input type="checkbox" name="${key}" ${prefs[key] ? 'checked' : ''} class="mt-1 h-4 w-4 text-indigo-600 border-gray-300 rounded">
+        <span>
+          <span class="block text-sm font-medium text-gray-900">${label}</span>
+          <span class="block text-xs text-gray-500">${hint}</span>
+        </span>
+      </label>`).join('');
+  }
+}
+
+// Factory
+export function createPushService(firebaseServices = null, stateManager = null, options = {}) {
+  return new PushService(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultPushService = new PushService();
+
+if (typeof window !== 'undefined') {
+  const initializePushService = () => {
+    if (window.firebaseServices) defaultPushService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultPushService.setStateManager(window.state);
+    window.pushService = defaultPushService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializePushService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializePushService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultPushService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultPushService;
+export { PushService, PUSH_DEFAULTS, PUSH_PREFERENCES, buildPushPayload };
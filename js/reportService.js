@@ -0,0 +1,351 @@
+// js/reportService.js
+// ==============================
+// Listing Reports & Moderation Queue
+// - Hunters file structured reports (reason, details, optional screenshot)
+// - Admins triage: resolve, dismiss, unpublish the listing, suspend the provider
+// - Every step (filing, notes, decisions) is appended to report.history
+// ==============================
+
+import imagePipeline from './imagePipeline.js';
+import { collectionForListing } from './listings.js';
+import { escapeHtml } from './html.js';
+
+const REPORT_REASONS = [
+  { value: 'fraud', label: 'Scam or fraud' },
+  { value: 'inaccurate', label: 'Inaccurate photos or details' },
+  { value: 'unavailable', label: 'Not actually available' },
+  { value: 'pricing', label: 'Misleading price or hidden fees' },
+  { value: 'offensive', label: 'Offensive or inappropriate content' },
+  { value: 'safety', label: 'Safety concern' },
+  { value: 'other', label: 'Something else' }
+];
+
+// Admin decisions: resulting status, and which side effect (if any) they carry
+const TRIAGE_ACTIONS = {
+  resolve: { status: 'resolved', label: 'Resolve' },
+  dismiss: { status: 'dismissed', label: 'Dismiss' },
+  unpublish: { status: 'resolved', label: 'Unpublish listing', effect: 'unpublish-listing' },
+  suspend: { status: 'resolved', label: 'Suspend provider', effect: 'suspend-provider' }
+};
+
+// Report docs are written by clients, so a screenshot link is only shown when
+// it is a Firebase Storage download URL (what fileReport stores)
+const STORAGE_DOWNLOAD_HOST = 'firebasestorage.googleapis.com';
+
+function safeScreenshotUrl(value) {
+  try {
+    const url = new URL(String(value || ''));
+    if (url.protocol !== 'https:' || url.hostname !== STORAGE_DOWNLOAD_HOST || !url.pathname.startsWith('/v0/b/')) return null;
+    return url.href;
+  } catch {
+    return null;
+  }
+}
+
+class ReportService {
+  constructor(firebaseServices = null, stateManager = null) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.reasons = REPORT_REASONS;
+    this.actions = TRIAGE_ACTIONS;
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  _requireUser() {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+    return user;
+  }
+
+  _requireAdmin() {
+    const user = this._requireUser();
+    if (user.role !== 'admin') throw new Error('Only admins can moderate reports.');
+    return user;
+  }
+
+  _historyEntry(action, user, extra = {}) {
+    return { action, by: user.uid, at: this.firebaseServices.toTimestamp(new Date()), ...extra };
+  }
+
+  reasonLabel(value) {
+    return this.reasons.find(r => r.value === value)?.label || value || 'Report';
+  }
+
+  // ----------------------------
+  // Filing (hunters)
+  // ----------------------------
+  /**
+   * fileReport(listing, { reason, details, screenshot })
+   * screenshot is an optional image File; it goes through the image pipeline
+   * so it is resized and stripped of EXIF before upload.
+   */
+  async fileReport(listing, { reason, details = '', screenshot = null }) {
+    if (!this.isFirebaseReady()) throw new Error('Report service not available');
+    const user = this._requireUser();
+
+    if (!this.reasons.some(r => r.value === reason)) throw new Error('Please choose a reason.');
+    const text = details.trim();
+    if (reason === 'other' && !text) throw new Error('Please describe the problem.');
+
+    const fs = this.firebaseServices;
+    const existing = await fs.getDocs(fs.query(
+      fs.collections.reports,
+      fs.where('reporterId', '==', user.uid),
+      fs.where('listingId', '==', listing.id),
+      fs.where('status', '==', 'pending')
+    ));
+    if (!existing.empty) throw new Error('You already have an open report for this listing.');
+
+    const reportRef = fs.doc(fs.collections.reports);
+    let screenshotUrl = null;
+    let screenshotPath = null;
+    if (screenshot) {
+      const { variants } = await imagePipeline.process(screenshot);
+      screenshotPath = `reports/${reportRef.id}/${variants.full.name}`;
+      const snap = await fs.uploadBytes(fs.storageRef(screenshotPath), variants.full.blob, { contentType: variants.full.blob.type });
+      screenshotUrl = await fs.getDownloadURL(snap.ref);
+    }
+
+    const report = {
+      type: 'listing',
+      reason,
+      details: text,
+      listingId: listing.id,
+      listingCollection: collectionForListing(listing),
+      listingTitle: listing.title || '',
+      providerId: listing.providerId || null,
+      reporterId: user.uid,
+      screenshotUrl,
+      screenshotPath,
+      status: 'pending',
+      resolution: null,
+      notes: [],
+      history: [this._historyEntry('filed', user, { reason })],
+      createdAt: fs.serverTimestamp(),
+      updatedAt: fs.serverTimestamp()
+    };
+    await fs.setDoc(reportRef, report);
+    return { id: reportRef.id, ...report };
+  }
+
+  // ----------------------------
+  // Moderation (admins)
+  // ----------------------------
+  async getReports({ status = 'pending' } = {}) {
+    if (!this.isFirebaseReady()) return [];
+    const { collections, query, where, getDocs } = this.firebaseServices;
+    try {
+      const q = status ? query(collections.reports, where('status', '==', status)) : collections.reports;
+      const snapshot = await getDocs(q);
+      const millis = (ts) => ts?.toMillis?.() || 0;
+      return snapshot.docs
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+        .sort((a, b) => millis(b.createdAt) - millis(a.createdAt));
+    } catch (err) {
+      console.error('[Reports] getReports failed:', err);
+      return [];
+    }
+  }
+
+  async addNote(reportId, note) {
+    if (!this.isFirebaseReady()) throw new Error('Report service not available');
+    const user = this._requireAdmin();
+    const text = (note || '').trim();
+    if (!text) throw new Error('Note cannot be empty.');
+
+    const fs = this.firebaseServices;
+    const entry = { text, by: user.uid, at: fs.toTimestamp(new Date()) };
+    await fs.updateDoc(fs.doc(fs.collections.reports, reportId), {
+      notes: fs.arrayUnion(entry),
+      history: fs.arrayUnion(this._historyEntry('note', user)),
+      updatedAt: fs.serverTimestamp()
+    });
+    return entry;
+  }
+
+  /**
+   * triage(reportId, action, { note })
+   * Closes a pending report and applies the action's side effect in the
+   * same transaction (listing.public = false, or user.suspended = true).
+   * A suspended provider's listings are unpublished once it has committed.
+   */
+  async triage(reportId, action, { note = '' } = {}) {
+    if (!this.isFirebaseReady()) throw new Error('Report service not available');
+    const user = this._requireAdmin();
+
+    const def = this.actions[action];
+    if (!def) throw new Error(`Unknown moderation action: ${action}`);
+
+    const fs = this.firebaseServices;
+    const reportRef = fs.doc(fs.collections.reports, reportId);
+    const text = note.trim() || null;
+    let updated = null;
+
+    await fs.runTransaction(async (tx) => {
+      const snap = await tx.get(reportRef);
+      if (!snap.exists()) throw new Error('Report not found.');
+      const report = snap.data();
+      if (report.status !== 'pending') throw new Error(`This report was already ${report.status}.`);
+
+      // reads must happen before writes in a Firestore transaction
+      let targetRef = null;
+      if (def.effect === 'unpublish-listing') {
+        // older reports on wizard-created BnBs were filed against 'houses'
+        const recorded = report.listingCollection || 'houses';
+        for (const name of [recorded, recorded === 'bnbs' ? 'houses' : 'bnbs']) {
+          const ref = fs.doc(fs.collections[name], report.listingId);
+          if ((await tx.get(ref)).exists()) {
+            targetRef = ref;
+            break;
+          }
+        }
+        if (!targetRef) throw new Error('Listing not found.');
+      } else if (def.effect === 'suspend-provider') {
+        if (!report.providerId) throw new Error('This listing has no provider on record.');
+        targetRef = fs.doc(fs.collections.users, report.providerId);
+        if (!(await tx.get(targetRef)).exists()) throw new Error('Provider not found.');
+      }
+
+      const resolution = { action, effect: def.effect || null, note: text, by: user.uid, at: fs.toTimestamp(new Date()) };
+      const changes = {
+        status: def.status,
+        resolution,
+        history: [...(report.history || []), this._historyEntry(action, user, { note: text })],
+        updatedAt: fs.serverTimestamp()
+      };
+      if (text) changes.notes = [...(report.notes || []), { text, by: user.uid, at: resolution.at }];
+      if (def.effect === 'unpublish-listing') changes.listingCollection = targetRef.parent.id;
+
+      tx.update(reportRef, changes);
+      if (def.effect === 'unpublish-listing') {
+        tx.update(targetRef, { public: false, unpublishedAt: fs.serverTimestamp(), unpublishedReason: `report:${reportId}` });
+      } else if (def.effect === 'suspend-provider') {
+        tx.update(targetRef, { suspended: true, suspendedAt: fs.serverTimestamp(), suspendedReason: `report:${reportId}` });
+      }
+
+      updated = { id: reportId, ...report, ...changes };
+    });
+
+    if (def.effect === 'suspend-provider') await this.setProviderListingsSuspended(updated.providerId, true);
+    return updated;
+  }
+
+  /**
+   * setProviderListingsSuspended(providerId, suspended)
+   * Suspending takes the provider's public listings off browse, marked
+   * hiddenBySuspension; lifting the suspension republishes only those, so
+   * listings unpublished for other reasons stay down.
+   */
+  async setProviderListingsSuspended(providerId, suspended) {
+    if (!providerId) return 0;
+    const { collections, query, where, getDocs, updateDoc, serverTimestamp, deleteField } = this.firebaseServices;
+    const counts = await Promise.all(['houses', 'bnbs'].map(async (name) => {
+      const snapshot = await getDocs(query(
+        collections[name],
+        where('providerId', '==', providerId),
+        suspended ? where('public', '==', true) : where('hiddenBySuspension', '==', true)
+      ));
+      await Promise.all(snapshot.docs.map(docSnap => updateDoc(docSnap.ref, suspended
+        ? { public: false, hiddenBySuspension: true, unpublishedAt: serverTimestamp(), unpublishedReason: 'provider-suspended', updatedAt: serverTimestamp() }
+        : { public: true, hiddenBySuspension: deleteField(), unpublishedReason: null, updatedAt: serverTimestamp() })));
+      return snapshot.size;
+    }));
+    return counts[0] + counts[1];
+  }
+
+  // ----------------------------
+  // Rendering helpers
+  // ----------------------------
+  renderReasonOptions() {
+    return this.reasons.map(r => `<option value="${r.value}">${escapeHtml(r.label)}</option>`).join('');
+  }
+
+  renderModerationCard(report) {
+    const filed = report.createdAt?.toDate?.().toLocaleString() || '';
+    const notes = (report.notes || [])
+      .map(n => `<li class="text-sm text-gray-700">${escapeHtml(n.text)}</li>`)
+      .join('');
+    const history = (report.history || [])
+      .map(h => `<li>${escapeHtml(h.action)} · ${h.at?.toDate?.().toLocaleString() || ''}</li>`)
+      .join('');
+    const screenshotUrl = safeScreenshotUrl(report.screenshotUrl);
+    const actions = Object.entries(this.actions)
+      .map(([action, def]) => {
+        const danger = def.effect ? 'bg-red-600 hover:bg-red-700 text-white' : 'bg-white hover:bg-gray-50 text-gray-700 border border-gray-300';
+        return `<button type="button" data-report-action="${action}" class="px-3 py-1 text-sm rounded-md ${danger}">${def.label}</button>`;
+      })
+      .join('');
+
+    return `
+      <article data-report="${report.id}" class="p-4 border-b border-gray-200">
+        <div class="flex justify-between items-start">
+          <div>
+            <p class="font-medium text-gray-900">${escapeHtml(this.reasonLabel(report.reason || report.type))}</p>
+            <a href="/house-detail.html?id=${encodeURIComponent(report.listingId || '')}" target="_blank" class="text-sm text-indigo-600">${escapeHtml(report.listingTitle || report.listingId || 'Listing')}</a>
+          </div>
+          <span class="text-xs text-gray-500">${filed}</span>
+        </div>
+        ${report.details ? `<p class="mt-2 text-gray-700">${escapeHtml(report.details)}</p>` : ''}
+        ${screenshotUrl ? `<a href="${escapeHtml(screenshotUrl)}" target="_blank" rel="noopener"><img src="${escapeHtml(screenshotUrl)}" alt="Screenshot" class="mt-2 h-24 rounded border"></a>` : ''}
+        ${notes ? `<ul class="mt-2 list-disc list-inside">${notes}</ul>` : ''}
+        <textarea data-report-note rows="2" class="mt-3 w-full px-3 py-2 border border-gray-300 rounded-md text-sm" placeholder="Resolution note (saved with the decision)"></textarea>
+        <div class="mt-2 flex flex-wrap gap-2">
+          ${actions}
+          <button type="button" data-report-action="note" class="px-3 py-1 text-sm rounded-md text-indigo-600 hover:bg-indigo-50">Add note only</button>
+        </div>
+        <details class="mt-2 text-xs text-gray-500">
+          <summary class="cursor-pointer">Audit trail</summary>
+          <ul class="mt-1">${history}</ul>
+        </details>
+      </article>`;
+  }
+}
+
+// Factory
+export function createReportService(firebaseServices = null, stateManager = null) {
+  return new ReportService(firebaseServices, stateManager);
+}
+
+// Default instance w/ window glue
+const defaultReportService = new ReportService();
+
+if (typeof window !== 'undefined') {
+  const initializeReportService = () => {
+    if (window.firebaseServices) defaultReportService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultReportService.setStateManager(window.state);
+    window.reportService = defaultReportService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeReportService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeReportService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultReportService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultReportService;
+export { ReportService, REPORT_REASONS, TRIAGE_ACTIONS };
@@ -0,0 +1,300 @@
+// js/reviewService.js
+// ==============================
+// Reviews & Ratings (feedback collection)
+// - Hunters with a completed booking leave one 1-5 star review per listing
+// - Listing docs carry ratingCount / ratingSum / ratingAverage, updated in the
+//   same transaction as the review so the aggregate never drifts
+// - Hosts (and admins) can post one reply per review
+// - Reviews page newest-first with a cursor
+// ==============================
+
+import { escapeHtml } from './html.js';
+
+const REVIEW_DEFAULTS = {
+  pageSize: 5,
+  minLength: 10,
+  maxLength: 2000
+};
+
+class ReviewService {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...REVIEW_DEFAULTS, ...options };
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  // One review per hunter per listing: the id makes the duplicate check transactional
+  reviewId(listingId, userId) {
+    return `${listingId}_${userId}`;
+  }
+
+  async _listingRef(listingId) {
+    const { doc, getDoc, collections } = this.firebaseServices;
+    for (const name of ['houses', 'bnbs']) {
+      const ref = doc(collections[name], listingId);
+      if ((await getDoc(ref)).exists()) return ref;
+    }
+    return null;
+  }
+
+  // ----------------------------
+  // Eligibility
+  // ----------------------------
+  /**
+   * canReview(listingId) -> { allowed, reason, booking }
+   * Requires a signed-in hunter with a completed stay and no existing review.
+   */
+  async canReview(listingId) {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) return { allowed: false, reason: 'Sign in to leave a review.', booking: null };
+    if (!this.isFirebaseReady()) return { allowed: false, reason: 'Reviews are unavailable offline.', booking: null };
+
+    const { collections, query, where, getDocs, doc, getDoc } = this.firebaseServices;
+    try {
+      const existing = await getDoc(doc(collections.feedback, this.reviewId(listingId, user.uid)));
+      if (existing.exists()) return { allowed: false, reason: 'You have already reviewed this place.', booking: null };
+
+      const snapshot = await getDocs(query(
+        collections.bookings,
+        where('userId', '==', user.uid),
+        where('listingId', '==', listingId)
+      ));
+      const booking = snapshot.docs
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+        .find(b => b.status === 'completed');
+
+      return booking
+        ? { allowed: true, reason: null, booking }
+        : { allowed: false, reason: 'Only guests with a completed stay can leave a review.', booking: null };
+    } catch (err) {
+      console.error('[Reviews] canReview failed:', err);
+      return { allowed: false, reason: 'Could not check review eligibility.', booking: null };
+    }
+  }
+
+  validate({ rating, text }) {
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) return 'Please choose a rating from 1 to 5 stars.';
+    const body = (text || '').trim();
+    if (body.length < this.options.minLength) return `Please write at least ${this.options.minLength} characters.`;
+    if (body.length > this.options.maxLength) return `Reviews are limited to ${this.options.maxLength} characters.`;
+    return null;
+  }
+
+  // ----------------------------
+  // Writes
+  // ----------------------------
+  /**
+   * submitReview(listingId, { rating, text })
+   * Creates the review and bumps the listing's rating aggregate atomically.
+   */
+  async submitReview(listingId, { rating, text }) {
+    if (!this.isFirebaseReady()) throw new Error('Review service not available');
+
+    const invalid = this.validate({ rating, text });
+    if (invalid) throw new Error(invalid);
+
+    const { allowed, reason, booking } = await this.canReview(listingId);
+    if (!allowed) throw new Error(reason);
+
+    const listingRef = await this._listingRef(listingId);
+    if (!listingRef) throw new Error('Listing not found.');
+
+    const fs = this.firebaseServices;
+    const user = this.stateManager.getCurrentUser();
+    const reviewRef = fs.doc(fs.collections.feedback, this.reviewId(listingId, user.uid));
+    const stars = Number(rating);
+    const review = {
+      listingId,
+      bookingId: booking.id,
+      providerId: booking.providerId || null,
+      userId: user.uid,
+      authorName: user.name || 'Guest',
+      rating: stars,
+      text: text.trim(),
+      reply: null,
+      createdAt: fs.serverTimestamp(),
+      updatedAt: fs.serverTimestamp()
+    };
+    let aggregate = null;
+
+    await fs.runTransaction(async (tx) => {
+      const [reviewSnap, listingSnap] = await Promise.all([tx.get(reviewRef), tx.get(listingRef)]);
+      if (reviewSnap.exists()) throw new Error('You have already reviewed this place.');
+
+      const listing = listingSnap.data() || {};
+      const ratingCount = (listing.ratingCount || 0) + 1;
+      const ratingSum = (listing.ratingSum || 0) + stars;
+      aggregate = { ratingCount, ratingSum, ratingAverage: Math.round((ratingSum / ratingCount) * 100) / 100 };
+
+      tx.set(reviewRef, review);
+      tx.update(listingRef, { ...aggregate, updatedAt: fs.serverTimestamp() });
+    });
+
+    this._syncListingAggregate(listingId, aggregate);
+    return { id: reviewRef.id, ...review, ...aggregate };
+  }
+
+  /**
+   * replyToReview(reviewId, text)
+   * Only the listing's host (or an admin) may reply, and only once.
+   */
+  async replyToReview(reviewId, text) {
+    if (!this.isFirebaseReady()) throw new Error('Review service not available');
+
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+
+    const body = (text || '').trim();
+    if (!body) throw new Error('Reply cannot be empty.');
+    if (body.length > this.options.maxLength) throw new Error(`Replies are limited to ${this.options.maxLength} characters.`);
+
+    const fs = this.firebaseServices;
+    const reviewRef = fs.doc(fs.collections.feedback, reviewId);
+    const snap = await fs.getDoc(reviewRef);
+    if (!snap.exists()) throw new Error('Review not found.');
+
+    const review = snap.data();
+    if (!this.canReply(review, user)) throw new Error('Only the host can reply to this review.');
+
+    const reply = { text: body, by: user.uid, at: fs.toTimestamp(new Date()) };
+    await fs.updateDoc(reviewRef, { reply, updatedAt: fs.serverTimestamp() });
+    return { id: reviewId, ...review, reply };
+  }
+
+  canReply(review, user = this.stateManager?.getCurrentUser?.()) {
+    if (!review || !user || review.reply) return false;
+    return review.providerId === user.uid || user.role === 'admin';
+  }
+
+  // ----------------------------
+  // Reads
+  // ----------------------------
+  /**
+   * getReviews(listingId, { cursor, pageSize })
+   * Returns { reviews, cursor, hasMore }; pass the cursor back for the next page.
+   * Needs a composite index on feedback(listingId ASC, createdAt DESC).
+   */
+  async getReviews(listingId, { cursor = null, pageSize = this.options.pageSize } = {}) {
+    if (!listingId || !this.isFirebaseReady()) return { reviews: [], cursor: null, hasMore: false };
+
+    const { collections, query, where, orderBy, limit, startAfter, getDocs } = this.firebaseServices;
+    const constraints = [where('listingId', '==', listingId), orderBy('createdAt', 'desc')];
+    if (cursor) constraints.push(startAfter(cursor));
+    constraints.push(limit(pageSize + 1));
+
+    try {
+      const snapshot = await getDocs(query(collections.feedback, ...constraints));
+      const docs = snapshot.docs.slice(0, pageSize);
+      return {
+        reviews: docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })),
+        cursor: docs[docs.length - 1] || null,
+        hasMore: snapshot.docs.length > pageSize
+      };
+    } catch (err) {
+      console.error('[Reviews] getReviews failed:', err);
+      return { reviews: [], cursor: null, hasMore: false };
+    }
+  }
+
+  _syncListingAggregate(listingId, aggregate) {
+    const listings = this.stateManager?.getState?.().listings;
+    if (!listings || !aggregate) return;
+    this.stateManager.updateState({
+      listings: listings.map(l => (l.id === listingId ? { ...l, ...aggregate } : l))
+    });
+  }
+
+  // ----------------------------
+  // Rendering helpers
+  // ----------------------------
+  formatRating(listing) {
+    const count = listing?.ratingCount || 0;
+    if (!count) return 'No reviews yet';
+    return `${Number(listing.ratingAverage).toFixed(1)} · ${count} review${count === 1 ? '' : 's'}`;
+  }
+
+  renderStars(rating) {
+    const full = Math.round(Number(rating) || 0);
+    return `<span class="text-yellow-400" aria-label="${full} out of 5 stars">${'★'.repeat(full)}</span>` +
+           `<span class="text-gray-300" aria-hidden="true">${'★'.repeat(5 - full)}</span>`;
+  }
+
+  renderReview(review, { canReply = false } = {}) {
+    const date = review.createdAt?.toDate?.().toLocaleDateString() || '';
+    const reply = review.reply
+      ? `<div class="mt-3 ml-4 pl-3 border-l-2 border-indigo-200 text-sm text-gray-700">
+           <p class="font-medium text-gray-900">Response from host</p>
+           <p>${escapeHtml(review.reply.text)}</p>
+         </div>`
+      : '';
+    const replyForm = canReply
+      ? `<form data-reply-form="${review.id}" class="mt-3 ml-4">
+           <textarea name="reply" rows="2" required class="w-full px-3 py-2 border border-gray-300 rounded-md text-sm" placeholder="Reply to this review"></textarea>
+           <button type="submit" class="mt-2 px-3 py-1 text-sm rounded-md bg-indigo-600 text-white hover:bg-indigo-700">Post reply</button>
+         </form>`
+      : '';
+
+    return `
+      <article data-review="${review.id}" class="py-4 border-b border-gray-200">
+        <div class="flex justify-between items-center">
+          <p class="font-medium text-gray-900">${escapeHtml(review.authorName || 'Guest')}</p>
+          <span class="text-sm text-gray-500">${date}</span>
+        </div>
+        <div class="text-sm">${this.renderStars(review.rating)}</div>
+        <p class="mt-2 text-gray-700">${escapeHtml(review.text)}</p>
+        ${reply}
+        ${replyForm}
+      </article>`;
+  }
+}
+
+// Factory
+export function createReviewService(firebaseServices = null, stateManager = null, options = {}) {
+  return new ReviewService(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultReviewService = new ReviewService();
+
+if (typeof window !== 'undefined') {
+  const initializeReviewService = () => {
+    if (window.firebaseServices) defaultReviewService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultReviewService.setStateManager(window.state);
+    window.reviewService = defaultReviewService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeReviewService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeReviewService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultReviewService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultReviewService;
+export { ReviewService, REVIEW_DEFAULTS };
@@ -0,0 +1,487 @@
+// js/savedSearchService.js
+// ==============================
+// Saved Searches (savedSearches + notifications collections)
+// - Hunters save a named filter set from browse.html / bnb.html
+// - While a hunter has the app open, listings published since their searches
+//   were last checked arrive on a feed of their own (public listings whose
+//   createdAt or publishedAt is newer) and are checked against the searches
+//   with the same matchesFilters() the browse page uses (plus the text query)
+// - A match becomes notifications/{searchId}_{listingId}, so a listing only
+//   alerts once per search however often it is seen; searches with browser
+//   alerts on also raise a system notification when permission was granted,
+//   shown by the service worker through the push path (js/pushService.js)
+// - Matching runs in the browser, not on a server: alerts only happen while
+//   the hunter has Kejabase open in a tab. Listings published while it is
+//   closed are matched (and alerted) on the next visit, from lastCheckedAt
+// ==============================
+
+import { createSearchIndex } from './searchIndex.js';
+import { toListing } from './listings.js';
+import { escapeHtml } from './html.js';
+import pushService, { buildPushPayload } from './pushService.js';
+
+// Listings created public only have createdAt; ones an admin publishes later get publishedAt
+const PUBLISHED_FIELDS = ['createdAt', 'publishedAt'];
+
+const SAVED_SEARCH_DEFAULTS = {
+  maxSearches: 20,
+  maxNameLength: 60,
+  notificationLimit: 50
+};
+
+// The parts of state.filters a search keeps; anything else is view state
+const SAVED_FILTER_KEYS = [
+  'query', 'location', 'type', 'priceRange', 'propertyTypes',
+  'bedrooms', 'bathrooms', 'amenities', 'near', 'bounds'
+];
+
+// Shown next to every alerts toggle and over the dashboard's matches
+const ALERTS_HINT = 'Alerts arrive while Kejabase is open in one of your tabs; anything listed while it is closed shows up on your next visit.';
+
+const millis = (ts) => ts?.toMillis?.() || 0;
+
+// Admin publishing stamps publishedAt; listings created public only have createdAt
+const publishedMillis = (listing) => millis(listing.publishedAt) || millis(listing.createdAt);
+
+class SavedSearchService {
+  constructor(firebaseServices = null, stateManager = null, options = {}) {
+    this.firebaseServices = firebaseServices;
+    this.stateManager = stateManager;
+    this.options = { ...SAVED_SEARCH_DEFAULTS, ...options };
+    this.searches = [];
+    this.watchers = [];
+    this.alerted = new Set();    // notification ids already written this session
+  }
+
+  // ----------------------------
+  // Wiring
+  // ----------------------------
+  setFirebaseServices(firebaseServices) {
+    this.firebaseServices = firebaseServices;
+    return this;
+  }
+
+  setStateManager(stateManager) {
+    this.stateManager = stateManager;
+    return this;
+  }
+
+  isFirebaseReady() {
+    return !!(this.firebaseServices &&
+              this.firebaseServices.ready &&
+              this.firebaseServices.collections);
+  }
+
+  _requireUser() {
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) throw new Error('Please sign in to continue.');
+    return user;
+  }
+
+  _searchRef(searchId) {
+    const { doc, collections } = this.firebaseServices;
+    return doc(collections.savedSearches, searchId);
+  }
+
+  notificationId(searchId, listingId) {
+    return `${searchId}_${listingId}`;
+  }
+
+  // ----------------------------
+  // Filters
+  // ----------------------------
+  // Firestore cannot store Infinity, so an open price range is saved as null
+  serializeFilters(filters = {}) {
+    const saved = {};
+    SAVED_FILTER_KEYS.forEach(key => {
+      if (filters[key] !== undefined) saved[key] = filters[key];
+    });
+    const [min = 0, max = Infinity] = filters.priceRange || [];
+    saved.priceRange = [Number(min) || 0, Number.isFinite(max) && max > 0 ? Number(max) : null];
+    saved.query = (filters.query || '').trim();
+    return saved;
+  }
+
+  // -> a state.filters object; a search saved on bnb.html keeps matching BnBs only
+  toFilters(search) {
+    const saved = search?.filters || {};
+    return {
+      ...saved,
+      priceRange: [saved.priceRange?.[0] || 0, saved.priceRange?.[1] ?? Infinity],
+      type: search?.scope || saved.type || ''
+    };
+  }
+
+  hasCriteria(filters = {}) {
+    const [min, max] = filters.priceRange || [];
+    return !!((filters.query || '').trim() || filters.location || filters.type ||
+      min > 0 || (Number.isFinite(max) && max > 0) ||
+      filters.bedrooms > 0 || filters.bathrooms > 0 ||
+      filters.propertyTypes?.length || filters.amenities?.length ||
+      filters.near || filters.bounds);
+  }
+
+  // One-line summary for lists, e.g. "Kilimani · $100–$400 · 2+ bd · wifi"
+  describe(search) {
+    const f = this.toFilters(search);
+    const parts = [];
+    if (f.query) parts.push(`"${f.query}"`);
+    if (f.location) parts.push(f.location);
+    if (f.type) parts.push(f.type === 'bnb' ? 'BnBs' : 'Houses');
+    if (f.propertyTypes?.length) parts.push(f.propertyTypes.join('/'));
+    const [min, max] = f.priceRange;
+    if (min > 0 && Number.isFinite(max)) parts.push(`$${min.toLocaleString()}–$${max.toLocaleString()}`);
+    else if (min > 0) parts.push(`from $${min.toLocaleString()}`);
+    else if (Number.isFinite(max)) parts.push(`up to $${max.toLocaleString()}`);
+    if (f.bedrooms > 0) parts.push(`${f.bedrooms}+ bd`);
+    if (f.bathrooms > 0) parts.push(`${f.bathrooms}+ ba`);
+    if (f.amenities?.length) parts.push(f.amenities.join(', '));
+    if (f.near?.radiusKm) parts.push(`within ${f.near.radiusKm} km`);
+    if (f.bounds) parts.push('map area');
+    return parts.join(' · ') || 'All listings';
+  }
+
+  matches(search, listing) {
+    const filters = this.toFilters(search);
+    if (!this.stateManager.matchesFilters(listing, filters)) return false;
+    return !filters.query || createSearchIndex().add(listing).search(filters.query).length > 0;
+  }
+
+  // ----------------------------
+  // Searches
+  // ----------------------------
+  /**
+   * saveSearch(name, filters, { scope, browserAlerts })
+   * scope is the page's listing type restriction ('bnb' on bnb.html).
+   * Returns the new search id.
+   */
+  async saveSearch(name, filters, { scope = null, browserAlerts = false } = {}) {
+    if (!this.isFirebaseReady()) throw new Error('Saved searches are not available offline.');
+    const user = this._requireUser();
+
+    const title = (name || '').trim();
+    if (!title) throw new Error('Give your search a name.');
+    if (title.length > this.options.maxNameLength) throw new Error(`Names are limited to ${this.options.maxNameLength} characters.`);
+    if (!this.hasCriteria({ ...filters, type: scope || filters?.type })) {
+      throw new Error('Set at least one filter or search term before saving.');
+    }
+
+    const existing = await this.getSavedSearches();
+    if (existing.length >= this.options.maxSearches) {
+      throw new Error(`You can keep up to ${this.options.maxSearches} saved searches. Delete one to save another.`);
+    }
+
+    const fs = this.firebaseServices;
+    const ref = await fs.addDoc(fs.collections.savedSearches, {
+      userId: user.uid,
+      name: title,
+      scope: scope || null,
+      filters: this.serializeFilters(filters),
+      alerts: { inApp: true, browser: !!browserAlerts },
+      lastCheckedAt: fs.serverTimestamp(),
+      createdAt: fs.serverTimestamp()
+    });
+    return ref.id;
+  }
+
+  async getSavedSearches() {
+    if (!this.isFirebaseReady()) return [];
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!user) return [];
+    const { collections, query, where, getDocs } = this.firebaseServices;
+    const snapshot = await getDocs(query(collections.savedSearches, where('userId', '==', user.uid)));
+    return snapshot.docs
+      .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+      .sort((a, b) => millis(b.createdAt) - millis(a.createdAt));
+  }
+
+  async getSearch(searchId) {
+    if (!this.isFirebaseReady() || !searchId) return null;
+    const snap = await this.firebaseServices.getDoc(this._searchRef(searchId));
+    return snap.exists() ? { id: snap.id, ...snap.data() } : null;
+  }
+
+  /**
+   * subscribeSearches(callback)
+   * callback(searches) on every change, newest first. Returns the unsubscribe function.
+   */
+  subscribeSearches(callback) {
+    if (!this.isFirebaseReady()) return () => {};
+    const user = this._requireUser();
+    const { collections, query, where, onSnapshot } = this.firebaseServices;
+
+    return onSnapshot(
+      query(collections.savedSearches, where('userId', '==', user.uid)),
+      (snapshot) => callback(snapshot.docs
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+        .sort((a, b) => millis(b.createdAt) - millis(a.createdAt))),
+      (err) => console.error('[SavedSearch] search listener failed:', err)
+    );
+  }
+
+  async deleteSearch(searchId) {
+    if (!this.isFirebaseReady()) throw new Error('Saved searches are not available offline.');
+    this._requireUser();
+    await this.firebaseServices.deleteDoc(this._searchRef(searchId));
+  }
+
+  async setBrowserAlerts(searchId, enabled) {
+    if (!this.isFirebaseReady()) throw new Error('Saved searches are not available offline.');
+    if (enabled && !(await this.requestBrowserPermission())) {
+      throw new Error('Notifications are blocked for this site. Allow them in your browser settings first.');
+    }
+    await this.firebaseServices.updateDoc(this._searchRef(searchId), { 'alerts.browser': !!enabled });
+  }
+
+  // ----------------------------
+  // Matching new listings
+  // ----------------------------
+  /**
+   * startWatching()
+   * For signed-in hunters: keeps their searches live and checks every listing
+   * published since the oldest search was last checked, first the backlog and
+   * then each one as it is published.
+   */
+  startWatching() {
+    this.stopWatching();
+    const user = this.stateManager?.getCurrentUser?.();
+    if (!this.isFirebaseReady() || !user || this.stateManager.getState().role !== 'hunter') return this;
+
+    let caughtUp = false;
+    this.watchers.push(this.subscribeSearches((searches) => {
+      this.searches = searches;
+      if (caughtUp) return;
+      caughtUp = true;
+      const checked = searches.map(search => millis(search.lastCheckedAt) || millis(search.createdAt)).filter(Boolean);
+      const since = checked.length ? Math.min(...checked) : Date.now();
+      this._watchPublished(since, () => this._markChecked(searches));
+    }));
+    return this;
+  }
+
+  // One listener per collection and PUBLISHED_FIELDS entry; onCaughtUp runs
+  // once every listener has delivered (and checked) its first snapshot
+  _watchPublished(since, onCaughtUp) {
+    const { collections, query, where, onSnapshot } = this.firebaseServices;
+    const feeds = ['houses', 'bnbs'].flatMap(name => PUBLISHED_FIELDS.map(field => ({ name, field })));
+    let pending = feeds.length;
+    const settle = (feed) => {
+      if (feed.settled) return;
+      feed.settled = true;
+      if (--pending === 0) onCaughtUp();
+    };
+
+    feeds.forEach(feed => {
+      this.watchers.push(onSnapshot(
+        query(collections[feed.name], where('public', '==', true), where(feed.field, '>', new Date(since))),
+        async (snapshot) => {
+          const listings = snapshot.docChanges()
+            .filter(change => change.type !== 'removed')
+            .map(change => toListing(change.doc, feed.name));
+          await this.checkListings(listings);
+          settle(feed);
+        },
+        (err) => {
+          console.error(`[SavedSearch] ${feed.name} ${feed.field} feed failed:`, err);
+          settle(feed);
+        }
+      ));
+    });
+  }
+
+  stopWatching() {
+    this.watchers.forEach(unsubscribe => {
+      try { unsubscribe(); } catch (err) { console.error(err); }
+    });
+    this.watchers = [];
+    this.searches = [];
+    // the next hunter signing in on this tab starts fresh
+    this.alerted.clear();
+    return this;
+  }
+
+  /**
+   * checkListings(listings) -> notifications written
+   * Only public listings published after the search was saved (or last
+   * checked) count; unsaved searches (pending createdAt) are skipped.
+   */
+  async checkListings(listings) {
+    const user = this.stateManager?.getCurrentUser?.();
+    const published = (listings || []).filter(l => l.public === true);
+    if (!user || !published.length || !this.searches.length) return [];
+
+    const created = [];
+    for (const search of this.searches) {
+      const since = millis(search.lastCheckedAt) || millis(search.createdAt);
+      if (!since) continue;
+      for (const listing of published) {
+        if (publishedMillis(listing) <= since || !this.matches(search, listing)) continue;
+        try {
+          const notification = await this._notify(user, search, listing);
+          if (notification) created.push(notification);
+        } catch (err) {
+          console.error('[SavedSearch] Failed to record match:', err);
+        }
+      }
+    }
+    return created;
+  }
+
+  async _notify(user, search, listing) {
+    const id = this.notificationId(search.id, listing.id);
+    if (this.alerted.has(id)) return null;
+    this.alerted.add(id);
+
+    const fs = this.firebaseServices;
+    const ref = fs.doc(fs.collections.notifications, id);
+    if ((await fs.getDoc(ref)).exists()) return null;
+
+    const notification = {
+      userId: user.uid,
+      type: 'saved-search',
+      searchId: search.id,
+      searchName: search.name || '',
+      listingId: listing.id,
+      listingType: listing.type || null,
+      listingTitle: listing.title || '',
+      read: false,
+      createdAt: fs.serverTimestamp()
+    };
+    await fs.setDoc(ref, notification);
+    if (search.alerts?.browser) this._showBrowserNotification(notification);
+    return { id, ...notification };
+  }
+
+  async _markChecked(searches) {
+    const { updateDoc, serverTimestamp } = this.firebaseServices;
+    await Promise.all(searches.map(search => updateDoc(this._searchRef(search.id), { lastCheckedAt: serverTimestamp() })
+      .catch(err => console.error('[SavedSearch] Failed to update lastCheckedAt:', err))));
+  }
+
+  // ----------------------------
+  // Browser notifications
+  // ----------------------------
+  browserAlertsSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  }
+
+  async requestBrowserPermission() {
+    if (!this.browserAlertsSupported()) return false;
+    if (Notification.permission === 'granted') return true;
+    if (Notification.permission === 'denied') return false;
+    return (await Notification.requestPermission()) === 'granted';
+  }
+
+  async _showBrowserNotification(notification) {
+    if (!this.browserAlertsSupported() || Notification.permission !== 'granted') return;
+    try {
+      await pushService.deliverLocally(buildPushPayload('saved-search', notification));
+    } catch (err) {
+      console.error('[SavedSearch] Browser notification failed:', err);
+    }
+  }
+
+  // ----------------------------
+  // Notifications
+  // ----------------------------
+  /**
+   * subscribeNotifications(callback)
+   * callback(notifications) newest first, capped at options.notificationLimit.
+   */
+  subscribeNotifications(callback) {
+    if (!this.isFirebaseReady()) return () => {};
+    const user = this._requireUser();
+    const { collections, query, where, onSnapshot } = this.firebaseServices;
+
+    return onSnapshot(
+      query(collections.notifications, where('userId', '==', user.uid)),
+      (snapshot) => callback(snapshot.docs
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+        .sort((a, b) => millis(b.createdAt) - millis(a.createdAt))
+        .slice(0, this.options.notificationLimit)),
+      (err) => console.error('[SavedSearch] notification listener failed:', err)
+    );
+  }
+
+  unreadCount(notifications) {
+    return (notifications || []).filter(n => !n.read).length;
+  }
+
+  async markRead(notificationIds) {
+    if (!this.isFirebaseReady() || !notificationIds?.length) return;
+    const { doc, updateDoc, collections } = this.firebaseServices;
+    try {
+      await Promise.all(notificationIds.map(id => updateDoc(doc(collections.notifications, id), { read: true })));
+    } catch (err) {
+      console.error('[SavedSearch] markRead failed:', err);
+    }
+  }
+
+  // ----------------------------
+  // Rendering helpers
+  // ----------------------------
+  searchUrl(search) {
+    const page = search.scope === 'bnb' ? '/bnb.html' : '/browse.html';
+    return `${page}?search=${encodeURIComponent(search.id)}`;
+  }
+
+  renderSearchItem(search) {
+    const browser = !!search.alerts?.browser;
+    return `
+      <li class="py-3 flex items-start justify-between">
+        <div class="min-w-0">
+          <a href="${this.searchUrl(search)}" class="font-medium text-indigo-600 hover:text-indigo-500">${escapeHtml(search.name || 'Saved search')}</a>
+          <p class="text-xs text-gray-500 truncate">${escapeHtml(this.describe(search))}</p>
+        </div>
+        <div class="ml-4 flex items-center space-x-3 text-sm">
+          <label class="flex items-center text-gray-600" title="${ALERTS_HINT}">
+            <input type="checkbox" data-search-browser="${escapeHtml(search.id)}" class="mr-1" ${browser ? 'checked' : ''}>
+            Browser alerts
+          </label>
+          <button type="button" data-search-delete="${escapeHtml(search.id)}" class="text-red-600 hover:text-red-500">Delete</button>
+        </div>
+      </li>`;
+  }
+
+  renderNotification(notification) {
+    const time = notification.createdAt?.toDate?.().toLocaleString() || '';
+    return `
+      <li class="py-2 ${notification.read ? '' : 'font-medium'}">
+        <a href="/house-detail.html?id=${encodeURIComponent(notification.listingId)}" data-notification="${notification.id}" class="block hover:bg-gray-50">
+          <span class="text-gray-900">${escapeHtml(notification.listingTitle || 'New listing')}</span>
+          <span class="block text-xs text-gray-500">Matches "${escapeHtml(notification.searchName)}"${time ? ` · ${time}` : ''}</span>
+        </a>
+      </li>`;
+  }
+}
+
+// Factory
+export function createSavedSearchService(firebaseServices = null, stateManager = null, options = {}) {
+  return new SavedSearchService(firebaseServices, stateManager, options);
+}
+
+// Default instance w/ window glue
+const defaultSavedSearchService = new SavedSearchService();
+
+if (typeof window !== 'undefined') {
+  const initializeSavedSearchService = () => {
+    if (window.firebaseServices) defaultSavedSearchService.setFirebaseServices(window.firebaseServices);
+    if (window.state) defaultSavedSearchService.setStateManager(window.state);
+    window.savedSearches = defaultSavedSearchService;
+  };
+
+  if (window.firebaseServices?.ready) {
+    initializeSavedSearchService();
+  } else {
+    window.addEventListener('firebaseReady', () => {
+      setTimeout(initializeSavedSearchService, 50);
+    }, { once: true });
+  }
+
+  window.addEventListener('stateManagerReady', (e) => {
+    if (e.detail?.stateManager) defaultSavedSearchService.setStateManager(e.detail.stateManager);
+  });
+}
+
+export default defaultSavedSearchService;
+export { SavedSearchService, SAVED_SEARCH_DEFAULTS, ALERTS_HINT };
@@ -0,0 +1,297 @@
+// js/searchIndex.js
+// ==============================
+// Client-side Listing Search
+// - Inverted index over title, description, city/state/location and amenities
+// - Tokens are lower-cased, diacritic-folded and lightly stemmed
+// - Typo tolerance: 1 edit for words of 4-7 letters, 2 edits from 8 letters;
+//   the last query word also matches as a prefix (search-as-you-type)
+// - Results are ranked by field weight x idf; every query word must match
+// - save()/load() persist the index to IndexedDB so search works offline
+// - searchTokens(listing): the terms listing docs store for online search
+// ==============================
+
+import { createDatabase, toStorable } from './idb.js';
+
+const SEARCH_DEFAULTS = {
+  dbName: 'kejabase-search',
+  storeName: 'search-index',
+  key: 'listings'
+};
+
+// bump when tokenizing or the stored shape changes; stale stores are ignored
+const INDEX_VERSION = 1;
+
+const FIELD_WEIGHTS = {
+  title: 3,
+  location: 2,
+  amenities: 1.5,
+  description: 1
+};
+
+// how much a match counts relative to an exact term hit
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.8, fuzzy: 0.6 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'for', 'in', 'is', 'near', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+const fold = (text) => String(text ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+// Light English suffix stripping; keeps stems at 3+ letters
+const stem = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  for (const suffix of ['ing', 'ed', 'ly']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) return word.slice(0, -suffix.length);
+  }
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+};
+
+const tokenize = (text) => fold(text)
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !STOP_WORDS.has(word))
+  .map(stem);
+
+// Terms stored on each listing doc (searchTokens, see listingService.js) so
+// Firestore can pick text-search candidates with array-contains-any. Title and
+// location words also store their prefixes, so a half-typed place name finds
+// its listings before the SearchIndex ranks them.
+const TOKEN_PREFIX_FIELDS = ['title', 'location'];
+const MIN_PREFIX_LENGTH = 3;
+const MAX_SEARCH_TOKENS = 500;
+
+const listingFields = (listing) => ({
+  title: listing.title || listing.name,
+  location: [listing.location, listing.address, listing.city, listing.state].filter(Boolean).join(' '),
+  amenities: (listing.amenities || []).join(' '),
+  description: listing.description
+});
+
+const searchTokens = (listing) => {
+  const tokens = new Set();
+  Object.entries(listingFields(listing)).forEach(([field, text]) => {
+    tokenize(text).forEach(term => {
+      tokens.add(term);
+      if (!TOKEN_PREFIX_FIELDS.includes(field)) return;
+      for (let length = MIN_PREFIX_LENGTH; length < term.length; length++) tokens.add(term.slice(0, length));
+    });
+  });
+  return [...tokens].slice(0, MAX_SEARCH_TOKENS);
+};
+
+// Optimal-string-alignment distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+const allowedEdits = (word) => {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+};
+
+class SearchIndex {
+  constructor(options = {}) {
+    this.options = { ...SEARCH_DEFAULTS, ...options };
+    this.db = createDatabase(this.options.dbName, { [this.options.storeName]: {} });
+    this.clear();
+  }
+
+  clear() {
+    this.docs = new Map();       // id -> listing
+    this.terms = new Map();      // term -> Map(id -> weight)
+    this.docTerms = new Map();   // id -> [terms], so a doc can be removed cheaply
+    return this;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  // ----------------------------
+  // Indexing
+  // ----------------------------
+  fieldsOf(listing) {
+    return listingFields(listing);
+  }
+
+  build(listings = []) {
+    this.clear();
+    listings.forEach(listing => this.add(listing));
+    return this;
+  }
+
+  add(listing) {
+    if (!listing?.id) return this;
+    if (this.docs.has(listing.id)) this.remove(listing.id);
+
+    const weights = new Map();
+    Object.entries(this.fieldsOf(listing)).forEach(([field, text]) => {
+      tokenize(text).forEach(term => {
+        weights.set(term, (weights.get(term) || 0) + FIELD_WEIGHTS[field]);
+      });
+    });
+
+    weights.forEach((weight, term) => {
+      if (!this.terms.has(term)) this.terms.set(term, new Map());
+      this.terms.get(term).set(listing.id, weight);
+    });
+    this.docs.set(listing.id, listing);
+    this.docTerms.set(listing.id, [...weights.keys()]);
+    return this;
+  }
+
+  remove(id) {
+    (this.docTerms.get(id) || []).forEach(term => {
+      const postings = this.terms.get(term);
+      postings?.delete(id);
+      if (postings && !postings.size) this.terms.delete(term);
+    });
+    this.docs.delete(id);
+    this.docTerms.delete(id);
+    return this;
+  }
+
+  /**
+   * applyChanges({ added, modified, removed })
+   * Takes the StateManager real-time change set for listings.
+   */
+  applyChanges({ added = [], modified = [], removed = [] } = {}) {
+    removed.forEach(listing => this.remove(listing.id));
+    [...added, ...modified].forEach(listing => this.add(listing));
+    return this;
+  }
+
+  // ----------------------------
+  // Querying
+  // ----------------------------
+  // term -> Map(id -> weight) for every indexed term that matches one query word
+  _matchWord(word, { prefix = false } = {}) {
+    const matches = new Map();
+    const consider = (postings, factor) => {
+      const idf = Math.log(1 + this.docs.size / postings.size);
+      postings.forEach((weight, id) => {
+        matches.set(id, Math.max(matches.get(id) || 0, weight * idf * factor));
+      });
+    };
+
+    const max = allowedEdits(word);
+    this.terms.forEach((postings, term) => {
+      if (term === word) consider(postings, MATCH_WEIGHTS.exact);
+      else if (prefix && word.length >= 2 && term.startsWith(word)) consider(postings, MATCH_WEIGHTS.prefix);
+      else if (max && editDistance(word, term, max) <= max) consider(postings, MATCH_WEIGHTS.fuzzy);
+    });
+    return matches;
+  }
+
+  /**
+   * search(query, { filter, limit }) -> [{ id, listing, score }]
+   * filter(listing) narrows the results (e.g. stateManager.matchesFilters).
+   * An empty query returns every listing that passes the filter, score 0.
+   */
+  search(query, { filter = null, limit = Infinity } = {}) {
+    const words = tokenize(query);
+    const accept = (listing) => !filter || filter(listing);
+
+    if (!words.length) {
+      return [...this.docs.values()]
+        .filter(accept)
+        .slice(0, limit)
+        .map(listing => ({ id: listing.id, listing, score: 0 }));
+    }
+
+    let scores = null;
+    words.forEach((word, i) => {
+      const matches = this._matchWord(word, { prefix: i === words.length - 1 });
+      if (scores === null) {
+        scores = matches;
+        return;
+      }
+      const next = new Map();
+      scores.forEach((score, id) => {
+        if (matches.has(id)) next.set(id, score + matches.get(id));
+      });
+      scores = next;
+    });
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, listing: this.docs.get(id), score }))
+      .filter(result => accept(result.listing))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // ----------------------------
+  // IndexedDB persistence
+  // ----------------------------
+  _withStore(mode, run) {
+    return this.db.withStore(this.options.storeName, mode, run);
+  }
+
+  async save() {
+    const snapshot = {
+      version: INDEX_VERSION,
+      savedAt: Date.now(),
+      docs: [...this.docs.values()].map(listing => toStorable(listing)),
+      terms: [...this.terms.entries()].map(([term, postings]) => [term, [...postings.entries()]])
+    };
+    try {
+      await this._withStore('readwrite', store => store.put(snapshot, this.options.key));
+      return true;
+    } catch (err) {
+      console.error('[Search] Failed to persist index:', err);
+      return false;
+    }
+  }
+
+  async load() {
+    try {
+      const snapshot = await this._withStore('readonly', store => store.get(this.options.key));
+      if (!snapshot || snapshot.version !== INDEX_VERSION) return false;
+
+      this.clear();
+      snapshot.docs.forEach(listing => this.docs.set(listing.id, listing));
+      snapshot.terms.forEach(([term, postings]) => {
+        this.terms.set(term, new Map(postings));
+        postings.forEach(([id]) => {
+          if (!this.docTerms.has(id)) this.docTerms.set(id, []);
+          this.docTerms.get(id).push(term);
+        });
+      });
+      return true;
+    } catch (err) {
+      console.error('[Search] Failed to load persisted index:', err);
+      return false;
+    }
+  }
+}
+
+// Factory
+export function createSearchIndex(options = {}) {
+  return new SearchIndex(options);
+}
+
+export default createSearchIndex;
+export { SearchIndex, tokenize, searchTokens, SEARCH_DEFAULTS };
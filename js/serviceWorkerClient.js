@@ -0,0 +1,119 @@
+// js/serviceWorkerClient.js
+// ==============================
+// Service worker registration + update prompt
+// - register(): registers /service-worker.js (the root, so it controls every
+//   page) and checks for updates when the tab comes back into view
+// - A new version installs and then waits; this shows a "new version
+//   available" bar, and Reload tells the waiting worker to take over
+//   (skip-waiting), then reloads once it controls the page
+// ==============================
+
+const SW_DEFAULTS = {
+  url: '/service-worker.js',
+  updateInterval: 60 * 60 * 1000
+};
+
+class ServiceWorkerClient {
+  constructor(options = {}) {
+    this.options = { ...SW_DEFAULTS, ...options };
+    this.registration = null;
+    this.reloading = false;
+    this.lastUpdateCheck = 0;
+  }
+
+  isSupported() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+  }
+
+  async register() {
+    if (!this.isSupported() || this.registration) return this.registration;
+    try {
+      // updateViaCache: 'none' so a new precache-manifest.js is never missed
+      this.registration = await navigator.serviceWorker.register(this.options.url, { updateViaCache: 'none' });
+    } catch (err) {
+      console.error('[ServiceWorker] Registration failed:', err);
+      return null;
+    }
+
+    this.lastUpdateCheck = Date.now(); // register() just checked
+    this._watch(this.registration);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      // the first install also claims the page; only reload when asked to
+      if (!this.reloading) return;
+      window.location.reload();
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') this.checkForUpdate();
+    });
+    return this.registration;
+  }
+
+  checkForUpdate() {
+    if (!this.registration || Date.now() - this.lastUpdateCheck < this.options.updateInterval) return;
+    this.lastUpdateCheck = Date.now();
+    this.registration.update().catch(err => console.error('[ServiceWorker] Update check failed:', err));
+  }
+
+  _watch(registration) {
+    // an update that finished installing before this page loaded
+    if (registration.waiting && navigator.serviceWorker.controller) this.showUpdatePrompt(registration.waiting);
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        // with no controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showUpdatePrompt(worker);
+      });
+    });
+  }
+
+  // ----------------------------
+  // Update prompt
+  // ----------------------------
+  showUpdatePrompt(worker) {
+    if (!document.body) return;
+    document.getElementById('sw-update')?.remove();
+
+    const bar = document.createElement('div');
+    bar.id = 'sw-update';
+    bar.className = 'flex items-center space-x-2 px-4 py-2 rounded-lg shadow-md bg-gray-800 text-white text-sm';
+    bar.setAttribute('role', 'status');
+    // output.css has no fixed/z-index utilities
+    bar.style.cssText = 'position: fixed; right: 1rem; bottom: 1rem; z-index: 50;';
+    bar.innerHTML = `
+      <span>A new version of Kejabase is available.</span>
+      <button type="button" data-sw-reload class="px-3 py-1 rounded-md bg-indigo-600 hover:bg-indigo-700 font-medium">Reload</button>
+      <button type="button" data-sw-dismiss class="px-2 py-1 text-gray-300 hover:text-white" aria-label="Dismiss">✕</button>`;
+    document.body.appendChild(bar);
+
+    bar.querySelector('[data-sw-reload]').addEventListener('click', (e) => {
+      e.currentTarget.disabled = true;
+      e.currentTarget.textContent = 'Updating…';
+      this.applyUpdate(worker);
+    });
+    // the waiting version takes over by itself once every tab is closed
+    bar.querySelector('[data-sw-dismiss]').addEventListener('click', () => bar.remove());
+  }
+
+  applyUpdate(worker = this.registration?.waiting) {
+    if (!worker) return;
+    this.reloading = true;
+    worker.postMessage({ type: 'skip-waiting' });
+  }
+}
+
+// Factory
+export function createServiceWorkerClient(options = {}) {
+  return new ServiceWorkerClient(options);
+}
+
+// Default instance
+const defaultServiceWorkerClient = new ServiceWorkerClient();
+
+if (typeof window !== 'undefined') {
+  window.serviceWorkerClient = defaultServiceWorkerClient;
+}
+
+export default defaultServiceWorkerClient;
+export { ServiceWorkerClient, SW_DEFAULTS };
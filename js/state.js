@@ -1,8 +1,25 @@
 // js/state.js
 // ==============================
 // Modular State Manager
+// - Browse pages query Firestore a page at a time (listingQuery.js); online,
+//   state.listings only holds the listings loaded so far (pages, direct links
+//   and a provider's own listings), never whole collections
+// - Listing search goes through a persisted full-text index (searchIndex.js)
+// - Optional real-time sync: startRealtime() swaps the one-shot loaders for
+//   onSnapshot listeners and notifies subscribers with a change set;
+//   watchListings() keeps the browse page on screen live
+// - Offline (or when Firestore only has its cache) listings and favorites come
+//   from the last snapshot saved to IndexedDB (offlineStore.js);
+//   state.lastSyncedAt says how old they are
+// - Favorites toggled offline go to the outbox (outbox.js) and are sent later
 // ==============================
 
+import { createSearchIndex } from './searchIndex.js';
+import { collectionForListing, toListing } from './listings.js';
+import offlineStore from './offlineStore.js';
+import outbox from './outbox.js';
+import { distanceKm, inBounds, isValidPoint } from './geo.js';
+
 class StateManager {
   constructor(firebaseServices = null) {
     this.firebaseServices = firebaseServices;
@@ -11,17 +28,31 @@ class StateManager {
       role: null,
       listings: [],
       favorites: [],
+      bookings: [],
       filters: {
         location: "",
         priceRange: [0, Infinity],
         type: "",
         amenities: [],
+        query: "",
+        propertyTypes: [],
+        bedrooms: 0,
+        bathrooms: 0,
+        near: null,      // { lat, lng, radiusKm } distance filter
+        bounds: null,    // { south, west, north, east } "search this area"
       },
+      sortBy: "newest",
       error: null,
       isOffline: false,
+      lastSyncedAt: null,   // ms; when state.listings last came from Firestore
     };
     this.listeners = [];
     this.initialized = false;
+    this.realtimeListeners = {};
+    this.watchedListings = [];
+    this.removedListingIds = new Set();   // dropped from the offline snapshot on the next save
+    this.searchIndex = createSearchIndex();
+    this.offlineSaveTimer = null;
   }
 
   setFirebaseServices(firebaseServices) {
@@ -37,13 +68,17 @@ class StateManager {
     };
   }
 
-  notify() {
+  // changes is null for plain state updates, or a real-time change set:
+  // { source: "listings" | "favorites" | "bookings", added, modified, removed }
+  notify(changes = null) {
     this.listeners.forEach(listener => {
-      try { listener(this.state); } catch (err) { console.error(err); }
+      try { listener(this.state, changes); } catch (err) { console.error(err); }
     });
   }
 
   updateState(updates, callback) {
+    // signing out drops every listener scoped to the previous user
+    if ("currentUser" in updates && !updates.currentUser && this.isRealtime()) this.stopRealtime();
     Object.assign(this.state, updates);
     this.notify();
     if (typeof callback === "function") callback();
@@ -56,6 +91,12 @@ class StateManager {
       priceRange: [0, Infinity],
       type: "",
       amenities: [],
+      query: "",
+      propertyTypes: [],
+      bedrooms: 0,
+      bathrooms: 0,
+      near: null,
+      bounds: null,
     };
     this.notify();
     if (typeof callback === "function") callback();
@@ -63,53 +104,94 @@ class StateManager {
   }
 
   async toggleFavorite(listingId, callback) {
-    if (!this.isFirebaseReady() || !this.state.currentUser) {
-      // optimistic UI update even when offline / guest
-      const idx = this.state.favorites.indexOf(listingId);
-      if (idx >= 0) this.state.favorites.splice(idx, 1);
-      else this.state.favorites.push(listingId);
+    const wanted = !this.state.favorites.includes(listingId);
+    const flip = (favorite) => {
+      this.state.favorites = favorite
+        ? [...this.state.favorites, listingId]
+        : this.state.favorites.filter(id => id !== listingId);
+    };
+    const done = () => {
       this.notify();
       if (typeof callback === "function") callback();
       return this;
+    };
+
+    // optimistic UI update first; guests only keep it in memory
+    flip(wanted);
+    if (!this.isFirebaseReady() || !this.state.currentUser) return done();
+
+    if (outbox.isOffline()) {
+      await this.queueFavorite(listingId, wanted);
+      return done();
     }
 
     try {
-      const idx = this.state.favorites.indexOf(listingId);
-      const { collections, query, where, getDocs, addDoc, deleteDoc, serverTimestamp } = this.firebaseServices;
-      const favQuery = query(
-        collections.favorites,
-        where("userId", "==", this.state.currentUser.uid),
-        where("listingId", "==", listingId)
-      );
-
-      if (idx >= 0) {
-        // remove
-        this.state.favorites.splice(idx, 1);
-        const snapshot = await getDocs(favQuery);
-        const deletePromises = snapshot.docs.map(docSnap => deleteDoc(docSnap.ref));
-        await Promise.all(deletePromises);
-      } else {
-        // add
-        this.state.favorites.push(listingId);
-        await addDoc(collections.favorites, {
-          userId: this.state.currentUser.uid,
-          listingId,
-          createdAt: serverTimestamp()
-        });
+      await this.setFavorite(listingId, wanted);
+      this.scheduleOfflineSave();
+    } catch (err) {
+      if (outbox.isTransient(err)) {
+        await this.queueFavorite(listingId, wanted);
+        return done();
       }
+      console.error(err);
+      flip(!wanted); // revert UI
+      this.setError("Failed to update favorites");
+    }
+    return done();
+  }
 
-      this.notify();
-      if (typeof callback === "function") callback();
+  /**
+   * setFavorite(listingId, favorite)
+   * Idempotent write used by toggleFavorite and by the outbox replay:
+   * adds the favorite doc unless one exists, or deletes every match.
+   */
+  async setFavorite(listingId, favorite) {
+    if (!this.isFirebaseReady() || !this.state.currentUser) throw new Error("Please sign in to save favorites.");
+    const { collections, query, where, getDocs, addDoc, deleteDoc, serverTimestamp } = this.firebaseServices;
+    const snapshot = await getDocs(query(
+      collections.favorites,
+      where("userId", "==", this.state.currentUser.uid),
+      where("listingId", "==", listingId)
+    ));
+
+    if (!favorite) {
+      await Promise.all(snapshot.docs.map(docSnap => deleteDoc(docSnap.ref)));
+    } else if (snapshot.empty) {
+      await addDoc(collections.favorites, {
+        userId: this.state.currentUser.uid,
+        listingId,
+        createdAt: serverTimestamp()
+      });
+    }
+  }
+
+  async queueFavorite(listingId, favorite) {
+    const listing = this.state.listings.find(l => l.id === listingId);
+    const title = listing?.title || listing?.name || "a listing";
+    try {
+      await outbox.enqueue("favorite", { listingId, favorite }, {
+        userId: this.state.currentUser.uid,
+        key: `favorite-${this.state.currentUser.uid}-${listingId}`,
+        label: favorite ? `Save ${title} to favorites` : `Remove ${title} from favorites`
+      });
     } catch (err) {
-      console.error(err);
-      // revert UI
-      const idx = this.state.favorites.indexOf(listingId);
-      if (idx >= 0) this.state.favorites.splice(idx, 1);
-      else this.state.favorites.push(listingId);
+      console.error("[State] Failed to queue favorite:", err);
       this.setError("Failed to update favorites");
-      if (typeof callback === "function") callback();
     }
-    return this;
+  }
+
+  // Favorites toggled offline stay toggled until the outbox has sent them
+  async applyPendingFavorites() {
+    const uid = this.state.currentUser?.uid;
+    if (!uid) return;
+    const pending = await outbox.list({ userId: uid, type: "favorite", status: "queued" });
+    if (!pending.length) return;
+    const favorites = new Set(this.state.favorites);
+    pending.forEach(({ payload }) => {
+      if (payload.favorite) favorites.add(payload.listingId);
+      else favorites.delete(payload.listingId);
+    });
+    this.state.favorites = [...favorites];
   }
 
   setError(error, callback) {
@@ -142,6 +224,12 @@ class StateManager {
     return listingPrice >= min && listingPrice <= max;
   }
 
+  // houses store address parts; bnbs a single location
+  locationText(listing) {
+    return listing.location ||
+      [listing.address, listing.city, listing.state, listing.zipCode].filter(Boolean).join(", ");
+  }
+
   matchesLocation(listingLocation, filterLocation) {
     if (!filterLocation) return true;
     return (listingLocation || "").toLowerCase().includes(filterLocation.toLowerCase());
@@ -158,17 +246,63 @@ class StateManager {
     return filterAmenities.every(amenity => listingAmenities.includes(amenity));
   }
 
+  matchesPropertyTypes(propertyType, propertyTypes) {
+    if (!propertyTypes?.length) return true;
+    return propertyTypes.includes(propertyType);
+  }
+
+  matchesMinimum(value, minimum) {
+    if (!minimum) return true;
+    return (Number(value) || 0) >= minimum;
+  }
+
+  matchesGeo(coordinates, { near, bounds } = {}) {
+    if (!near && !bounds) return true;
+    if (!isValidPoint(coordinates)) return false;
+    if (bounds && !inBounds(coordinates, bounds)) return false;
+    if (near?.radiusKm && distanceKm(near, coordinates) > near.radiusKm) return false;
+    return true;
+  }
+
   matchesFilters(listing, filters = this.state.filters) {
-    const { location, priceRange, type, amenities } = filters;
+    const { location, priceRange, type, amenities, propertyTypes, bedrooms, bathrooms } = filters;
     return this.matchesPrice(listing.price, priceRange) &&
-           this.matchesLocation(listing.location, location) &&
+           this.matchesLocation(this.locationText(listing), location) &&
            this.matchesType(listing.type, type) &&
-           this.matchesAmenities(listing.amenities, amenities);
+           this.matchesPropertyTypes(listing.propertyType, propertyTypes) &&
+           this.matchesMinimum(listing.bedrooms, bedrooms) &&
+           this.matchesMinimum(listing.bathrooms, bathrooms) &&
+           this.matchesAmenities(listing.amenities, amenities) &&
+           this.matchesGeo(listing.coordinates, filters);
   }
 
   applyFilters(customFilters = null) {
     const filters = customFilters || this.state.filters;
-    return (this.state.listings || []).filter(listing => this.matchesFilters(listing, filters));
+    const filtered = (this.state.listings || []).filter(listing => this.matchesFilters(listing, filters));
+    return this.sortListings(filtered);
+  }
+
+  setSort(sortBy, callback) {
+    this.state.sortBy = sortBy || "newest";
+    this.notify();
+    if (typeof callback === "function") callback();
+    return this;
+  }
+
+  // Values match the #sort <select> options on browse/bnb pages
+  sortListings(listings, sortBy = this.state.sortBy) {
+    const millis = (ts) => ts?.toMillis?.() ?? (ts ? new Date(ts).getTime() : 0);
+    const comparators = {
+      newest: (a, b) => millis(b.createdAt) - millis(a.createdAt),
+      "price-low": (a, b) => (a.price || 0) - (b.price || 0),
+      "price-high": (a, b) => (b.price || 0) - (a.price || 0),
+      bedrooms: (a, b) => (b.bedrooms || 0) - (a.bedrooms || 0),
+      // unrated listings sink; ties go to the listing with more reviews
+      rating: (a, b) => ((b.ratingAverage || 0) - (a.ratingAverage || 0)) ||
+                        ((b.ratingCount || 0) - (a.ratingCount || 0))
+    };
+    const compare = comparators[sortBy] || comparators.newest;
+    return listings.slice().sort(compare);
   }
 
   getFilteredListings() { return this.applyFilters(); }
@@ -181,26 +315,38 @@ class StateManager {
               window.authService?.isFirebaseReady?.());
   }
 
-  async fetchCollection(collectionName, publicOnly = false) {
+  /**
+   * listingVisibility() -> { publicOnly, ownerId }
+   * Unpublished listings (moderation, admin console) stay visible to admins
+   * and to the provider who owns them; everyone else only sees public ones.
+   */
+  listingVisibility() {
+    const { currentUser, role } = this.state;
+    if (role === "admin") return { publicOnly: false, ownerId: null };
+    const ownerId = currentUser && ["provider", "bnb"].includes(role) ? currentUser.uid : null;
+    return { publicOnly: true, ownerId };
+  }
+
+  isListingVisible(listing) {
+    const { publicOnly, ownerId } = this.listingVisibility();
+    return !publicOnly || listing?.public === true || (!!ownerId && listing?.providerId === ownerId);
+  }
+
+  // One provider's own listings; null when only Firestore's cache answered
+  async fetchCollection(collectionName, { ownerId } = {}) {
     if (!this.isFirebaseReady()) return [];
     try {
       const { collections, query, where, getDocs } = this.firebaseServices;
-      let colRef = collections[collectionName];
-      if (!colRef) return [];
-
-      let q = colRef;
-      if (publicOnly) q = query(colRef, where("public", "==", true));
+      const colRef = collections[collectionName];
+      if (!colRef || !ownerId) return [];
 
-      const snapshot = await getDocs(q);
-      return snapshot.docs.map(docSnap => ({
-        id: docSnap.id,
-        type: collectionName === "houses" ? "house" : "bnb",
-        ...docSnap.data()
-      }));
+      const snapshot = await getDocs(query(colRef, where("providerId", "==", ownerId)));
+      // served from Firestore's own cache: the network is down
+      if (snapshot.metadata?.fromCache) return null;
+      return snapshot.docs.map(docSnap => toListing(docSnap, collectionName));
     } catch (err) {
       console.error(err);
-      this.setOfflineStatus(true);
-      return [];
+      return null;
     }
   }
 
@@ -222,36 +368,103 @@ class StateManager {
     }
   }
 
+  /**
+   * loadListings()
+   * Online this only loads the signed-in provider's own listings; browse
+   * pages come from listingQuery.js. Offline, state.listings is the snapshot
+   * saved by earlier online sessions.
+   */
   async loadListings() {
-    if (!this.isFirebaseReady()) {
-      this.state.listings = this.getFallbackListings();
-      this.setOfflineStatus(true);
+    if (!this.isFirebaseReady() || (typeof navigator !== "undefined" && navigator.onLine === false)) {
+      await this.restoreSnapshot();
       return;
     }
 
     try {
-      const { currentUser } = this.state;
-      const publicOnly = !currentUser;
-      const [houses, bnbs] = await Promise.all([
-        this.fetchCollection("houses", publicOnly),
-        this.fetchCollection("bnbs", publicOnly)
-      ]);
-
-      this.state.listings = [...houses, ...bnbs];
-
-      if (this.state.listings.length === 0) {
-        this.state.listings = this.getFallbackListings();
-        this.setOfflineStatus(true);
-      } else {
-        this.setOfflineStatus(false);
+      const { ownerId } = this.listingVisibility();
+      const own = ownerId
+        ? await Promise.all(["houses", "bnbs"].map(name => this.fetchCollection(name, { ownerId })))
+        : [];
+
+      if (own.some(result => !result)) {
+        await this.restoreSnapshot();
+        return;
       }
+      // pages already loaded stay, but not the offline snapshot or another user's unpublished listings
+      const loaded = this.state.isOffline ? [] : this.state.listings.filter(listing => listing.public === true);
+      this.state.listings = [...new Map([...loaded, ...own.flat()].map(listing => [listing.id, listing])).values()];
+      this.state.lastSyncedAt = Date.now();
+      this.setOfflineStatus(false);
+      this.searchIndex.build(this.state.listings);
+      this.scheduleOfflineSave();
     } catch (err) {
       console.error(err);
-      this.state.listings = this.getFallbackListings();
-      this.setOfflineStatus(true);
+      await this.restoreSnapshot();
     }
   }
 
+  /**
+   * rememberListings(listings)
+   * Listings loaded outside the real-time feed (browse pages, direct links)
+   * join state.listings, so other views find them and the offline snapshot
+   * keeps them.
+   */
+  rememberListings(listings = []) {
+    if (!listings.length) return this;
+    const byId = new Map(this.state.listings.map(listing => [listing.id, listing]));
+    listings.forEach(listing => {
+      byId.set(listing.id, listing);
+      this.removedListingIds.delete(listing.id);
+    });
+    this.state.listings = [...byId.values()];
+    this.searchIndex.applyChanges({ modified: listings });
+    if (!this.state.isOffline) {
+      this.state.lastSyncedAt = Date.now();
+      this.scheduleOfflineSave();
+    }
+    return this;
+  }
+
+  /**
+   * restoreSnapshot()
+   * Offline: the listings (and, for the same user, favorites) saved by the
+   * last online session. Without a snapshot, search still runs on the last
+   * persisted index.
+   */
+  async restoreSnapshot() {
+    const snapshot = await offlineStore.loadSnapshot({ userId: this.state.currentUser?.uid });
+    this.state.listings = snapshot?.listings || [];
+    this.state.lastSyncedAt = snapshot?.savedAt || null;
+    if (snapshot?.favorites.length) this.state.favorites = snapshot.favorites;
+    this.setOfflineStatus(true);
+
+    if (this.state.listings.length) this.searchIndex.build(this.state.listings);
+    else await this.restoreSearchIndex();
+  }
+
+  async restoreSearchIndex() {
+    if (!(await this.searchIndex.load())) this.searchIndex.build(this.state.listings);
+  }
+
+  // Persists the search index and the listing snapshot once changes settle.
+  // Offline state is itself a snapshot, so there is nothing new to save.
+  scheduleOfflineSave(delay = 2000) {
+    if (this.state.isOffline) return;
+    clearTimeout(this.offlineSaveTimer);
+    this.offlineSaveTimer = setTimeout(() => {
+      const hidden = this.state.listings.filter(listing => !this.isListingVisible(listing)).map(listing => listing.id);
+      const removedIds = [...this.removedListingIds, ...hidden];
+      this.removedListingIds.clear();
+      this.searchIndex.save();
+      offlineStore.saveSnapshot({
+        listings: this.state.listings.filter(listing => this.isListingVisible(listing)),
+        favorites: this.state.favorites,
+        userId: this.state.currentUser?.uid || null,
+        removedIds
+      });
+    }, delay);
+  }
+
   async loadFavorites() {
     if (!this.isFirebaseReady() || !this.state.currentUser) {
       this.state.favorites = [];
@@ -266,75 +479,180 @@ class StateManager {
       );
       const favSnap = await getDocs(favQuery);
       this.state.favorites = favSnap.docs.map(docSnap => docSnap.data().listingId);
+      this.scheduleOfflineSave();
     } catch (err) {
       console.error(err);
-      this.state.favorites = [];
+      // offline: keep the favorites restored with the snapshot
+      if (!this.state.isOffline) this.state.favorites = [];
     }
+    await this.applyPendingFavorites();
   }
 
-  getFallbackListings() {
-    return [
-      {
-        id: "fallback-1",
-        type: "house",
-        title: "Cozy Downtown Apartment",
-        location: "New York",
-        price: 120,
-        bedrooms: 2,
-        bathrooms: 1,
-        amenities: ["wifi", "kitchen", "tv"],
-        image: "https://images.unsplash.com/photo-1522708323590-d24dbb6b0267?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60",
-        public: true
-      },
-      {
-        id: "fallback-2",
-        type: "bnb",
-        title: "Lakeside Cabin Retreat",
-        location: "Lake Tahoe",
-        price: 210,
-        bedrooms: 3,
-        bathrooms: 2,
-        amenities: ["wifi", "kitchen", "parking", "fireplace"],
-        image: "https://images.unsplash.com/photo-1449158743715-0a90ebb6d2d8?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60",
-        public: true
-      },
-      {
-        id: "fallback-3",
-        type: "house",
-        title: "Modern Beach House",
-        location: "Miami",
-        price: 350,
-        bedrooms: 4,
-        bathrooms: 3,
-        amenities: ["wifi", "pool", "ocean-view", "kitchen"],
-        image: "https://images.unsplash.com/photo-1512917774080-9991f1c4c750?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60",
-        public: true
-      },
-      {
-        id: "fallback-4",
-        type: "house",
-        title: "Mountain View Cottage",
-        location: "Colorado Springs",
-        price: 180,
-        bedrooms: 2,
-        bathrooms: 1,
-        amenities: ["wifi", "kitchen", "fireplace", "parking"],
-        image: "https://images.unsplash.com/photo-1518780664697-55e3ad937233?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60",
-        public: true
-      },
-      {
-        id: "fallback-5",
-        type: "bnb",
-        title: "Urban Loft Experience",
-        location: "Chicago",
-        price: 95,
-        bedrooms: 1,
-        bathrooms: 1,
-        amenities: ["wifi", "kitchen", "tv", "ac"],
-        image: "https://images.unsplash.com/photo-1586023492125-27b2c045efd7?ixlib=rb-1.2.1&auto=format&fit=crop&w=500&q=60",
-        public: true
+  // ----------------------------
+  // Real-time sync (onSnapshot)
+  // ----------------------------
+  /**
+   * startRealtime({ listings, favorites, bookings })
+   * Subscribes to the signed-in provider's own listings, the watched browse
+   * page (see watchListings()), plus the user's favorites and bookings
+   * (hosts get bookings on their listings).
+   * Call again after the user changes; previous listeners are replaced.
+   */
+  startRealtime({ listings = true, favorites = true, bookings = true } = {}) {
+    this.stopRealtime();
+    if (!this.isFirebaseReady() || !this.firebaseServices.onSnapshot) return this;
+
+    const { collections, query, where } = this.firebaseServices;
+    const { currentUser, role } = this.state;
+
+    if (listings) {
+      const { ownerId } = this.listingVisibility();
+      if (ownerId) {
+        ["houses", "bnbs"].forEach(name => {
+          this._listen(`${name}:own`, query(collections[name], where("providerId", "==", ownerId)), "listings", docSnap => toListing(docSnap, name));
+        });
       }
-    ];
+      this.watchListings(this.watchedListings);
+    }
+
+    if (currentUser && favorites) {
+      this._listen("favorites",
+        query(collections.favorites, where("userId", "==", currentUser.uid)),
+        "favorites",
+        docSnap => docSnap.data().listingId);
+    }
+
+    if (currentUser && bookings) {
+      const field = ["provider", "bnb"].includes(role) ? "providerId" : "userId";
+      this._listen("bookings",
+        query(collections.bookings, where(field, "==", currentUser.uid)),
+        "bookings",
+        docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+    }
+    return this;
+  }
+
+  /**
+   * watchListings(listings)
+   * Keeps the listings on screen (one browse page) live, replacing the
+   * previous page's listeners. Listings unpublished meanwhile arrive as
+   * removed, unless they are the signed-in provider's own.
+   */
+  watchListings(listings = []) {
+    this.watchedListings = listings;
+    Object.keys(this.realtimeListeners)
+      .filter(key => key.startsWith("page:"))
+      .forEach(key => {
+        try { this.realtimeListeners[key](); } catch (err) { console.error(err); }
+        delete this.realtimeListeners[key];
+      });
+    if (!listings.length || !this.isFirebaseReady() || !this.firebaseServices.onSnapshot) return this;
+
+    const { collections, query, where, documentId } = this.firebaseServices;
+    const { publicOnly, ownerId } = this.listingVisibility();
+    const keep = ownerId ? item => item.providerId === ownerId : null;
+    ["houses", "bnbs"].forEach(name => {
+      // "in" takes up to 30 values; a browse page is smaller
+      const ids = listings.filter(listing => collectionForListing(listing) === name).map(listing => listing.id).slice(0, 30);
+      if (!ids.length) return;
+      const constraints = [where(documentId(), "in", ids)];
+      if (publicOnly) constraints.push(where("public", "==", true));
+      this._listen(`page:${name}`, query(collections[name], ...constraints), "listings", docSnap => toListing(docSnap, name), keep);
+    });
+    return this;
+  }
+
+  stopRealtime() {
+    Object.values(this.realtimeListeners).forEach(unsubscribe => {
+      try { unsubscribe(); } catch (err) { console.error(err); }
+    });
+    this.realtimeListeners = {};
+    return this;
+  }
+
+  isRealtime() {
+    return Object.keys(this.realtimeListeners).length > 0;
+  }
+
+  // keepRemoved(item): removals to ignore because another listener still covers the item.
+  // Snapshots served from Firestore's cache (the network is down) never count
+  // as a sync: while offline, listing snapshots from the cache are skipped so
+  // the saved snapshot stays up, and the first one from the server then
+  // replaces it with its full result.
+  _listen(key, q, source, toItem, keepRemoved = null) {
+    let skippedCache = false;
+    let wasCached = false;
+    this.realtimeListeners[key] = this.firebaseServices.onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+      const fromCache = !!snapshot.metadata?.fromCache;
+      if (fromCache && source === "listings" && this.state.isOffline) {
+        skippedCache = true;
+        return;
+      }
+
+      const changes = { source, added: [], modified: [], removed: [] };
+      const resync = skippedCache && !fromCache;
+      snapshot.docChanges().forEach(change => {
+        const item = toItem(change.doc);
+        if (change.type === "removed" && keepRemoved?.(item)) return;
+        if (resync && change.type !== "removed") return;
+        changes[change.type].push(item);
+      });
+      if (resync) {
+        changes.added = snapshot.docs.map(toItem);
+        skippedCache = false;
+      }
+      // metadata-only snapshots (pending writes settling) carry no changes,
+      // except the one confirming cached data with the server
+      const confirmed = wasCached && !fromCache;
+      wasCached = fromCache;
+      if (!resync && !confirmed && !changes.added.length && !changes.modified.length && !changes.removed.length) return;
+
+      this._applyChanges(changes, { fromCache });
+      this.notify(changes);
+    }, (err) => {
+      console.error(`[State] ${key} listener failed:`, err);
+      if (source === "listings") this.setOfflineStatus(true);
+    });
+  }
+
+  _applyChanges(changes, { fromCache = false } = {}) {
+    const { source, added, modified, removed } = changes;
+
+    if (source === "favorites") {
+      const ids = new Set(this.state.favorites);
+      removed.forEach(id => ids.delete(id));
+      added.forEach(id => ids.add(id));
+      this.state.favorites = [...ids];
+      if (!fromCache) this.scheduleOfflineSave();
+      return;
+    }
+
+    if (source === "listings") removed.forEach(item => this.removedListingIds.add(item.id));
+
+    const mergeById = (items) => {
+      const byId = new Map(items.map(item => [item.id, item]));
+      removed.forEach(item => byId.delete(item.id));
+      [...added, ...modified].forEach(item => byId.set(item.id, item));
+      return [...byId.values()];
+    };
+
+    if (source === "listings") {
+      // live data supersedes the offline snapshot
+      if (this.state.isOffline) {
+        this.state.listings = mergeById([]);
+        this.searchIndex.build(this.state.listings);
+      } else {
+        this.state.listings = mergeById(this.state.listings);
+        this.searchIndex.applyChanges(changes);
+      }
+      // cached data is no newer than lastSyncedAt and must not replace the saved snapshot
+      if (fromCache) return;
+      this.state.isOffline = false;
+      this.state.lastSyncedAt = Date.now();
+      this.scheduleOfflineSave();
+    } else if (source === "bookings") {
+      this.state.bookings = mergeById(this.state.bookings || []);
+    }
   }
 
   async initializeState(callback) {
@@ -347,9 +665,8 @@ class StateManager {
       if (!this.isFirebaseReady()) {
         this.state.currentUser = null;
         this.state.role = "guest";
-        this.state.listings = this.getFallbackListings();
         this.state.favorites = [];
-        this.setOfflineStatus(true);
+        await this.restoreSnapshot();
         this.notify();
         this.initialized = true;
         if (typeof callback === "function") callback();
@@ -360,7 +677,6 @@ class StateManager {
       await this.loadListings();
       await this.loadFavorites();
 
-      this.setOfflineStatus(false);
       this.initialized = true;
       this.notify();
       if (typeof callback === "function") callback();
@@ -370,9 +686,8 @@ class StateManager {
 
       this.state.currentUser = null;
       this.state.role = "guest";
-      this.state.listings = this.getFallbackListings();
       this.state.favorites = [];
-      this.setOfflineStatus(true);
+      await this.restoreSnapshot();
       this.initialized = true;
       this.notify();
       if (typeof callback === "function") callback();
@@ -403,15 +718,19 @@ class StateManager {
     return stats;
   }
 
-  searchListings(searchTerm) {
-    if (!searchTerm) return this.state.listings;
-    const term = searchTerm.toLowerCase();
-    return this.state.listings.filter(listing =>
-      listing.title?.toLowerCase().includes(term) ||
-      listing.location?.toLowerCase().includes(term) ||
-      listing.amenities?.some(a => a.toLowerCase().includes(term))
-    );
+  /**
+   * searchListings(searchTerm, filters)
+   * Relevance-ranked full-text search that still honours the active filters;
+   * an empty term falls back to the filtered + sorted listings.
+   */
+  searchListings(searchTerm, filters = this.state.filters) {
+    if (!searchTerm?.trim()) return this.applyFilters(filters);
+    if (!this.searchIndex.size) this.searchIndex.build(this.state.listings);
+    return this.searchIndex
+      .search(searchTerm, { filter: listing => this.matchesFilters(listing, filters) })
+      .map(result => result.listing);
   }
+
 }
 
 // Factory
@@ -3,7 +3,9 @@
 // UI Manager
 // ==============================
 
-import { stateManager } from './state.js';
+import stateManager from './state.js';
+import { coverImage } from './imagePipeline.js';
+import reviewService from './reviewService.js';
 
 class UIManager {
   constructor(stateManagerInstance) {
@@ -11,7 +13,9 @@ class UIManager {
     this.userEmailElement = document.getElementById('user-email');
     this.authButtons = document.getElementById('auth-buttons');
     this.logoutButton = document.getElementById('logout-btn');
-    this.listingsContainer = document.getElementById('listings');
+    this.listingsContainer = document.getElementById('listings') ||
+                              document.getElementById('listings-container') ||
+                              document.getElementById('bnbs-container');
     this.favoritesContainer = document.getElementById('favorites');
     this.navLinks = document.querySelectorAll('#nav-links a');
 
@@ -123,8 +127,10 @@ class UIManager {
     if (!this.listingsContainer) return;
     this.listingsContainer.innerHTML = listings.map(listing => `
       <div class="listing-card">
-        <h3>${listing.title}</h3>
-        <p>${listing.description}</p>
+        <img src="${coverImage(listing)}" alt="${listing.title}" loading="lazy">
+        <h3><a href="/house-detail.html?id=${listing.id}">${listing.title}</a></h3>
+        <p class="listing-rating">★ ${reviewService.formatRating(listing)}</p>
+        <p>${listing.description || ''}</p>
         <button onclick="uiManager.toggleFavorite('${listing.id}')">
           ${this.stateManager.isFavorite(listing.id) ? 'Remove Favorite' : 'Add Favorite'}
         </button>
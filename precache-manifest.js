@@ -0,0 +1,211 @@
+// precache-manifest.js
+// Generated by scripts/precache.mjs (npm run precache). Do not edit by hand.
+self.PRECACHE_MANIFEST = {
+  "version": "2297172513",
+  "assets": [
+    {
+      "url": "/",
+      "revision": "d2436c307c"
+    },
+    {
+      "url": "/add-bnb.html",
+      "revision": "12a4db9fd6"
+    },
+    {
+      "url": "/add-house.html",
+      "revision": "84b45114f3"
+    },
+    {
+      "url": "/bnb.html",
+      "revision": "318b6fc997"
+    },
+    {
+      "url": "/browse.html",
+      "revision": "80c2f51721"
+    },
+    {
+      "url": "/css/styles.css",
+      "revision": "80118cbb69"
+    },
+    {
+      "url": "/dashboard-admin.html",
+      "revision": "e264155ef2"
+    },
+    {
+      "url": "/dashboard-bnb.html",
+      "revision": "4bdacfcaab"
+    },
+    {
+      "url": "/dashboard-hunter.html",
+      "revision": "1c0e8096ae"
+    },
+    {
+      "url": "/dashboard-provider.html",
+      "revision": "d54aeb6e4c"
+    },
+    {
+      "url": "/dist/output.css",
+      "revision": "dd01620945"
+    },
+    {
+      "url": "/house-detail.html",
+      "revision": "95bf7831a4"
+    },
+    {
+      "url": "/images/icon-192.png",
+      "revision": "3be69cdeb6"
+    },
+    {
+      "url": "/images/icon-512.png",
+      "revision": "eaf1145de2"
+    },
+    {
+      "url": "/index.html",
+      "revision": "d2436c307c"
+    },
+    {
+      "url": "/js/analyticsService.js",
+      "revision": "8312fba558"
+    },
+    {
+      "url": "/js/app.js",
+      "revision": "d3d321da79"
+    },
+    {
+      "url": "/js/authService.js",
+      "revision": "cd7709a33b"
+    },
+    {
+      "url": "/js/availabilityService.js",
+      "revision": "58d1c0b62b"
+    },
+    {
+      "url": "/js/bookingWorkflow.js",
+      "revision": "fe21ab9fc2"
+    },
+    {
+      "url": "/js/calendarService.js",
+      "revision": "e997860053"
+    },
+    {
+      "url": "/js/dashboard.js",
+      "revision": "5f4c1fcb7c"
+    },
+    {
+      "url": "/js/firebase.js",
+      "revision": "d8566a4656"
+    },
+    {
+      "url": "/js/gallery.js",
+      "revision": "3464f06b93"
+    },
+    {
+      "url": "/js/geo.js",
+      "revision": "47831ef0f3"
+    },
+    {
+      "url": "/js/html.js",
+      "revision": "483320a1ee"
+    },
+    {
+      "url": "/js/ical.js",
+      "revision": "b58cdb2959"
+    },
+    {
+      "url": "/js/idb.js",
+      "revision": "c9142666c2"
+    },
+    {
+      "url": "/js/imagePipeline.js",
+      "revision": "edd86b0ff8"
+    },
+    {
+      "url": "/js/initCoordinator.js",
+      "revision": "5bb9e40cbc"
+    },
+    {
+      "url": "/js/listingQuery.js",
+      "revision": "6b54ee8a99"
+    },
+    {
+      "url": "/js/listings.js",
+      "revision": "185638c099"
+    },
+    {
+      "url": "/js/listingService.js",
+      "revision": "15c40240dc"
+    },
+    {
+      "url": "/js/mapView.js",
+      "revision": "e7d73f6647"
+    },
+    {
+      "url": "/js/messagingService.js",
+      "revision": "5a2fd6ab51"
+    },
+    {
+      "url": "/js/offlineStore.js",
+      "revision": "b810be4ac0"
+    },
+    {
+      "url": "/js/outbox.js",
+      "revision": "59a0352974"
+    },
+    {
+      "url": "/js/pricingService.js",
+      "revision": "eac98167c8"
+    },
+    {
+      "url": "/js/pushService.js",
+      "revision": "c980749d78"
+    },
+    {
+      "url": "/js/reportService.js",
+      "revision": "9fc7872702"
+    },
+    {
+      "url": "/js/reviewService.js",
+      "revision": "0f73620c66"
+    },
+    {
+      "url": "/js/savedSearchService.js",
+      "revision": "90f5afd20f"
+    },
+    {
+      "url": "/js/searchIndex.js",
+      "revision": "8eb5a17ac6"
+    },
+    {
+      "url": "/js/serviceWorkerClient.js",
+      "revision": "8b8cc62160"
+    },
+    {
+      "url": "/js/state.js",
+      "revision": "e32b58aaa9"
+    },
+    {
+      "url": "/js/ui.js",
+      "revision": "d23202b033"
+    },
+    {
+      "url": "/login.html",
+      "revision": "15bbbd416d"
+    },
+    {
+      "url": "/manifest.json",
+      "revision": "e24d09c1b0"
+    },
+    {
+      "url": "/notifications.html",
+      "revision": "d7d9b304d2"
+    },
+    {
+      "url": "/offline.html",
+      "revision": "6c3cb0ab17"
+    },
+    {
+      "url": "/register.html",
+      "revision": "85a4a498ad"
+    }
+  ]
+};
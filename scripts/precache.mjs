@@ -0,0 +1,74 @@
+// scripts/precache.mjs
+// ==============================
+// Precache manifest generator
+// - Lists every page, script, stylesheet and image the site serves and writes
+//   precache-manifest.js, which service-worker.js loads with importScripts()
+// - Each asset gets a content hash; the manifest version hashes all of them,
+//   so any change to a shipped file installs a new service worker (and shows
+//   the "new version available" prompt)
+// - Run after changing any asset: `npm run precache`
+// ==============================
+
+import { createHash } from 'node:crypto';
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const OUTPUT = 'precache-manifest.js';
+
+// [directory, file pattern, recurse]
+const SOURCES = [
+  ['.', /\.html$/, false],
+  ['.', /^manifest\.json$/, false],
+  ['css', /\.css$/, true],
+  ['dist', /\.css$/, true],
+  ['js', /\.js$/, true],
+  ['images', /\.(png|jpe?g|svg|webp|ico)$/, true]
+];
+
+async function listFiles(dir, pattern, recurse) {
+  const absolute = join(ROOT, dir);
+  if (!existsSync(absolute)) return [];
+  const files = [];
+  for (const entry of await readdir(absolute, { withFileTypes: true })) {
+    const path = join(absolute, entry.name);
+    if (entry.isDirectory()) {
+      if (recurse) files.push(...await listFiles(relative(ROOT, path), pattern, recurse));
+    } else if (pattern.test(entry.name)) {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+const hash = (content) => createHash('sha256').update(content).digest('hex').slice(0, 10);
+
+async function main() {
+  const files = (await Promise.all(SOURCES.map(([dir, pattern, recurse]) => listFiles(dir, pattern, recurse)))).flat();
+  const assets = await Promise.all(files.map(async file => ({
+    url: '/' + relative(ROOT, file).split(sep).join('/'),
+    revision: hash(await readFile(file))
+  })));
+  assets.sort((a, b) => a.url.localeCompare(b.url));
+  // "/" is served as index.html
+  const index = assets.find(asset => asset.url === '/index.html');
+  if (index) assets.unshift({ url: '/', revision: index.revision });
+
+  const version = hash(assets.map(asset => `${asset.url}@${asset.revision}`).join('\n'));
+  const source = [
+    `// ${OUTPUT}`,
+    '// Generated by scripts/precache.mjs (npm run precache). Do not edit by hand.',
+    `self.PRECACHE_MANIFEST = ${JSON.stringify({ version, assets }, null, 2)};`,
+    ''
+  ].join('\n');
+
+  await writeFile(join(ROOT, OUTPUT), source);
+  console.log(`[Precache] ${assets.length} assets, version ${version}`);
+}
+
+main().catch(err => {
+  console.error('[Precache] Failed to write the manifest:', err);
+  process.exitCode = 1;
+});
@@ -1,81 +1,280 @@
-const CACHE_NAME = 'kejabase-v1';
-const CORE_ASSETS = [
-  '/',
-  '/index.html',
-  '/browse.html',
-  '/bnb.html',
-  '/offline.html',
-  '/css/styles.css',
-  '/js/app.js',
-  '/js/firebase.js',
-  '/js/state.js',
-  '/images/icon-192.png',
-  '/images/icon-512.png'
+// service-worker.js
+// ==============================
+// Kejabase service worker
+// - Precache: every page and asset listed in precache-manifest.js (generated
+//   by `npm run precache`), stored under the manifest version. A new version
+//   installs alongside the old one and waits; the page shows a "new version
+//   available" prompt and posts { type: 'skip-waiting' } when the user reloads
+// - Push: { title, body, url, tag } payloads become notifications; clicking
+//   one focuses (or opens) the page at url
+// - Routes:
+//   HTML              network-first, falling back to the last copy, then offline.html
+//   images            cache-first, least recently used entries evicted past a limit
+//   Firebase SDK      cache-first (gstatic URLs are versioned)
+//   own assets        precache, else stale-while-revalidate
+//   auth, Firestore and other API traffic is never cached
+// ==============================
+
+importScripts('/precache-manifest.js');
+
+const { version: PRECACHE_VERSION, assets: PRECACHE_ASSETS } = self.PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'kejabase-';
+const CACHES = {
+  precache: `${CACHE_PREFIX}precache-${PRECACHE_VERSION}`,
+  pages: `${CACHE_PREFIX}pages`,
+  images: `${CACHE_PREFIX}images`,
+  runtime: `${CACHE_PREFIX}runtime`
+};
+
+// Max entries per runtime cache; the oldest-used entries go first
+const CACHE_LIMITS = {
+  [CACHES.pages]: 30,
+  [CACHES.images]: 80,
+  [CACHES.runtime]: 60
+};
+
+// must match SYNC_TAG in js/outbox.js
+const OUTBOX_SYNC_TAG = 'kejabase-outbox';
+
+// Live data and credentials: always straight to the network
+const NEVER_CACHE_HOSTS = [
+  'firestore.googleapis.com',
+  'identitytoolkit.googleapis.com',
+  'securetoken.googleapis.com',
+  'firebaseinstallations.googleapis.com',
+  'firebase.googleapis.com',
+  'www.googleapis.com',
+  'apis.google.com',
+  'www.google-analytics.com',
+  'region1.google-analytics.com'
 ];
+const NEVER_CACHE_PATHS = ['/__/auth/', '/__/firebase/'];
+
+const SDK_HOST = 'www.gstatic.com';
 
-// Install - cache core assets individually
+// Install - precache the manifest. addAll is all-or-nothing: a version with a
+// missing asset fails to install and the current one keeps serving.
 self.addEventListener('install', event => {
   event.waitUntil(
     (async () => {
-      const cache = await caches.open(CACHE_NAME);
-      for (const asset of CORE_ASSETS) {
-        try {
-          await cache.add(asset);
-          console.log('[Service Worker] Cached:', asset);
-        } catch (err) {
-          console.error('[Service Worker] Failed to cache:', asset, err);
-        }
-      }
-      self.skipWaiting();
+      const cache = await caches.open(CACHES.precache);
+      await cache.addAll(PRECACHE_ASSETS.map(asset => new Request(asset.url, { cache: 'reload' })));
+      console.log(`[Service Worker] Precached ${PRECACHE_ASSETS.length} assets (${PRECACHE_VERSION})`);
     })()
   );
 });
 
-// Activate - clean old caches
+// Activate - drop older precaches (runtime caches survive updates)
 self.addEventListener('activate', event => {
   event.waitUntil(
     (async () => {
+      const keep = Object.values(CACHES);
       const keys = await caches.keys();
       await Promise.all(
-        keys.map(key => key !== CACHE_NAME && caches.delete(key))
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && !keep.includes(key))
+          .map(key => caches.delete(key))
       );
-      self.clients.claim();
-      console.log('[Service Worker] Activated and old caches cleared');
+      await self.clients.claim();
+      console.log(`[Service Worker] Activated ${PRECACHE_VERSION}`);
     })()
   );
 });
 
-// Fetch - stale-while-revalidate strategy
+// The page asks the waiting worker to take over once the user accepts the
+// update; the local push sender (js/pushService.js) hands over payloads
+self.addEventListener('message', event => {
+  if (event.data?.type === 'skip-waiting') self.skipWaiting();
+  else if (event.data?.type === 'local-push') event.waitUntil(showPushNotification(event.data.payload));
+});
+
+// ----------------------------
+// Routing
+// ----------------------------
 self.addEventListener('fetch', event => {
-  if (event.request.method !== 'GET') return;
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (!url.protocol.startsWith('http')) return;
+  if (NEVER_CACHE_HOSTS.includes(url.hostname) || NEVER_CACHE_PATHS.some(path => url.pathname.startsWith(path))) return;
+
+  const isPage = request.mode === 'navigate' || request.headers.get('accept')?.includes('text/html');
+  if (isPage && url.origin === self.location.origin) {
+    event.respondWith(networkFirstPage(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, CACHES.images));
+  } else if (url.hostname === SDK_HOST) {
+    event.respondWith(cacheFirst(request, CACHES.runtime));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(precacheOrRevalidate(request, event));
+  }
+  // anything else (third-party APIs, Storage downloads) goes to the network untouched
+});
+
+// ----------------------------
+// Strategies
+// ----------------------------
+// Opaque (no-cors) responses are kept for images and the SDK only;
+// their status cannot be checked, so the entry limits bound what they cost
+function isCacheable(response, allowOpaque = false) {
+  if (!response) return false;
+  if (response.type === 'opaque') return allowOpaque;
+  return response.status === 200;
+}
+
+async function networkFirstPage(request) {
+  const cache = await caches.open(CACHES.pages);
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+      await cache.put(request, response.clone());
+      await trimCache(CACHES.pages);
+    }
+    return response;
+  } catch {
+    // offline: this exact page, the precached page for another query
+    // (house-detail.html?id=...), else the offline page
+    return (await cache.match(request))
+      || (await caches.match(request, { cacheName: CACHES.precache, ignoreSearch: true }))
+      || caches.match('/offline.html', { cacheName: CACHES.precache });
+  }
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    touch(cache, request, cached.clone());
+    return cached;
+  }
+  const response = await fetch(request);
+  if (isCacheable(response, true)) {
+    await cache.put(request, response.clone());
+    await trimCache(cacheName);
+  }
+  return response;
+}
 
-  event.respondWith(
+async function precacheOrRevalidate(request, event) {
+  const precached = await caches.match(request, { cacheName: CACHES.precache });
+  if (precached) return precached;
+
+  const cache = await caches.open(CACHES.runtime);
+  const cached = await cache.match(request);
+  const update = fetch(request)
+    .then(async response => {
+      if (isCacheable(response)) {
+        await cache.put(request, response.clone());
+        await trimCache(CACHES.runtime);
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(update); // refresh in the background
+    return cached;
+  }
+  return (await update) || Response.error();
+}
+
+// ----------------------------
+// LRU bookkeeping
+// ----------------------------
+// Cache keys keep insertion order, so re-inserting a hit moves it to the end
+// and trimming from the front evicts the least recently used entries
+function touch(cache, request, response) {
+  cache.delete(request)
+    .then(() => cache.put(request, response))
+    .catch(err => console.error('[Service Worker] Failed to refresh cache entry:', err));
+}
+
+async function trimCache(cacheName) {
+  const limit = CACHE_LIMITS[cacheName];
+  if (!limit) return;
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
+
+// Background Sync - writes queued offline (js/outbox.js) need the page's
+// Firebase session, so an open tab replays them. Rejecting tells the browser
+// to fire the sync again later (no tab open, or entries still waiting).
+self.addEventListener('sync', event => {
+  if (event.tag !== OUTBOX_SYNC_TAG) return;
+  event.waitUntil(
     (async () => {
-      const cache = await caches.open(CACHE_NAME);
-      const cachedResponse = await caches.match(event.request);
-
-      const fetchPromise = fetch(event.request)
-        .then(response => {
-          // Only cache valid same-origin responses
-          if (response && response.status === 200 && response.type === 'basic') {
-            cache.put(event.request, response.clone());
-          }
-          return response;
-        })
-        .catch(() => null); // network failed
-
-      if (cachedResponse) {
-        fetchPromise; // update cache in background
-        return cachedResponse;
+      const windows = await self.clients.matchAll({ type: 'window' });
+      if (!windows.length) throw new Error('No open page to replay the outbox');
+      const results = await Promise.all(windows.map(askToFlush));
+      if (!results.some(result => result && result.remaining === 0)) {
+        throw new Error('Outbox still has queued writes');
       }
+    })()
+  );
+});
+
+// Resolves with the tab's { remaining } reply, or null if it has no signed-in
+// user or does not answer in time
+function askToFlush(client) {
+  return new Promise(resolve => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => resolve(null), 60000);
+    channel.port1.onmessage = event => {
+      clearTimeout(timer);
+      resolve(event.data);
+    };
+    client.postMessage({ type: 'outbox-sync' }, [channel.port2]);
+  });
+}
+
+// ----------------------------
+// Push notifications
+// ----------------------------
+// Payload: { title, body, url, tag } as built by buildPushPayload() in
+// js/pushService.js; a plain-text push (e.g. from DevTools) becomes the body
+self.addEventListener('push', event => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data.text() };
+  }
+  event.waitUntil(showPushNotification(payload));
+});
+
+function showPushNotification(payload = {}) {
+  return self.registration.showNotification(payload.title || 'Kejabase', {
+    body: payload.body || '',
+    icon: '/images/icon-192.png',
+    badge: '/images/icon-192.png',
+    tag: payload.tag,
+    renotify: !!payload.tag,
+    data: { url: payload.url || '/' }
+  });
+}
 
-      const networkResponse = await fetchPromise;
-      if (networkResponse) return networkResponse;
+// Deep link: reuse a tab already on that page, else open one
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const target = new URL(event.notification.data?.url || '/', self.location.origin);
+  if (target.origin !== self.location.origin) return;
 
-      // Fallback to offline page for HTML requests
-      if (event.request.headers.get('accept')?.includes('text/html')) {
-        return caches.match('/offline.html');
+  event.waitUntil(
+    (async () => {
+      const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+      const existing = windows.find(client => new URL(client.url).pathname === target.pathname);
+      if (existing) {
+        await existing.focus();
+        try {
+          return await existing.navigate(target.href);
+        } catch {
+          // uncontrolled tabs cannot be navigated; open a fresh one
+        }
       }
+      return self.clients.openWindow(target.href);
     })()
   );
 });
@@ -0,0 +1,158 @@
+// test/bookingWorkflow.test.js
+// ==============================
+// Booking state machine: guards, illegal transitions, history, date release
+// ==============================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBookingWorkflow } from '../js/bookingWorkflow.js';
+
+const HOST = { uid: 'host-1', role: 'provider' };
+const GUEST = { uid: 'guest-1', role: 'hunter' };
+
+// In-memory stand-in for firebaseServices: docs keyed "collection/id"
+function fakeFirebase(docs = {}) {
+  const store = new Map(Object.entries(docs));
+  const snap = (path) => ({
+    id: path.split('/')[1],
+    exists: () => store.has(path),
+    data: () => store.get(path)
+  });
+  return {
+    ready: true,
+    store,
+    collections: { bookings: 'bookings', availability: 'availability', listingContacts: 'listingContacts' },
+    doc: (collection, id) => `${collection}/${id}`,
+    serverTimestamp: () => 'server-time',
+    toTimestamp: (date) => date.getTime(),
+    async runTransaction(run) {
+      const writes = [];
+      await run({
+        get: async (path) => snap(path),
+        update: (path, changes) => writes.push([path, changes])
+      });
+      // a throwing transaction writes nothing
+      writes.forEach(([path, changes]) => store.set(path, { ...store.get(path), ...changes }));
+    }
+  };
+}
+
+const fakeState = (user) => ({ getCurrentUser: () => user, getState: () => ({}) });
+
+const booking = (status, extra = {}) => ({
+  userId: GUEST.uid,
+  providerId: HOST.uid,
+  listingId: 'bnb-1',
+  status,
+  ...extra
+});
+
+describe('bookingWorkflow guards', () => {
+  const workflow = createBookingWorkflow();
+
+  it('resolves guest, host and admin actors', () => {
+    assert.equal(workflow.resolveActor(booking('pending'), GUEST), 'guest');
+    assert.equal(workflow.resolveActor(booking('pending'), HOST), 'host');
+    assert.equal(workflow.resolveActor(booking('pending'), { uid: 'x', role: 'admin' }), 'host');
+    assert.equal(workflow.resolveActor(booking('pending'), { uid: 'x', role: 'hunter' }), null);
+  });
+
+  it('allows only the listed moves out of each status', () => {
+    const expected = {
+      pending: { host: ['confirm', 'decline', 'cancel-host'], guest: ['cancel-guest'] },
+      confirmed: { host: ['check-in', 'cancel-host'], guest: ['cancel-guest'] },
+      'checked-in': { host: ['complete'], guest: [] },
+      completed: { host: [], guest: [] },
+      declined: { host: [], guest: [] },
+      'cancelled-by-guest': { host: [], guest: [] },
+      'cancelled-by-host': { host: [], guest: [] }
+    };
+    Object.entries(expected).forEach(([status, byActor]) => {
+      Object.entries(byActor).forEach(([actor, actions]) => {
+        assert.deepEqual(workflow.availableActions(booking(status), actor).map(a => a.action), actions, `${actor} on ${status}`);
+      });
+    });
+  });
+
+  it('refuses actions for the wrong actor or without one', () => {
+    assert.equal(workflow.canTransition(booking('pending'), 'confirm', 'guest'), false);
+    assert.equal(workflow.canTransition(booking('pending'), 'cancel-guest', 'host'), false);
+    assert.equal(workflow.canTransition(booking('pending'), 'confirm', null), false);
+    assert.equal(workflow.canTransition(booking('pending'), 'teleport', 'host'), false);
+  });
+});
+
+describe('bookingWorkflow.transition', () => {
+  const setup = (status, user, extraDocs = {}) => {
+    const fs = fakeFirebase({ 'bookings/b1': booking(status), ...extraDocs });
+    return { fs, workflow: createBookingWorkflow(fs, fakeState(user)) };
+  };
+
+  it('rejects illegal transitions without writing', async () => {
+    const cases = [
+      ['completed', 'confirm', HOST, /Cannot accept a booking that is completed\./],
+      ['pending', 'check-in', HOST, /Cannot check in a booking that is pending\./],
+      ['checked-in', 'cancel-guest', GUEST, /Cannot cancel a booking that is checked-in\./],
+      ['declined', 'confirm', HOST, /Cannot accept a booking that is declined\./],
+      ['pending', 'confirm', GUEST, /Cannot accept a booking that is pending\./]
+    ];
+    for (const [status, action, user, message] of cases) {
+      const { fs, workflow } = setup(status, user);
+      await assert.rejects(workflow.transition('b1', action, { reason: 'because' }), message);
+      assert.equal(fs.store.get('bookings/b1').status, status);
+      assert.equal(fs.store.get('bookings/b1').history, undefined);
+    }
+  });
+
+  it('requires a reason to decline or cancel', async () => {
+    const { workflow } = setup('pending', HOST);
+    await assert.rejects(workflow.transition('b1', 'decline', { reason: '   ' }), /Please give a reason\./);
+    await assert.rejects(workflow.transition('b1', 'cancel-host'), /Please give a reason\./);
+  });
+
+  it('rejects unknown actions, missing bookings and signed-out users', async () => {
+    await assert.rejects(setup('pending', HOST).workflow.transition('b1', 'teleport'), /Unknown booking action: teleport/);
+    await assert.rejects(setup('pending', HOST).workflow.transition('missing', 'confirm'), /Booking not found\./);
+    await assert.rejects(setup('pending', null).workflow.transition('b1', 'confirm'), /Please sign in/);
+    await assert.rejects(createBookingWorkflow().transition('b1', 'confirm'), /Booking service not available/);
+  });
+
+  it('confirms with a history entry and copies the host contact', async () => {
+    const { fs, workflow } = setup('pending', HOST, {
+      'listingContacts/bnb-1': { name: 'Amani', phone: '+254700000000', email: 'host@example.com', providerId: HOST.uid }
+    });
+    const updated = await workflow.transition('b1', 'confirm');
+    const stored = fs.store.get('bookings/b1');
+    assert.equal(updated.status, 'confirmed');
+    assert.equal(stored.status, 'confirmed');
+    assert.equal(stored.confirmedAt, 'server-time');
+    assert.deepEqual(stored.hostContact, { name: 'Amani', phone: '+254700000000', email: 'host@example.com' });
+    assert.equal(stored.history.length, 1);
+    assert.deepEqual(
+      { from: stored.history[0].from, to: stored.history[0].to, by: stored.history[0].by, actor: stored.history[0].actor },
+      { from: 'pending', to: 'confirmed', by: HOST.uid, actor: 'host' }
+    );
+  });
+
+  it('walks a booking from pending to completed', async () => {
+    const { fs, workflow } = setup('pending', HOST);
+    for (const action of ['confirm', 'check-in', 'complete']) await workflow.transition('b1', action);
+    const stored = fs.store.get('bookings/b1');
+    assert.equal(stored.status, 'completed');
+    assert.deepEqual(stored.history.map(entry => entry.to), ['confirmed', 'checked-in', 'completed']);
+    await assert.rejects(workflow.transition('b1', 'cancel-host', { reason: 'late' }), /Cannot cancel a booking that is completed\./);
+  });
+
+  it('releases the dates and clears the host contact on cancellation', async () => {
+    const { fs, workflow } = setup('pending', GUEST, {
+      'availability/bnb-1': { ranges: [{ start: '2026-12-01', end: '2026-12-05', bookingId: 'b1' }, { start: '2026-12-10', end: '2026-12-12', bookingId: 'b2' }] }
+    });
+    fs.store.set('bookings/b1', booking('confirmed', { hostContact: { name: 'Amani', phone: '1', email: 'e' } }));
+    await workflow.transition('b1', 'cancel-guest', { reason: ' Plans changed ' });
+    const stored = fs.store.get('bookings/b1');
+    assert.equal(stored.status, 'cancelled-by-guest');
+    assert.equal(stored.statusReason, 'Plans changed');
+    assert.equal(stored.hostContact, null);
+    assert.deepEqual(fs.store.get('availability/bnb-1').ranges.map(range => range.bookingId), ['b2']);
+  });
+});
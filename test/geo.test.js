@@ -0,0 +1,134 @@
+// test/geo.test.js
+// ==============================
+// Geohash and bounds helpers, including the antimeridian and the poles
+// ==============================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GEOHASH_PRECISION,
+  isValidPoint,
+  encodeGeohash,
+  decodeGeohash,
+  distanceKm,
+  inBounds,
+  boundsAround,
+  geohashRanges
+} from '../js/geo.js';
+
+// Every point on a grid over the box must fall in one of the ranges
+function assertCovered(bounds, steps = 20) {
+  const ranges = geohashRanges(bounds);
+  const spanLng = bounds.west <= bounds.east ? bounds.east - bounds.west : bounds.east + 360 - bounds.west;
+  for (let i = 0; i <= steps; i++) {
+    for (let j = 0; j <= steps; j++) {
+      const lat = bounds.south + ((bounds.north - bounds.south) * i) / steps;
+      let lng = bounds.west + (spanLng * j) / steps;
+      if (lng > 180) lng -= 360;
+      const hash = encodeGeohash(lat, lng);
+      assert.ok(ranges.some(([start, end]) => hash >= start && hash <= end), `${lat},${lng} (${hash}) not covered`);
+    }
+  }
+  return ranges;
+}
+
+describe('geo geohash', () => {
+  it('encodes known points', () => {
+    assert.equal(encodeGeohash(57.64911, 10.40744, 11), 'u4pruydqqvj');
+    assert.equal(encodeGeohash(-1.2921, 36.8219), 'kzf0tuubu');
+    assert.equal(encodeGeohash(0, 0).length, GEOHASH_PRECISION);
+  });
+
+  it('encodes the corners of the globe', () => {
+    assert.equal(encodeGeohash(-90, -180, 5), '00000');
+    assert.equal(encodeGeohash(90, 180, 5), 'zzzzz');
+    assert.equal(encodeGeohash(0, 0, 5), 's0000');
+  });
+
+  it('decodes to the centre of the cell, within its size', () => {
+    [[-1.2921, 36.8219], [89.99, 179.99], [-89.99, -179.99], [0, -180]].forEach(([lat, lng]) => {
+      const point = decodeGeohash(encodeGeohash(lat, lng));
+      assert.ok(Math.abs(point.lat - lat) < 1e-4 && Math.abs(point.lng - lng) < 1e-4, `${lat},${lng}`);
+    });
+  });
+
+  it('rejects characters outside the geohash alphabet', () => {
+    assert.throws(() => decodeGeohash('u4pa'), /Invalid geohash: u4pa/);
+  });
+});
+
+describe('geo points and distances', () => {
+  it('validates points', () => {
+    assert.ok(isValidPoint({ lat: 90, lng: -180 }));
+    assert.ok(!isValidPoint({ lat: 90.1, lng: 0 }));
+    assert.ok(!isValidPoint({ lat: 0, lng: 180.5 }));
+    assert.ok(!isValidPoint({ lat: NaN, lng: 0 }));
+    assert.ok(!isValidPoint(null));
+  });
+
+  it('measures the short way across the antimeridian and over a pole', () => {
+    assert.ok(Math.abs(distanceKm({ lat: 0, lng: 179.9 }, { lat: 0, lng: -179.9 }) - 22.24) < 0.01);
+    assert.ok(Math.abs(distanceKm({ lat: 89.5, lng: 0 }, { lat: 89.5, lng: 180 }) - 111.19) < 0.01);
+  });
+});
+
+describe('geo bounds', () => {
+  it('wraps a box that crosses the antimeridian', () => {
+    const bounds = boundsAround({ lat: 0, lng: 179.9 }, 50);
+    assert.ok(bounds.west > 179 && bounds.east < -179);
+    assert.ok(inBounds({ lat: 0, lng: 179.95 }, bounds));
+    assert.ok(inBounds({ lat: 0, lng: -179.9 }, bounds));
+    assert.ok(!inBounds({ lat: 0, lng: 170 }, bounds));
+    assert.ok(!inBounds({ lat: 0, lng: -170 }, bounds));
+  });
+
+  it('spans every longitude when the circle covers a pole', () => {
+    [{ lat: 89.9, lng: 10 }, { lat: -89.95, lng: -120 }].forEach(center => {
+      const bounds = boundsAround(center, 50);
+      assert.equal(bounds.west, -180);
+      assert.equal(bounds.east, 180);
+      assert.equal(Math.abs(center.lat > 0 ? bounds.north : bounds.south), 90);
+    });
+    // 67 km from the centre, on the far side of the pole
+    assert.ok(inBounds({ lat: 89.5, lng: 180 }, boundsAround({ lat: 89.9, lng: 0 }, 500)));
+  });
+
+  it('keeps a box short of the poles to its own longitudes', () => {
+    const bounds = boundsAround({ lat: 80, lng: 0 }, 100);
+    assert.ok(bounds.north < 90);
+    assert.ok(bounds.west > -10 && bounds.east < 10);
+  });
+});
+
+describe('geo.geohashRanges', () => {
+  it('covers a small box with one fine range', () => {
+    const ranges = assertCovered(boundsAround({ lat: -1.29, lng: 36.82 }, 5));
+    assert.deepEqual(ranges, [['kzf0', 'kzf0~']]);
+  });
+
+  it('covers both sides of the antimeridian', () => {
+    const ranges = assertCovered(boundsAround({ lat: 0, lng: 179.9 }, 50));
+    const firsts = ranges.map(([start]) => start[0]);
+    assert.ok(firsts.some(c => '0123456789bcdefg'.includes(c)), 'western hemisphere cells');
+    assert.ok(firsts.some(c => 'hjkmnpqrstuvwxyz'.includes(c)), 'eastern hemisphere cells');
+    assert.ok(ranges.length <= 9);
+  });
+
+  it('covers boxes ending exactly on the antimeridian', () => {
+    assertCovered({ south: -1, north: 1, west: 179, east: 180 });
+    assertCovered({ south: -1, north: 1, west: -180, east: -179 });
+    assertCovered(boundsAround({ lat: -17.7, lng: 179.3 }, 100));
+  });
+
+  it('covers the polar caps', () => {
+    assertCovered(boundsAround({ lat: 89.9, lng: 10 }, 50));
+    assertCovered(boundsAround({ lat: -89.95, lng: -120 }, 20));
+    assertCovered(boundsAround({ lat: 89.9, lng: 0 }, 500));
+  });
+
+  it('stays within the requested number of cells', () => {
+    [5, 50, 500, 5000].forEach(radiusKm => {
+      assert.ok(geohashRanges(boundsAround({ lat: 45, lng: 90 }, radiusKm), 9).length <= 9, `${radiusKm} km`);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+// test/ical.test.js
+// ==============================
+// iCal import/export: folded lines, all-day and timed events, bad input
+// ==============================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIcs, parseIcs } from '../js/ical.js';
+
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('ical.parseIcs', () => {
+  it('unfolds continuation lines starting with a space or a tab', () => {
+    const text = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:folded-',
+      ' uid@example.com',
+      'DTSTART;VALUE=DATE:2026',
+      '\t1101',
+      'DTEND;VALUE=DATE:20261104',
+      'SUMMARY:Reserved by',
+      '  a guest',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+    assert.deepEqual(parseIcs(text).events, [
+      { uid: 'folded-uid@example.com', summary: 'Reserved by a guest', start: '2026-11-01', end: '2026-11-04' }
+    ]);
+  });
+
+  it('unfolds LF-only files too', () => {
+    const text = 'BEGIN:VCALENDAR\nBEGIN:VEVENT\nDTSTART;VALUE=DATE:20261101\nSUMMARY:Blocked\n  nights\nEND:VEVENT\nEND:VCALENDAR\n';
+    assert.equal(parseIcs(text).events[0].summary, 'Blocked nights');
+  });
+
+  it('gives an all-day event without DTEND a single night', () => {
+    const { events } = parseIcs(calendar(['DTSTART;VALUE=DATE:20261101'], ['DTSTART:20261110']));
+    assert.deepEqual(events.map(e => [e.start, e.end]), [['2026-11-01', '2026-11-02'], ['2026-11-10', '2026-11-11']]);
+  });
+
+  it('reads DURATION in days, weeks and hours', () => {
+    const { events } = parseIcs(calendar(
+      ['UID:d', 'DTSTART;VALUE=DATE:20261101', 'DURATION:P3D'],
+      ['UID:w', 'DTSTART;VALUE=DATE:20261201', 'DURATION:P1W'],
+      ['UID:h', 'DTSTART:20261220T140000Z', 'DURATION:PT36H']
+    ));
+    assert.deepEqual(events.map(e => [e.uid, e.end]), [['d', '2026-11-04'], ['w', '2026-12-08'], ['h', '2026-12-22']]);
+  });
+
+  it('reduces timed events to their dates, keeping at least one night', () => {
+    const { events } = parseIcs(calendar(
+      ['UID:same-day', 'DTSTART:20261101T100000Z', 'DTEND:20261101T180000Z'],
+      ['UID:overnight', 'DTSTART;TZID=Africa/Nairobi:20261105T150000', 'DTEND;TZID=Africa/Nairobi:20261107T110000']
+    ));
+    assert.deepEqual(events.map(e => [e.uid, e.start, e.end]), [
+      ['same-day', '2026-11-01', '2026-11-02'],
+      ['overnight', '2026-11-05', '2026-11-07']
+    ]);
+  });
+
+  it('skips cancelled and past events', () => {
+    const result = parseIcs(calendar(
+      ['UID:cancelled', 'DTSTART;VALUE=DATE:20261201', 'STATUS:CANCELLED'],
+      ['UID:past', 'DTSTART;VALUE=DATE:20261001', 'DTEND;VALUE=DATE:20261005'],
+      ['UID:ongoing', 'DTSTART;VALUE=DATE:20261015', 'DTEND;VALUE=DATE:20261020']
+    ), { today: '2026-10-18' });
+    assert.equal(result.skipped, 2);
+    assert.deepEqual(result.events.map(e => e.uid), ['ongoing']);
+  });
+
+  it('reports invalid events without dropping the valid ones', () => {
+    const result = parseIcs(calendar(
+      ['SUMMARY:Leap', 'DTSTART;VALUE=DATE:20260230'],
+      ['UID:no-start', 'DTEND;VALUE=DATE:20261105'],
+      ['SUMMARY:Backwards', 'DTSTART;VALUE=DATE:20261110', 'DTEND;VALUE=DATE:20261105'],
+      ['SUMMARY:Timed', 'DTSTART:20261101T100000Z'],
+      ['UID:ok', 'DTSTART;VALUE=DATE:20261201']
+    ));
+    assert.deepEqual(result.errors, [
+      'Leap: missing or invalid start date.',
+      'no-start: missing or invalid start date.',
+      'Backwards: missing or invalid end date.',
+      'Timed: missing or invalid end date.'
+    ]);
+    assert.deepEqual(result.events.map(e => e.uid), ['ok']);
+  });
+
+  it('sorts events by start date and unescapes text', () => {
+    const { events } = parseIcs(calendar(
+      ['UID:b', 'DTSTART;VALUE=DATE:20261201', 'SUMMARY:Family\\, friends\\; pets'],
+      ['UID:a', 'DTSTART;VALUE=DATE:20261101']
+    ));
+    assert.deepEqual(events.map(e => e.uid), ['a', 'b']);
+    assert.equal(events[1].summary, 'Family, friends; pets');
+  });
+
+  it('rejects files that are not calendars', () => {
+    assert.throws(() => parseIcs('hello'), /does not look like an iCal/);
+  });
+});
+
+describe('ical.buildIcs', () => {
+  it('folds long lines at 75 characters and survives a round trip', () => {
+    const summary = 'Booked '.repeat(30).trim();
+    const text = buildIcs({
+      name: 'Beach house',
+      now: new Date('2026-10-18T00:00:00Z'),
+      events: [{ uid: 'b1@kejabase', start: '2026-11-01', end: '2026-11-04', summary }]
+    });
+    const lines = text.split('\r\n');
+    assert.ok(lines.every(line => line.length <= 75));
+    assert.ok(lines.some(line => line.startsWith(' ')));
+    assert.ok(lines.includes('DTSTART;VALUE=DATE:20261101'));
+    assert.deepEqual(parseIcs(text).events, [{ uid: 'b1@kejabase', summary, start: '2026-11-01', end: '2026-11-04' }]);
+  });
+});
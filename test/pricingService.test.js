@@ -0,0 +1,125 @@
+// test/pricingService.test.js
+// ==============================
+// Quotes: nightly rate rules (override > season > weekend > base), fees, taxes
+// ==============================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPricingService } from '../js/pricingService.js';
+
+const bnb = (pricingRules = {}, extra = {}) => ({ collectionName: 'bnbs', price: 100, pricingRules, ...extra });
+
+// 2026-12-17 is a Thursday
+const RULES = {
+  weekendPrice: 150,
+  seasons: [{ label: 'Holidays', start: '2026-12-20', end: '2026-12-26', price: 200 }],
+  overrides: { '2026-12-24': 300 }
+};
+
+describe('pricingService.nightlyRateOn', () => {
+  const pricing = createPricingService();
+  const listing = bnb(RULES);
+
+  it('uses the base price on weekdays outside any season', () => {
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-17'), 100);
+  });
+
+  it('uses the weekend rate for Friday and Saturday nights only', () => {
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-18'), 150);
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-19'), 150);
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-27'), 100);
+  });
+
+  it('treats season start and end as inclusive nights', () => {
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-20'), 200);
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-26'), 200);
+  });
+
+  it('lets a season win over the weekend rate it overlaps', () => {
+    // Friday 2026-12-25 falls inside the season
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-25'), 200);
+  });
+
+  it('lets a date override win over the season it overlaps', () => {
+    assert.equal(pricing.nightlyRateOn(listing, '2026-12-24'), 300);
+  });
+
+  it('takes the first matching season when seasons overlap', () => {
+    const overlapping = bnb({
+      seasons: [
+        { start: '2026-12-01', end: '2026-12-31', price: 120 },
+        { start: '2026-12-20', end: '2026-12-26', price: 250 }
+      ]
+    });
+    assert.equal(pricing.nightlyRateOn(overlapping, '2026-12-22'), 120);
+  });
+
+  it('ignores rules without a positive price', () => {
+    const broken = bnb({ weekendPrice: 0, seasons: [{ start: '2026-12-01', end: '2026-12-31', price: '' }], overrides: { '2026-12-18': -5 } });
+    assert.equal(pricing.nightlyRateOn(broken, '2026-12-18'), 100);
+  });
+
+  it('prices houses per month', () => {
+    assert.equal(pricing.nightlyRateOn({ collectionName: 'houses', price: 30000 }, '2026-12-17'), 1000);
+  });
+});
+
+describe('pricingService.quote', () => {
+  const pricing = createPricingService();
+
+  it('adds service fee and VAT to a flat-rate stay', () => {
+    const quote = pricing.quote(bnb(), { startDate: '2026-12-14', endDate: '2026-12-17', guests: 2 });
+    assert.equal(quote.nights, 3);
+    assert.equal(quote.nightlyRate, 100);
+    assert.deepEqual(quote.lineItems.map(item => [item.code, item.amount]), [
+      ['stay', 300],
+      ['service', 30],
+      ['tax', 52.8]
+    ]);
+    assert.equal(quote.lineItems[0].label, '$100.00 x 3 nights');
+    assert.equal(quote.subtotal, 330);
+    assert.equal(quote.taxes, 52.8);
+    assert.equal(quote.total, 382.8);
+    assert.equal(quote.currency, 'USD');
+  });
+
+  it('sums each night from the calendar rules and reports the average rate', () => {
+    // Thu 100, Fri 150, Sat 150, Sun (season) 200, Mon (season) 200
+    const quote = pricing.quote(bnb(RULES), { startDate: '2026-12-17', endDate: '2026-12-22' });
+    assert.equal(quote.nights, 5);
+    assert.equal(quote.lineItems[0].amount, 800);
+    assert.equal(quote.nightlyRate, 160);
+    assert.match(quote.lineItems[0].label, /^5 nights \(avg\. \$160\.00\)$/);
+  });
+
+  it('charges extra guests per night and the cleaning fee once', () => {
+    const listing = bnb({}, { includedGuests: 2, extraGuestFee: 10, cleaningFee: 50 });
+    const quote = pricing.quote(listing, { startDate: '2026-12-14', endDate: '2026-12-17', guests: 4 });
+    const amounts = Object.fromEntries(quote.lineItems.map(item => [item.code, item.amount]));
+    assert.equal(amounts['extra-guests'], 60);
+    assert.equal(amounts.cleaning, 50);
+    assert.equal(amounts.service, 41);
+    assert.equal(quote.subtotal, 451);
+    assert.equal(quote.total, 523.16);
+  });
+
+  it('returns an empty stay without cleaning fee when the dates are reversed', () => {
+    const quote = pricing.quote(bnb({}, { cleaningFee: 50 }), { startDate: '2026-12-17', endDate: '2026-12-14' });
+    assert.equal(quote.nights, 0);
+    assert.equal(quote.nightlyRate, 100);
+    assert.equal(quote.total, 0);
+    assert.ok(!quote.lineItems.some(item => item.code === 'cleaning'));
+  });
+
+  it('counts at least one guest', () => {
+    assert.equal(pricing.quote(bnb(), { startDate: '2026-12-14', endDate: '2026-12-15', guests: 0 }).guests, 1);
+  });
+
+  it('follows the configured fee and tax rates', () => {
+    const custom = createPricingService({ serviceFeeRate: 0, taxRate: 0.1, currency: 'KES' });
+    const quote = custom.quote(bnb(), { startDate: '2026-12-14', endDate: '2026-12-15' });
+    assert.equal(quote.total, 110);
+    assert.equal(quote.currency, 'KES');
+    assert.equal(quote.lineItems.at(-1).label, 'Taxes (10% VAT)');
+  });
+});
@@ -0,0 +1,102 @@
+// test/searchIndex.test.js
+// ==============================
+// Client-side search: tokenizing, ranking, typos, prefixes, live updates,
+// and the searchTokens stored for online search
+// ==============================
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchIndex, tokenize, searchTokens } from '../js/searchIndex.js';
+
+const LISTINGS = [
+  { id: 'a', title: 'Sunny apartment', location: 'Westlands', city: 'Nairobi', amenities: ['WiFi', 'Parking'], description: 'Close to shops', public: true },
+  { id: 'b', title: 'Beach cottage', location: 'Diani', city: 'Mombasa', amenities: ['Pool'], description: 'Quiet apartment-style rooms', public: true },
+  { id: 'c', title: 'Garden villa', location: 'Karen', city: 'Nairobi', amenities: ['Garden', 'Parking'], description: 'Café nearby', public: false }
+];
+
+const ids = (results) => results.map(result => result.id);
+
+describe('searchIndex.tokenize', () => {
+  it('folds case and diacritics, drops stop words and stems', () => {
+    assert.deepEqual(tokenize('The Cosy Café near Parks, with Parking!'), ['cosy', 'cafe', 'park', 'park']);
+    assert.deepEqual(tokenize('Cities'), ['city']);
+    assert.deepEqual(tokenize('bus glass'), ['bus', 'glass']);
+    assert.deepEqual(tokenize(null), []);
+  });
+});
+
+describe('SearchIndex.search', () => {
+  const index = createSearchIndex().build(LISTINGS);
+
+  it('ranks title matches above description matches', () => {
+    assert.deepEqual(ids(index.search('apartment')), ['a', 'b']);
+  });
+
+  it('requires every query word to match', () => {
+    assert.deepEqual(ids(index.search('nairobi parking')).sort(), ['a', 'c']);
+    assert.deepEqual(ids(index.search('nairobi pool')), []);
+  });
+
+  it('matches the last word as a prefix only', () => {
+    assert.deepEqual(ids(index.search('nairobi gard')), ['c']);
+    assert.deepEqual(ids(index.search('nair')).sort(), ['a', 'c']);
+    assert.deepEqual(ids(index.search('nair apartment')), []);
+  });
+
+  it('tolerates one typo from 4 letters and two from 8', () => {
+    assert.deepEqual(ids(index.search('beech')), ['b']);
+    assert.deepEqual(ids(index.search('cotage')), ['b']);
+    assert.deepEqual(ids(index.search('westlnads')), ['a']);
+    assert.deepEqual(ids(index.search('apratmnet')), ['a', 'b']);
+    assert.deepEqual(ids(index.search('pol')), []);
+  });
+
+  it('applies filter and limit', () => {
+    assert.deepEqual(ids(index.search('nairobi', { filter: listing => listing.public })), ['a']);
+    assert.equal(index.search('parking', { limit: 1 }).length, 1);
+  });
+
+  it('returns every listing for an empty query', () => {
+    const results = index.search('  the  ');
+    assert.deepEqual(ids(results), ['a', 'b', 'c']);
+    assert.ok(results.every(result => result.score === 0));
+  });
+});
+
+describe('SearchIndex live updates', () => {
+  it('applies added, modified and removed listings', () => {
+    const index = createSearchIndex().build(LISTINGS);
+    index.applyChanges({
+      added: [{ id: 'd', title: 'Lake house', city: 'Naivasha' }],
+      modified: [{ ...LISTINGS[0], title: 'Sunny loft' }],
+      removed: [{ id: 'b' }]
+    });
+    assert.equal(index.size, 3);
+    assert.deepEqual(ids(index.search('naivasha')), ['d']);
+    assert.deepEqual(ids(index.search('loft')), ['a']);
+    assert.deepEqual(ids(index.search('apartment')), []);
+    assert.deepEqual(ids(index.search('beach')), []);
+    assert.ok(!index.terms.has('cottage'));
+  });
+
+  it('ignores listings without an id', () => {
+    assert.equal(createSearchIndex().add({ title: 'Nameless' }).size, 0);
+  });
+});
+
+describe('searchIndex.searchTokens', () => {
+  it('stores title and location prefixes from 3 letters, other fields whole', () => {
+    const tokens = searchTokens(LISTINGS[0]);
+    ['sunny', 'sun', 'sunn', 'apartment', 'apa', 'westland', 'wes', 'nairobi', 'nai', 'wifi', 'park', 'close', 'shop'].forEach(token => {
+      assert.ok(tokens.includes(token), token);
+    });
+    assert.ok(!tokens.includes('su'));
+    assert.ok(!tokens.includes('wif'));
+    assert.ok(!tokens.includes('clo'));
+  });
+
+  it('caps the number of tokens', () => {
+    const description = Array.from({ length: 800 }, (_, i) => `word${i}`).join(' ');
+    assert.equal(searchTokens({ title: 'Big', description }).length, 500);
+  });
+});